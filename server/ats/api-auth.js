@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'recruiter', 'interviewer', 'read-only'];
+const TOKEN_CACHE_TTL_MS = 60 * 1000;
+const TOKEN_CACHE_MAX_ENTRIES = 1000;
+const DEFAULT_CORS_ORIGINS = ['http://localhost:4200'];
+
+function parseRole(value) {
+  const role = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return ROLES.includes(role) ? role : null;
+}
+
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function parseApiKeys(rawKeys) {
+  let entries;
+  try {
+    entries = JSON.parse(rawKeys);
+  } catch (error) {
+    return { error: `API_KEYS is not valid JSON: ${error.message}` };
+  }
+
+  if (!Array.isArray(entries)) {
+    return { error: 'API_KEYS must be a list of { "name", "role", "key" } objects.' };
+  }
+
+  const keys = [];
+  for (const [index, entry] of entries.entries()) {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    const role = parseRole(entry?.role);
+    if (!name || typeof entry.key !== 'string' || entry.key.length < 16) {
+      return { error: `API_KEYS[${index}] needs a name and a key of at least 16 characters.` };
+    }
+    if (!role) {
+      return { error: `API_KEYS[${index}].role must be one of: ${ROLES.join(', ')}.` };
+    }
+    if (keys.some((other) => other.name === name)) {
+      return { error: `API_KEYS has two keys named "${name}".` };
+    }
+
+    const email = typeof entry.email === 'string' ? entry.email.trim().toLowerCase() || null : null;
+    keys.push({ name, role, email, hash: hashSecret(entry.key) });
+  }
+
+  return { keys };
+}
+
+function getAuthConfig() {
+  let apiKeys = [];
+  if (process.env.API_KEYS) {
+    const parsed = parseApiKeys(process.env.API_KEYS);
+    if (parsed.error) {
+      console.warn(`[auth] ${parsed.error} API keys are disabled.`);
+    } else {
+      apiKeys = parsed.keys;
+    }
+  }
+
+  const rawDefaultRole = process.env.AUTH_DEFAULT_ROLE;
+  const defaultRole = rawDefaultRole ? parseRole(rawDefaultRole) : null;
+  if (rawDefaultRole && !defaultRole) {
+    console.warn(
+      `[auth] AUTH_DEFAULT_ROLE must be one of: ${ROLES.join(', ')}. ` +
+        'Users without a role will be refused.'
+    );
+  }
+
+  const disabled = String(process.env.AUTH_DISABLED || '').toLowerCase() === 'true';
+  if (disabled) {
+    console.warn('[auth] AUTH_DISABLED=true. Every request is treated as an admin.');
+  }
+
+  return { apiKeys, defaultRole, disabled };
+}
+
+function getCorsOrigins() {
+  const origins = String(process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  if (origins.length === 0) {
+    console.warn(`[auth] CORS_ORIGINS is not set. Allowing ${DEFAULT_CORS_ORIGINS.join(', ')}.`);
+    return DEFAULT_CORS_ORIGINS;
+  }
+
+  return origins.includes('*') ? '*' : origins;
+}
+
+function readBearerToken(req, { allowQueryToken = false } = {}) {
+  const header = req.get('authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (match) {
+    return match[1];
+  }
+
+  // EventSource cannot send headers, so event streams may pass the token in the query.
+  if (allowQueryToken && typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+
+  return null;
+}
+
+// Who to record as a note author, status changer or tag adder: the signed-in email, else the
+// API key name. Never taken from the request body.
+function getRequestActor(req) {
+  const auth = req.auth || {};
+  return auth.email || auth.id || auth.type || null;
+}
+
+function createAuthenticator({ supabase, config = getAuthConfig() }) {
+  const tokenCache = new Map();
+
+  function findApiKey(value) {
+    const hash = hashSecret(value);
+    let found = null;
+    for (const apiKey of config.apiKeys) {
+      if (crypto.timingSafeEqual(apiKey.hash, hash)) {
+        found = apiKey;
+      }
+    }
+    return found;
+  }
+
+  async function verifyToken(token) {
+    const cached = tokenCache.get(token);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.identity;
+    }
+
+    const { data, error } = await supabase.auth.getUser(token);
+    const user = data?.user;
+    if (error || !user) {
+      tokenCache.delete(token);
+      return null;
+    }
+
+    const identity = {
+      type: 'user',
+      id: user.id,
+      email: user.email ? user.email.toLowerCase() : null,
+      role: parseRole(user.app_metadata?.role) || config.defaultRole
+    };
+
+    if (tokenCache.size >= TOKEN_CACHE_MAX_ENTRIES) {
+      tokenCache.clear();
+    }
+    tokenCache.set(token, { identity, expiresAt: Date.now() + TOKEN_CACHE_TTL_MS });
+    return identity;
+  }
+
+  // Resolves to null when the request carries no valid credentials.
+  async function authenticate(req, options) {
+    if (config.disabled) {
+      return { type: 'anonymous', id: null, email: null, role: 'admin' };
+    }
+
+    const apiKeyHeader = req.get('x-api-key');
+    if (apiKeyHeader) {
+      const apiKey = findApiKey(apiKeyHeader);
+      return apiKey
+        ? { type: 'apiKey', id: apiKey.name, email: apiKey.email, role: apiKey.role }
+        : null;
+    }
+
+    const token = readBearerToken(req, options);
+    return token ? verifyToken(token) : null;
+  }
+
+  return { authenticate };
+}
+
+module.exports = {
+  ROLES,
+  createAuthenticator,
+  getAuthConfig,
+  getCorsOrigins,
+  getRequestActor,
+  parseApiKeys,
+  parseRole
+};
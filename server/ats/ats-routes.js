@@ -3,20 +3,29 @@ const fs = require('fs');
 const path = require('path');
 const { promises: fsPromises } = require('fs');
 const multer = require('multer');
-const { PDFParse } = require('pdf-parse');
-const { parseResumeText } = require('./resume-parser');
+const { resumeFileFilter } = require('./resume-extractor');
 const {
   DuplicateCandidateError,
   buildDedupKeys,
-  buildResumeHash,
-  buildResumeStoragePath,
-  findExistingCandidate,
-  getResumePublicUrl,
-  isStorageAlreadyExistsError,
   isUniqueViolation,
-  normalizeCandidatePayload,
   withDedupLock
 } = require('./candidate-dedup');
+const { deleteCandidate } = require('./candidate-erasure');
+const {
+  diffFields,
+  getAuditContext,
+  recordAuditEntry,
+  recordCandidateExport
+} = require('./audit-log');
+const { createCandidateIngestor } = require('./candidate-ingest');
+const {
+  applyCandidateFilters,
+  applyCandidateSort,
+  parseCandidateFilters,
+  parseCandidateSort
+} = require('./candidate-filters');
+const { findConflictingCandidates, parseCandidateUpdate } = require('./candidate-update');
+const { listResumeVersions, parseUploadMode } = require('./resume-versions');
 
 function parseSkillsParam(rawSkills) {
   if (!rawSkills || typeof rawSkills !== 'string') {
@@ -54,17 +63,6 @@ function getConfig() {
   };
 }
 
-async function parseResumeBuffer(fileBuffer) {
-  const parser = new PDFParse({ data: fileBuffer });
-
-  try {
-    const parsedPdf = await parser.getText();
-    return parseResumeText(parsedPdf?.text || '');
-  } finally {
-    await parser.destroy().catch(() => {});
-  }
-}
-
 async function deleteTempFile(filePath) {
   if (!filePath) {
     return;
@@ -94,7 +92,7 @@ async function processFilesWithConcurrency(files, concurrency, handler) {
   return results;
 }
 
-function createAtsRouter({ supabase }) {
+function createAtsRouter({ supabase, interviewsSupabase = supabase }) {
   const router = express.Router();
   const config = getConfig();
 
@@ -116,7 +114,7 @@ function createAtsRouter({ supabase }) {
       callback(null, uploadsDir);
     },
     filename: (_req, file, callback) => {
-      const extension = path.extname(file.originalname).toLowerCase() || '.pdf';
+      const extension = path.extname(file.originalname).toLowerCase() || '.bin';
       callback(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${extension}`);
     }
   });
@@ -124,101 +122,13 @@ function createAtsRouter({ supabase }) {
   const upload = multer({
     storage,
     limits,
-    fileFilter: (_req, file, callback) => {
-      const hasPdfMimeType = file.mimetype === 'application/pdf';
-      const hasPdfExtension = path.extname(file.originalname).toLowerCase() === '.pdf';
-
-      if (hasPdfMimeType || hasPdfExtension) {
-        callback(null, true);
-        return;
-      }
-
-      callback(new Error('Only PDF files are allowed.'));
-    }
+    fileFilter: resumeFileFilter
   });
 
-  async function saveCandidateFromFile(file) {
-    const fileBuffer = await fsPromises.readFile(file.path);
-    const parsed = await parseResumeBuffer(fileBuffer);
-    const resumeHash = buildResumeHash(fileBuffer);
-    const storagePath = buildResumeStoragePath(resumeHash);
-    const resumeUrl = getResumePublicUrl(supabase, config.resumeBucket, storagePath);
-    const payload = normalizeCandidatePayload(parsed, resumeUrl);
-    const dedupKeys = buildDedupKeys({
-      email: payload.email,
-      phone: payload.phone,
-      resumeHash
-    });
-
-    return withDedupLock(dedupKeys, async () => {
-      const existingBeforeUpload = await findExistingCandidate({
-        supabase,
-        email: payload.email,
-        phone: payload.phone,
-        resumeUrl
-      });
-
-      if (existingBeforeUpload) {
-        throw new DuplicateCandidateError(
-          `Duplicate candidate skipped (matched by ${existingBeforeUpload.matchBy}).`,
-          existingBeforeUpload
-        );
-      }
-
-      const { error: storageError } = await supabase.storage
-        .from(config.resumeBucket)
-        .upload(storagePath, fileBuffer, {
-          contentType: 'application/pdf',
-          upsert: false
-        });
-
-      if (storageError && !isStorageAlreadyExistsError(storageError)) {
-        throw new Error(`Failed to upload resume to Supabase Storage: ${storageError.message}`);
-      }
-
-      if (isStorageAlreadyExistsError(storageError)) {
-        const existingByFile = await findExistingCandidate({
-          supabase,
-          email: payload.email,
-          phone: payload.phone,
-          resumeUrl
-        });
-
-        if (existingByFile) {
-          throw new DuplicateCandidateError(
-            `Duplicate candidate skipped (matched by ${existingByFile.matchBy}).`,
-            existingByFile
-          );
-        }
-      }
-
-      const { data: insertedCandidate, error: insertError } = await supabase
-        .from('candidates')
-        .insert(payload)
-        .select('*')
-        .single();
-
-      if (insertError) {
-        if (isUniqueViolation(insertError)) {
-          const existingAfterConflict = await findExistingCandidate({
-            supabase,
-            email: payload.email,
-            phone: payload.phone,
-            resumeUrl
-          });
-
-          throw new DuplicateCandidateError(
-            `Duplicate candidate skipped (matched by ${existingAfterConflict?.matchBy || 'constraint'}).`,
-            existingAfterConflict || {}
-          );
-        }
-
-        throw new Error(`Failed to save candidate in database: ${insertError.message}`);
-      }
-
-      return insertedCandidate;
-    });
-  }
+  const { saveCandidateFromFile } = createCandidateIngestor({
+    supabase,
+    resumeBucket: config.resumeBucket
+  });
 
   router.get('/health', (_req, res) => {
     res.status(200).json({ status: 'ok' });
@@ -229,30 +139,61 @@ function createAtsRouter({ supabase }) {
 
     if (files.length === 0) {
       return res.status(400).json({
-        error: 'Missing file. Send one PDF in form-data.'
+        error: 'Missing file. Send one resume file (PDF, DOCX, DOC, RTF or TXT) in form-data.'
       });
     }
 
     if (files.length > 1) {
       await Promise.all(files.map((file) => deleteTempFile(file.path)));
       return res.status(400).json({
-        error: 'Too many files for /upload-resume. Send exactly one PDF.'
+        error: 'Too many files for /upload-resume. Send exactly one resume file.'
       });
     }
 
     const [file] = files;
+    const mode = parseUploadMode(req.body?.mode, req.query.mode);
 
     try {
-      const candidate = await saveCandidateFromFile(file);
+      const result = await saveCandidateFromFile(file, { mode });
+      await recordAuditEntry({
+        supabase,
+        context: getAuditContext(req),
+        action: 'candidate.upload',
+        targetId: result.candidate.id,
+        changes: result.updated ? result.changes : null,
+        details: { updated: result.updated }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      if (result.updated) {
+        return res.status(200).json({
+          message: `Existing candidate (matched by ${result.matchBy}) updated with a new resume version.`,
+          candidate: result.candidate,
+          resumeVersion: result.resumeVersion,
+          newSkills: result.newSkills,
+          filledFields: result.filledFields,
+          differences: result.differences
+        });
+      }
+
+      const { candidate, resumeVersion, possibleDuplicates } = result;
       return res.status(201).json({
-        message: 'Resume uploaded and candidate saved successfully.',
-        candidate
+        message:
+          possibleDuplicates.length > 0
+            ? 'Resume uploaded and candidate saved. Possible duplicates were queued for review.'
+            : 'Resume uploaded and candidate saved successfully.',
+        candidate,
+        resumeVersion,
+        possibleDuplicates
       });
     } catch (error) {
       if (error instanceof DuplicateCandidateError) {
         return res.status(409).json({
           error: error.message,
-          duplicateCandidateId: error.details?.candidate?.id || null
+          duplicateCandidateId: error.details?.candidate?.id || null,
+          hint:
+            mode === 'update'
+              ? 'This resume file is already stored for the candidate.'
+              : 'Send mode=update to store this resume as a new version of the existing candidate.'
         });
       }
 
@@ -268,23 +209,43 @@ function createAtsRouter({ supabase }) {
   router.get('/candidates', async (req, res, next) => {
     const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
     const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const { filters, error: filterError } = parseCandidateFilters(req.query);
+    const { sort, error: sortError } = parseCandidateSort(req.query);
+
+    if (filterError || sortError) {
+      return res.status(400).json({ error: filterError || sortError });
+    }
 
     try {
-      const { data: candidates, error, count } = await supabase
-        .from('candidates')
-        .select('*', { count: 'exact' })
-        .order('created_at', { ascending: false })
-        .range(offset, offset + limit - 1);
+      let candidatesQuery = applyCandidateFilters(
+        supabase.from('candidates').select('*', { count: 'exact' }).is('archived_at', null),
+        filters
+      );
+      if (req.auth?.candidateIds) {
+        candidatesQuery = candidatesQuery.in('id', req.auth.candidateIds);
+      }
+      const { data: candidates, error, count } = await applyCandidateSort(
+        candidatesQuery,
+        sort
+      ).range(offset, offset + limit - 1);
 
       if (error) {
         throw new Error(`Failed to list candidates: ${error.message}`);
       }
 
+      await recordCandidateExport({
+        supabase,
+        req,
+        candidateIds: (candidates || []).map((candidate) => candidate.id)
+      });
+
       return res.status(200).json({
         count: candidates?.length || 0,
         totalCount: count ?? 0,
         limit,
         offset,
+        sort: sort.field,
+        order: sort.order,
         candidates: candidates || []
       });
     } catch (error) {
@@ -308,12 +269,173 @@ function createAtsRouter({ supabase }) {
         return res.status(404).json({ error: 'Candidate not found.' });
       }
 
+      // Reads are logged before the data is sent, so none go unrecorded.
+      await recordAuditEntry({
+        supabase,
+        context: getAuditContext(req),
+        action: 'candidate.view',
+        targetId: candidate.id
+      });
+
       return res.status(200).json(candidate);
     } catch (error) {
       return next(error);
     }
   });
 
+  router.patch('/candidate/:id', async (req, res, next) => {
+    try {
+      const { data: candidate, error: fetchError } = await supabase
+        .from('candidates')
+        .select('*')
+        .eq('id', req.params.id)
+        .is('archived_at', null)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw new Error(`Failed to fetch candidate: ${fetchError.message}`);
+      }
+
+      if (!candidate) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+      }
+
+      const { fields, changes, error: validationError } = parseCandidateUpdate(
+        req.body,
+        candidate
+      );
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      if (changes.length === 0) {
+        return res.status(200).json({ message: 'Nothing changed.', candidate, changes });
+      }
+
+      const uniqueFields = {
+        email: changes.includes('email') ? fields.email : null,
+        phone: changes.includes('phone') ? fields.phone : null
+      };
+
+      // Same lock as uploads, so a resume with the new email or phone cannot slip in
+      // between the duplicate check and the update.
+      return await withDedupLock(buildDedupKeys(uniqueFields), async () => {
+        const conflicts = await findConflictingCandidates({
+          supabase,
+          candidateId: candidate.id,
+          fields: uniqueFields
+        });
+
+        if (conflicts.length > 0) {
+          const inUse = conflicts.map((conflict) => conflict.field).join(' and ');
+          return res.status(409).json({
+            error: `Another candidate already has this ${inUse}.`,
+            conflicts
+          });
+        }
+
+        const { data: updated, error } = await supabase
+          .from('candidates')
+          .update(Object.fromEntries(changes.map((field) => [field, fields[field]])))
+          .eq('id', candidate.id)
+          .is('archived_at', null)
+          .select('*')
+          .maybeSingle();
+
+        if (error) {
+          if (isUniqueViolation(error)) {
+            return res.status(409).json({
+              error: 'Another candidate already has this email or phone.',
+              details: error.details || null
+            });
+          }
+          throw new Error(`Failed to update candidate: ${error.message}`);
+        }
+
+        if (!updated) {
+          return res.status(404).json({ error: 'Candidate not found.' });
+        }
+
+        await recordAuditEntry({
+          supabase,
+          context: getAuditContext(req),
+          action: 'candidate.update',
+          targetId: candidate.id,
+          changes: diffFields(candidate, updated, changes)
+        }).catch((error) => console.error(`[audit] ${error.message}`));
+
+        return res.status(200).json({ message: 'Candidate updated.', candidate: updated, changes });
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.delete('/candidate/:id', async (req, res, next) => {
+    try {
+      const receipt = await deleteCandidate({
+        supabase,
+        interviewsSupabase,
+        bucket: config.resumeBucket,
+        candidateId: req.params.id
+      });
+
+      if (!receipt) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+      }
+
+      await recordAuditEntry({
+        supabase,
+        context: getAuditContext(req),
+        action: 'candidate.delete',
+        targetId: receipt.candidateId,
+        details: {
+          mergedCandidateIds: receipt.mergedCandidateIds,
+          removed: receipt.removed,
+          errors: receipt.errors.length
+        }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      return res.status(200).json({
+        message:
+          receipt.errors.length > 0
+            ? 'Candidate deleted, but some files or interviews could not be removed.'
+            : 'Candidate deleted.',
+        receipt
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/candidate/:id/resumes', async (req, res, next) => {
+    try {
+      const { data: candidate, error } = await supabase
+        .from('candidates')
+        .select('id, resume_url, created_at')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to fetch candidate: ${error.message}`);
+      }
+
+      if (!candidate) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+      }
+
+      const resumes = await listResumeVersions({ supabase, candidate });
+      return res.status(200).json({
+        candidateId: candidate.id,
+        count: resumes.length,
+        currentResumeId: resumes.find((resume) => resume.is_current)?.id || null,
+        resumes
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
   return router;
 }
 
@@ -0,0 +1,66 @@
+const express = require('express');
+const { listAuditEntries, parseAuditLogQuery, verifyAuditLog } = require('./audit-log');
+
+function parseEntryId(value, name) {
+  if (value === undefined || value === '') {
+    return { value: null };
+  }
+
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    return { error: `${name} must be a positive whole number.` };
+  }
+
+  return { value: id };
+}
+
+function createAuditLogRouter({ supabase }) {
+  const router = express.Router();
+
+  router.get('/audit-log', async (req, res, next) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const { filters, error: filterError } = parseAuditLogQuery(req.query);
+
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    try {
+      const { entries, totalCount } = await listAuditEntries({ supabase, filters, limit, offset });
+      return res.status(200).json({
+        count: entries.length,
+        totalCount,
+        limit,
+        offset,
+        entries
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/audit-log/verify', async (req, res, next) => {
+    const fromId = parseEntryId(req.query.fromId, 'fromId');
+    const toId = parseEntryId(req.query.toId, 'toId');
+
+    if (fromId.error || toId.error) {
+      return res.status(400).json({ error: fromId.error || toId.error });
+    }
+
+    try {
+      const result = await verifyAuditLog({
+        supabase,
+        fromId: fromId.value || 1,
+        toId: toId.value
+      });
+      return res.status(200).json(result);
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditLogRouter };
@@ -0,0 +1,215 @@
+const { parseDateParam } = require('./candidate-filters');
+
+const AUDIT_LOG_TABLE = 'audit_log';
+
+const AUDIT_ACTIONS = [
+  'candidate.view',
+  'candidate.export',
+  'candidate.upload',
+  'candidate.update',
+  'candidate.status_change',
+  'candidate.delete',
+  'candidate.anonymize',
+  'candidate.merge',
+  'candidate.tag',
+  'candidate.bookmark',
+  'note.add',
+  'note.edit',
+  'note.delete',
+  'interview.schedule'
+];
+
+// Taken while the request is open, so work that finishes later still names who started it.
+function getAuditContext(req) {
+  const auth = req.auth || {};
+  return {
+    actor_type: auth.type || 'anonymous',
+    actor_id: auth.id || null,
+    actor_email: auth.email || null,
+    actor_role: auth.role || null,
+    ip: req.ip || null
+  };
+}
+
+function getSystemAuditContext(name) {
+  return { actor_type: 'system', actor_id: name, actor_email: null, actor_role: null, ip: null };
+}
+
+// The fields anonymize_candidate clears. The log cannot be changed, so their values would
+// outlive an erasure; only the fact that they changed is recorded.
+const PERSONAL_FIELDS = new Set([
+  'name',
+  'email',
+  'phone',
+  'phones',
+  'resume_url',
+  'resume_simhash',
+  'work_history',
+  'education',
+  'current_location',
+  'last_ctc',
+  'expected_ctc',
+  'notice_end_date'
+]);
+
+function diffFields(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = PERSONAL_FIELDS.has(field) ? { redacted: true } : { from, to };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// The database assigns the id, time and hash chain; see audit_log in schema.sql.
+async function recordAuditEntries({
+  supabase,
+  context,
+  action,
+  targetIds,
+  targetType = 'candidate',
+  changes = null,
+  details = null
+}) {
+  if (targetIds.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase.from(AUDIT_LOG_TABLE).insert(
+    targetIds.map((targetId) => ({
+      ...context,
+      action,
+      target_type: targetType,
+      target_id: targetId === null ? null : String(targetId),
+      changes,
+      details
+    }))
+  );
+
+  if (error) {
+    throw new Error(`Failed to write audit log (${action}): ${error.message}`);
+  }
+}
+
+function recordAuditEntry({ targetId = null, ...entry }) {
+  return recordAuditEntries({ ...entry, targetIds: [targetId] });
+}
+
+// Lists and searches write one entry per request naming every candidate returned. The query
+// itself is left out, because a text search can be a person's name.
+async function recordCandidateExport({ supabase, req, candidateIds }) {
+  if (candidateIds.length === 0) {
+    return;
+  }
+
+  await recordAuditEntry({
+    supabase,
+    context: getAuditContext(req),
+    action: 'candidate.export',
+    targetType: 'candidate_list',
+    details: { route: `${req.method} ${req.baseUrl}${req.route.path}`, candidateIds }
+  });
+}
+
+function quoteFilterValue(value) {
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+function parseAuditLogQuery(query = {}) {
+  const from = parseDateParam(query, 'from');
+  const to = parseDateParam(query, 'to');
+  if (from.error || to.error) {
+    return { error: from.error || to.error };
+  }
+
+  const action = typeof query.action === 'string' ? query.action.trim() : '';
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return { error: `Unknown action "${action}". Use one of: ${AUDIT_ACTIONS.join(', ')}.` };
+  }
+
+  const filters = {
+    actor: typeof query.actor === 'string' ? query.actor.trim() || null : null,
+    candidateId: typeof query.candidateId === 'string' ? query.candidateId.trim() || null : null,
+    action: action || null,
+    from: from.value ? from.value.toISOString() : null,
+    to: null
+  };
+
+  // A bare date in `to` includes that whole day.
+  if (to.value) {
+    const upperBound = to.dateOnly ? new Date(to.value.getTime() + 24 * 60 * 60 * 1000) : to.value;
+    filters.to = { value: upperBound.toISOString(), inclusive: !to.dateOnly };
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to.value) {
+    return { error: 'from cannot be after to.' };
+  }
+
+  return { filters };
+}
+
+async function listAuditEntries({ supabase, filters, limit, offset }) {
+  let query = supabase.from(AUDIT_LOG_TABLE).select('*', { count: 'exact' });
+
+  if (filters.actor) {
+    query = query.or(
+      `actor_id.eq.${quoteFilterValue(filters.actor)},` +
+        `actor_email.eq.${quoteFilterValue(filters.actor.toLowerCase())}`
+    );
+  }
+  if (filters.candidateId) {
+    query = query.eq('target_type', 'candidate').eq('target_id', filters.candidateId);
+  }
+  if (filters.action) {
+    query = query.eq('action', filters.action);
+  }
+  if (filters.from) {
+    query = query.gte('occurred_at', filters.from);
+  }
+  if (filters.to) {
+    query = filters.to.inclusive
+      ? query.lte('occurred_at', filters.to.value)
+      : query.lt('occurred_at', filters.to.value);
+  }
+
+  const { data, error, count } = await query
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new Error(`Failed to read audit log: ${error.message}`);
+  }
+
+  return { entries: data || [], totalCount: count ?? 0 };
+}
+
+async function verifyAuditLog({ supabase, fromId = 1, toId = null }) {
+  const { data, error } = await supabase.rpc('verify_audit_log', {
+    p_from_id: fromId,
+    p_to_id: toId
+  });
+
+  if (error) {
+    throw new Error(`Failed to verify audit log: ${error.message}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_LOG_TABLE,
+  diffFields,
+  getAuditContext,
+  getSystemAuditContext,
+  listAuditEntries,
+  parseAuditLogQuery,
+  recordCandidateExport,
+  recordAuditEntries,
+  recordAuditEntry,
+  verifyAuditLog
+};
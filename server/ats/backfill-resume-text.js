@@ -0,0 +1,149 @@
+// Re-reads stored resumes and saves their text for full-text search.
+//
+//   node server/ats/backfill-resume-text.js           (dry run: extract, report, write nothing)
+//   node server/ats/backfill-resume-text.js --apply   (save the extracted text)
+//   node server/ats/backfill-resume-text.js --all     (also redo candidates that already have text)
+const { createClient } = require('@supabase/supabase-js');
+const { loadEnvFiles } = require('./env-files');
+const { extractResumeText } = require('./resume-extractor');
+const { CANDIDATE_RESUME_TEXTS_TABLE, saveResumeText } = require('./resume-text-search');
+
+const PAGE_SIZE = 200;
+
+function parseArgs(argv) {
+  return {
+    apply: argv.includes('--apply'),
+    redoAll: argv.includes('--all'),
+    resumeBucket: process.env.SUPABASE_RESUME_BUCKET || 'resumes'
+  };
+}
+
+function createSupabaseClient() {
+  const url = process.env.ATS_SUPABASE_URL || process.env.SUPABASE_URL;
+  const key = process.env.ATS_SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) {
+    throw new Error('Missing Supabase URL or service role key in environment.');
+  }
+
+  return createClient(url, key);
+}
+
+async function fetchCandidatePage(supabase, afterId) {
+  let query = supabase
+    .from('candidates')
+    .select('id, resume_url')
+    .not('resume_url', 'is', null)
+    .is('archived_at', null)
+    .order('id', { ascending: true })
+    .limit(PAGE_SIZE);
+
+  if (afterId) {
+    query = query.gt('id', afterId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load candidates: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+async function fetchCandidatesWithText(supabase, candidateIds) {
+  const { data, error } = await supabase
+    .from(CANDIDATE_RESUME_TEXTS_TABLE)
+    .select('candidate_id')
+    .in('candidate_id', candidateIds);
+
+  if (error) {
+    throw new Error(`Failed to load saved resume text: ${error.message}`);
+  }
+
+  return new Set((data || []).map((row) => row.candidate_id));
+}
+
+function getStoragePathFromUrl(resumeUrl, resumeBucket) {
+  const marker = `/storage/v1/object/public/${resumeBucket}/`;
+  const index = resumeUrl.indexOf(marker);
+  return index === -1 ? null : decodeURIComponent(resumeUrl.slice(index + marker.length));
+}
+
+async function downloadResume(supabase, resumeUrl, resumeBucket) {
+  const storagePath = getStoragePathFromUrl(resumeUrl, resumeBucket);
+
+  if (storagePath) {
+    const { data, error } = await supabase.storage.from(resumeBucket).download(storagePath);
+    if (error) {
+      throw new Error(`Failed to download ${storagePath}: ${error.message}`);
+    }
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  const response = await fetch(resumeUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${resumeUrl}: HTTP ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function run() {
+  loadEnvFiles();
+  const options = parseArgs(process.argv.slice(2));
+  const supabase = createSupabaseClient();
+  const report = { scanned: 0, skipped: 0, extracted: [], empty: [], failed: [] };
+
+  let afterId = null;
+  while (true) {
+    const rows = await fetchCandidatePage(supabase, afterId);
+    report.scanned += rows.length;
+
+    const withText = options.redoAll
+      ? new Set()
+      : await fetchCandidatesWithText(supabase, rows.map((row) => row.id));
+
+    for (const row of rows) {
+      if (withText.has(row.id)) {
+        report.skipped += 1;
+        continue;
+      }
+
+      try {
+        const fileBuffer = await downloadResume(supabase, row.resume_url, options.resumeBucket);
+        const resumeText = await extractResumeText(fileBuffer);
+        const entry = { id: row.id, characters: resumeText.trim().length };
+
+        if (options.apply) {
+          await saveResumeText({
+            supabase,
+            candidateId: row.id,
+            resumeUrl: row.resume_url,
+            resumeText
+          });
+        }
+
+        (entry.characters > 0 ? report.extracted : report.empty).push(entry);
+      } catch (error) {
+        report.failed.push({ id: row.id, resumeUrl: row.resume_url, error: error.message });
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) {
+      break;
+    }
+    afterId = rows[rows.length - 1].id;
+  }
+
+  console.log(
+    `[resume-text] ${options.apply ? 'applied' : 'dry run'} scanned=${report.scanned} ` +
+      `skipped=${report.skipped} extracted=${report.extracted.length} ` +
+      `empty=${report.empty.length} failed=${report.failed.length}`
+  );
+  console.log(JSON.stringify(report, null, 2));
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -3,20 +3,21 @@ const fs = require('fs');
 const path = require('path');
 const { promises: fsPromises } = require('fs');
 const multer = require('multer');
-const { PDFParse } = require('pdf-parse');
-const { parseResumeText } = require('./resume-parser');
+const { resumeFileFilter } = require('./resume-extractor');
+const { createCandidateIngestor } = require('./candidate-ingest');
 const {
-  DuplicateCandidateError,
-  buildDedupKeys,
-  buildResumeHash,
-  buildResumeStoragePath,
-  findExistingCandidate,
-  getResumePublicUrl,
-  isStorageAlreadyExistsError,
-  isUniqueViolation,
-  normalizeCandidatePayload,
-  withDedupLock
-} = require('./candidate-dedup');
+  createUploadJob,
+  recordUploadJobFile,
+  startUploadJobHeartbeat,
+  updateUploadJob
+} = require('./upload-jobs');
+const { ResumeArchiveError, extractResumeArchive, isZipUpload } = require('./resume-archive');
+const { createUploadPreviewStore } = require('./upload-previews');
+const { CORRECTABLE_CANDIDATE_FIELDS } = require('./candidate-dedup');
+const { getAuditContext, recordAuditEntry } = require('./audit-log');
+const { startScheduledTask } = require('./scheduled-task');
+
+const PREVIEW_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
 
 function getConfig() {
   const maxFilesPerRequestRaw = Number(process.env.MAX_FILES_PER_REQUEST);
@@ -35,24 +36,90 @@ function getConfig() {
   const maxFileSizeMb =
     Number.isFinite(maxFileSizeMbRaw) && maxFileSizeMbRaw > 0 ? maxFileSizeMbRaw : 10;
 
+  const maxZipFileSizeMbRaw = Number(process.env.MAX_ZIP_FILE_SIZE_MB);
+  const maxZipFileSizeMb =
+    Number.isFinite(maxZipFileSizeMbRaw) && maxZipFileSizeMbRaw > 0 ? maxZipFileSizeMbRaw : 100;
+
+  const maxZipUncompressedMbRaw = Number(process.env.MAX_ZIP_UNCOMPRESSED_MB);
+  const maxZipUncompressedMb =
+    Number.isFinite(maxZipUncompressedMbRaw) && maxZipUncompressedMbRaw > 0
+      ? maxZipUncompressedMbRaw
+      : 500;
+
+  const maxZipEntriesRaw = Number(process.env.MAX_ZIP_ENTRIES);
+  const maxZipEntries =
+    Number.isFinite(maxZipEntriesRaw) && maxZipEntriesRaw > 0 ? Math.floor(maxZipEntriesRaw) : 1000;
+
+  const dryRunTtlMinutesRaw = Number(process.env.DRY_RUN_TTL_MINUTES);
+  const dryRunTtlMinutes =
+    Number.isFinite(dryRunTtlMinutesRaw) && dryRunTtlMinutesRaw > 0 ? dryRunTtlMinutesRaw : 60;
+
   return {
     maxFilesPerRequest,
     bulkUploadConcurrency,
     maxFileSizeBytes: Math.floor(maxFileSizeMb * 1024 * 1024),
-    resumeBucket: process.env.SUPABASE_RESUME_BUCKET || 'resumes'
+    maxZipFileSizeBytes: Math.floor(maxZipFileSizeMb * 1024 * 1024),
+    maxZipUncompressedBytes: Math.floor(maxZipUncompressedMb * 1024 * 1024),
+    maxZipEntries,
+    dryRunTtlMs: Math.floor(dryRunTtlMinutes * 60 * 1000),
+    resumeBucket: process.env.SUPABASE_RESUME_BUCKET || 'resumes',
+    previewBucket: (process.env.UPLOAD_PREVIEW_BUCKET || '').trim() || null
   };
 }
 
-async function parseResumeBuffer(fileBuffer) {
-  const parser = new PDFParse({ data: fileBuffer });
-
-  try {
-    const parsedPdf = await parser.getText();
-    return parseResumeText(parsedPdf?.text || '');
-  } finally {
-    await parser.destroy().catch(() => {});
-  }
-}
+function createLimitError(file, maxBytes) {
+  const error = new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname);
+  error.maxSizeMb = Number((maxBytes / 1024 / 1024).toFixed(2));
+  return error;
+}
+
+// Like multer.diskStorage, but a resume stops uploading at the resume limit while a ZIP
+// archive gets the larger archive limit, so one limit never has to fit both.
+function createUploadStorage({ directory, maxFileSizeBytes, maxZipFileSizeBytes }) {
+  return {
+    _handleFile(_req, file, callback) {
+      const maxBytes = isZipUpload(file) ? maxZipFileSizeBytes : maxFileSizeBytes;
+      const extension = path.extname(file.originalname).toLowerCase() || '.bin';
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1e9)}${extension}`;
+      const filePath = path.join(directory, filename);
+      const output = fs.createWriteStream(filePath);
+      let size = 0;
+      let failed = false;
+
+      function fail(error) {
+        if (failed) {
+          return;
+        }
+
+        failed = true;
+        file.stream.unpipe(output);
+        output.destroy();
+        fs.unlink(filePath, () => callback(error));
+      }
+
+      file.stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          fail(createLimitError(file, maxBytes));
+        }
+      });
+      file.stream.on('error', fail);
+      output.on('error', fail);
+      output.on('finish', () => {
+        if (!failed) {
+          callback(null, { destination: directory, filename, path: filePath, size });
+        }
+      });
+      file.stream.pipe(output);
+    },
+
+    _removeFile(_req, file, callback) {
+      const filePath = file.path;
+      delete file.path;
+      fs.unlink(filePath, callback);
+    }
+  };
+}
 
 async function deleteTempFile(filePath) {
   if (!filePath) {
@@ -83,6 +150,61 @@ async function processFilesWithConcurrency(files, concurrency, handler) {
   return results;
 }
 
+function readBooleanFlag(req, name) {
+  return String(req.query[name] ?? req.body?.[name] ?? '').trim().toLowerCase() === 'true';
+}
+
+function parseCorrections(rawCorrections) {
+  if (rawCorrections === undefined || rawCorrections === null) {
+    return { corrections: {} };
+  }
+
+  if (typeof rawCorrections !== 'object' || Array.isArray(rawCorrections)) {
+    return {
+      error: 'corrections must be an object keyed by preview index, e.g. { "0": { "name": "..." } }.'
+    };
+  }
+
+  for (const [index, fields] of Object.entries(rawCorrections)) {
+    if (!/^\d+$/.test(index)) {
+      return { error: `Invalid preview index "${index}" in corrections.` };
+    }
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return { error: `Corrections for preview ${index} must be an object.` };
+    }
+
+    const unknownField = Object.keys(fields).find(
+      (field) => !CORRECTABLE_CANDIDATE_FIELDS.includes(field)
+    );
+    if (unknownField) {
+      const allowedFields = CORRECTABLE_CANDIDATE_FIELDS.join(', ');
+      return { error: `Cannot correct "${unknownField}". Use one of: ${allowedFields}.` };
+    }
+  }
+
+  return { corrections: rawCorrections };
+}
+
+function summarizeOutcomes(outcomes) {
+  const uploaded = outcomes
+    .filter((result) => result?.ok)
+    .map((result) => ({
+      fileName: result.fileName,
+      candidate: result.candidate,
+      possibleDuplicates: result.possibleDuplicates
+    }));
+
+  const failed = outcomes
+    .filter((result) => result && !result.ok)
+    .map((result) => ({
+      fileName: result.fileName,
+      error: result.error
+    }));
+
+  return { uploaded, failed };
+}
+
 function createBulkUploadRouter({ supabase }) {
   const router = express.Router();
   const config = getConfig();
@@ -92,176 +214,212 @@ function createBulkUploadRouter({ supabase }) {
     fs.mkdirSync(uploadsDir, { recursive: true });
   }
 
-  const limits = {
-    fileSize: config.maxFileSizeBytes
-  };
+  const limits = {};
 
   if (config.maxFilesPerRequest > 0) {
     limits.files = config.maxFilesPerRequest;
   }
 
-  const storage = multer.diskStorage({
-    destination: (_req, _file, callback) => {
-      callback(null, uploadsDir);
-    },
-    filename: (_req, file, callback) => {
-      const extension = path.extname(file.originalname).toLowerCase() || '.pdf';
-      callback(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${extension}`);
-    }
+  const storage = createUploadStorage({
+    directory: uploadsDir,
+    maxFileSizeBytes: config.maxFileSizeBytes,
+    maxZipFileSizeBytes: config.maxZipFileSizeBytes
   });
 
   const upload = multer({
     storage,
     limits,
-    fileFilter: (_req, file, callback) => {
-      const hasPdfMimeType = file.mimetype === 'application/pdf';
-      const hasPdfExtension = path.extname(file.originalname).toLowerCase() === '.pdf';
-
-      if (hasPdfMimeType || hasPdfExtension) {
+    fileFilter: (req, file, callback) => {
+      if (isZipUpload(file)) {
         callback(null, true);
         return;
       }
 
-      callback(new Error('Only PDF files are allowed.'));
+      resumeFileFilter(req, file, callback);
     }
   });
 
-  async function saveCandidateFromFile(file) {
-    const fileBuffer = await fsPromises.readFile(file.path);
-    const parsed = await parseResumeBuffer(fileBuffer);
-    const resumeHash = buildResumeHash(fileBuffer);
-    const storagePath = buildResumeStoragePath(resumeHash);
-    const resumeUrl = getResumePublicUrl(supabase, config.resumeBucket, storagePath);
-    const payload = normalizeCandidatePayload(parsed, resumeUrl);
-    const dedupKeys = buildDedupKeys({
-      email: payload.email,
-      phone: payload.phone,
-      resumeHash
-    });
-
-    return withDedupLock(dedupKeys, async () => {
-      const existingBeforeUpload = await findExistingCandidate({
-        supabase,
-        email: payload.email,
-        phone: payload.phone,
-        resumeUrl
-      });
-
-      if (existingBeforeUpload) {
-        throw new DuplicateCandidateError(
-          `Duplicate candidate skipped (matched by ${existingBeforeUpload.matchBy}).`,
-          existingBeforeUpload
-        );
-      }
-
-      const { error: storageError } = await supabase.storage
-        .from(config.resumeBucket)
-        .upload(storagePath, fileBuffer, {
-          contentType: 'application/pdf',
-          upsert: false
-        });
+  const { previewCandidateFromFile, saveCandidateFromFile } = createCandidateIngestor({
+    supabase,
+    resumeBucket: config.resumeBucket
+  });
 
-      if (storageError && !isStorageAlreadyExistsError(storageError)) {
-        throw new Error(`Failed to upload resume to Supabase Storage: ${storageError.message}`);
-      }
-
-      if (isStorageAlreadyExistsError(storageError)) {
-        const existingByFile = await findExistingCandidate({
-          supabase,
-          email: payload.email,
-          phone: payload.phone,
-          resumeUrl
-        });
-
-        if (existingByFile) {
-          throw new DuplicateCandidateError(
-            `Duplicate candidate skipped (matched by ${existingByFile.matchBy}).`,
-            existingByFile
-          );
-        }
-      }
-
-      const { data: insertedCandidate, error: insertError } = await supabase
-        .from('candidates')
-        .insert(payload)
-        .select('*')
-        .single();
-
-      if (insertError) {
-        if (isUniqueViolation(insertError)) {
-          const existingAfterConflict = await findExistingCandidate({
-            supabase,
-            email: payload.email,
-            phone: payload.phone,
-            resumeUrl
-          });
-
-          throw new DuplicateCandidateError(
-            `Duplicate candidate skipped (matched by ${existingAfterConflict?.matchBy || 'constraint'}).`,
-            existingAfterConflict || {}
-          );
-        }
-
-        throw new Error(`Failed to save candidate in database: ${insertError.message}`);
-      }
-
-      return insertedCandidate;
-    });
-  }
+  const previewStore = createUploadPreviewStore({
+    supabase,
+    bucket: config.previewBucket,
+    directory: uploadsDir,
+    ttlMs: config.dryRunTtlMs
+  });
 
-  router.post('/upload-resumes', upload.any(), async (req, res, next) => {
-    const files = Array.isArray(req.files) ? req.files : [];
+  async function expandUploadedFiles(uploadedFiles) {
+    const files = [];
+    const failed = [];
 
-    if (files.length === 0) {
-      return res.status(400).json({
-        error: 'Missing files. Send one or more PDFs in form-data.'
+    for (const file of uploadedFiles) {
+      if (!isZipUpload(file)) {
+        files.push(file);
+        continue;
+      }
+
+      try {
+        const extracted = await extractResumeArchive(file, {
+          destinationDir: uploadsDir,
+          maxEntries: config.maxZipEntries,
+          maxEntryBytes: config.maxFileSizeBytes,
+          maxTotalBytes: config.maxZipUncompressedBytes
+        });
+        files.push(...extracted.files);
+        failed.push(...extracted.failed);
+      } catch (error) {
+        if (!(error instanceof ResumeArchiveError)) {
+          throw error;
+        }
+
+        failed.push({ fileName: file.originalname, error: error.message });
+      } finally {
+        await deleteTempFile(file.path);
+      }
+    }
+
+    return { files, failed };
+  }
+
+  async function processUploadedFile(file, auditContext, jobId = null) {
+    try {
+      const { candidate, possibleDuplicates } = await saveCandidateFromFile(file, {
+        corrections: file.corrections || null
       });
+      await recordAuditEntry({
+        supabase,
+        context: auditContext,
+        action: 'candidate.upload',
+        targetId: candidate.id,
+        details: { jobId }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+      return {
+        ok: true,
+        fileName: file.originalname,
+        candidate,
+        possibleDuplicates
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        fileName: file.originalname,
+        error: error.message
+      };
+    } finally {
+      await deleteTempFile(file.path);
     }
+  }
+
+  async function runUploadJob(job, files, auditContext) {
+    const counts = {
+      processed_files: job.processed_files || 0,
+      uploaded_count: 0,
+      failed_count: job.failed_count || 0
+    };
+    let progressUpdates = Promise.resolve();
+    const stopHeartbeat = startUploadJobHeartbeat({ supabase, jobId: job.id });
 
     try {
-      const outcomes = await processFilesWithConcurrency(
-        files,
+      await updateUploadJob({
+        supabase,
+        jobId: job.id,
+        updates: { status: 'processing', started_at: new Date().toISOString() }
+      });
+
+      await processFilesWithConcurrency(
+        files.map((file, index) => ({ file, index })),
         config.bulkUploadConcurrency,
-        async (file) => {
-          try {
-            const candidate = await saveCandidateFromFile(file);
-            return {
-              ok: true,
-              fileName: file.originalname,
-              candidate
-            };
-          } catch (error) {
-            return {
-              ok: false,
-              fileName: file.originalname,
-              error: error.message
-            };
-          } finally {
-            await deleteTempFile(file.path);
-          }
+        async ({ file, index }) => {
+          const outcome = await processUploadedFile(file, auditContext, job.id);
+          counts.processed_files += 1;
+          counts[outcome.ok ? 'uploaded_count' : 'failed_count'] += 1;
+          const snapshot = { ...counts };
+
+          await recordUploadJobFile({ supabase, jobId: job.id, fileIndex: index, outcome }).catch(
+            (error) => console.error(`[upload-jobs] ${job.id}: ${error.message}`)
+          );
+
+          progressUpdates = progressUpdates
+            .then(() => updateUploadJob({ supabase, jobId: job.id, updates: snapshot }))
+            .catch((error) => console.error(`[upload-jobs] ${job.id}: ${error.message}`));
         }
       );
 
-      const uploaded = outcomes
-        .filter((result) => result?.ok)
-        .map((result) => ({
-          fileName: result.fileName,
-          candidate: result.candidate
-        }));
+      await progressUpdates;
+      await updateUploadJob({
+        supabase,
+        jobId: job.id,
+        updates: { ...counts, status: 'completed', finished_at: new Date().toISOString() }
+      });
+    } catch (error) {
+      console.error(`[upload-jobs] ${job.id}: ${error.message}`);
+      await Promise.all(files.map((file) => deleteTempFile(file.path)));
+      await updateUploadJob({
+        supabase,
+        jobId: job.id,
+        updates: {
+          ...counts,
+          status: 'failed',
+          error: error.message,
+          finished_at: new Date().toISOString()
+        }
+      }).catch(() => {});
+    } finally {
+      stopHeartbeat();
+    }
+  }
+
+  async function startBatch(req, res, files, previousFailures, release = async () => {}) {
+    const auditContext = getAuditContext(req);
+
+    if (!readBooleanFlag(req, 'wait')) {
+      let job;
+
+      try {
+        job = await createUploadJob({
+          supabase,
+          files,
+          failed: previousFailures,
+          concurrency: config.bulkUploadConcurrency
+        });
+      } catch (error) {
+        await Promise.all(files.map((file) => deleteTempFile(file.path)));
+        await release();
+        throw error;
+      }
+
+      runUploadJob(job, files, auditContext).finally(release);
+
+      return res.status(202).json({
+        message: 'Bulk upload accepted. Poll the job or subscribe to its events for progress.',
+        jobId: job.id,
+        status: job.status,
+        totalFiles: files.length + previousFailures.length,
+        concurrencyUsed: config.bulkUploadConcurrency,
+        maxFilesPerRequest: config.maxFilesPerRequest > 0 ? config.maxFilesPerRequest : 'unlimited',
+        statusUrl: `${req.baseUrl}/upload-jobs/${job.id}`,
+        eventsUrl: `${req.baseUrl}/upload-jobs/${job.id}/events`
+      });
+    }
 
-      const failed = outcomes
-        .filter((result) => result && !result.ok)
-        .map((result) => ({
-          fileName: result.fileName,
-          error: result.error
-        }));
+    try {
+      const outcomes = await processFilesWithConcurrency(
+        files,
+        config.bulkUploadConcurrency,
+        (file) => processUploadedFile(file, auditContext)
+      );
 
+      const { uploaded, failed } = summarizeOutcomes(outcomes);
+      failed.push(...previousFailures);
       const hasFailures = failed.length > 0;
       return res.status(hasFailures ? 207 : 201).json({
         message: hasFailures
           ? 'Bulk upload finished with partial failures.'
           : 'Bulk upload finished successfully.',
-        totalFiles: files.length,
+        totalFiles: files.length + previousFailures.length,
         concurrencyUsed: config.bulkUploadConcurrency,
         maxFilesPerRequest: config.maxFilesPerRequest > 0 ? config.maxFilesPerRequest : 'unlimited',
         uploadedCount: uploaded.length,
@@ -269,6 +427,142 @@ function createBulkUploadRouter({ supabase }) {
         uploaded,
         failed
       });
+    } finally {
+      await release();
+    }
+  }
+
+  async function previewBatch(res, files, archiveFailures) {
+    const outcomes = await processFilesWithConcurrency(
+      files,
+      config.bulkUploadConcurrency,
+      async (file) => {
+        try {
+          return { ok: true, file, ...(await previewCandidateFromFile(file)) };
+        } catch (error) {
+          await deleteTempFile(file.path);
+          return { ok: false, fileName: file.originalname, error: error.message };
+        }
+      }
+    );
+
+    const parsedOutcomes = outcomes.filter((result) => result.ok);
+    const failed = [
+      ...outcomes
+        .filter((result) => !result.ok)
+        .map((result) => ({ fileName: result.fileName, error: result.error })),
+      ...archiveFailures
+    ];
+
+    let preview;
+    try {
+      preview = await previewStore.createPreview(parsedOutcomes.map((result) => result.file));
+    } catch (error) {
+      await Promise.all(parsedOutcomes.map((result) => deleteTempFile(result.file.path)));
+      throw error;
+    }
+
+    return res.status(200).json({
+      message: 'Dry run finished. Nothing was saved.',
+      token: preview.token,
+      expiresAt: preview.expiresAt,
+      totalFiles: files.length + archiveFailures.length,
+      previewCount: parsedOutcomes.length,
+      duplicateCount: parsedOutcomes.filter((result) => result.duplicate).length,
+      failedCount: failed.length,
+      previews: parsedOutcomes.map((result, index) => ({
+        index,
+        fileName: result.file.originalname,
+        candidate: result.candidate,
+        duplicate: result.duplicate,
+        possibleDuplicates: result.possibleDuplicates
+      })),
+      failed
+    });
+  }
+
+  router.post('/upload-resumes', upload.any(), async (req, res, next) => {
+    const uploadedFiles = Array.isArray(req.files) ? req.files : [];
+
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({
+        error:
+          'Missing files. Send resume files (PDF, DOCX, DOC, RTF or TXT) or ZIP archives in form-data.'
+      });
+    }
+
+    if (readBooleanFlag(req, 'dryRun')) {
+      const bucketProblem = await previewStore.checkPreviewBucket().catch((error) => error.message);
+      if (bucketProblem) {
+        await Promise.all(uploadedFiles.map((file) => deleteTempFile(file.path)));
+        return res.status(503).json({ error: bucketProblem });
+      }
+    }
+
+    let files;
+    let archiveFailures;
+
+    try {
+      ({ files, failed: archiveFailures } = await expandUploadedFiles(uploadedFiles));
+    } catch (error) {
+      await Promise.all(uploadedFiles.map((file) => deleteTempFile(file.path)));
+      return next(error);
+    }
+
+    try {
+      if (readBooleanFlag(req, 'dryRun')) {
+        return await previewBatch(res, files, archiveFailures);
+      }
+
+      return await startBatch(req, res, files, archiveFailures);
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.post('/upload-resumes/commit', async (req, res, next) => {
+    const body = req.body || {};
+    const { corrections, error: correctionsError } = parseCorrections(body.corrections);
+
+    if (!body.token || typeof body.token !== 'string') {
+      return res.status(400).json({ error: 'Missing token from a dryRun upload.' });
+    }
+
+    if (correctionsError) {
+      return res.status(400).json({ error: correctionsError });
+    }
+
+    try {
+      const notFound = {
+        error: 'Dry-run token not found. It may have expired or already been committed.'
+      };
+      const pendingPreview = await previewStore.getPreview(body.token);
+
+      if (!pendingPreview) {
+        return res.status(404).json(notFound);
+      }
+
+      const unknownIndexes = Object.keys(corrections).filter(
+        (index) => !pendingPreview.files.some((file) => String(file.index) === index)
+      );
+      if (unknownIndexes.length > 0) {
+        return res.status(400).json({
+          error: `Corrections refer to unknown preview index: ${unknownIndexes.join(', ')}.`
+        });
+      }
+
+      const preview = await previewStore.claimPreview(body.token);
+      if (!preview) {
+        return res.status(404).json(notFound);
+      }
+
+      const files = preview.files.map((file) => ({
+        originalname: file.fileName,
+        path: file.path,
+        corrections: corrections[String(file.index)] || null
+      }));
+
+      return await startBatch(req, res, files, [], preview.release);
     } catch (error) {
       return next(error);
     }
@@ -277,4 +571,26 @@ function createBulkUploadRouter({ supabase }) {
   return router;
 }
 
-module.exports = { createBulkUploadRouter };
+// Removes expired and abandoned dry-run previews from the database and the preview bucket.
+function startPreviewSweep({ supabase }) {
+  const config = getConfig();
+  if (!config.previewBucket) {
+    return null;
+  }
+
+  const previewStore = createUploadPreviewStore({
+    supabase,
+    bucket: config.previewBucket,
+    directory: null,
+    ttlMs: config.dryRunTtlMs
+  });
+
+  previewStore.sweepExpiredPreviews();
+  return startScheduledTask({
+    name: 'upload-previews',
+    intervalMs: PREVIEW_SWEEP_INTERVAL_MS,
+    task: () => previewStore.sweepExpiredPreviews()
+  });
+}
+
+module.exports = { createBulkUploadRouter, startPreviewSweep };
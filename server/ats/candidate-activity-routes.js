@@ -0,0 +1,322 @@
+const express = require('express');
+const {
+  CANDIDATE_NOTES_TABLE,
+  getMentionEmailDomains,
+  listNoteRevisions,
+  notifyMentions,
+  parseNoteBody
+} = require('./candidate-notes');
+const { getRequestActor } = require('./api-auth');
+const { getAuditContext, recordAuditEntry } = require('./audit-log');
+const { TIMELINE_EVENT_TYPES, buildCandidateTimeline } = require('./candidate-timeline');
+
+function canManageNote(req, note) {
+  return req.auth?.role === 'admin' || note.author === getRequestActor(req);
+}
+
+function parseEventTypes(value) {
+  if (value === undefined || String(value).trim() === '') {
+    return { types: null };
+  }
+
+  const types = String(value)
+    .split(',')
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = types.find((type) => !TIMELINE_EVENT_TYPES.includes(type));
+  if (unknown) {
+    return {
+      error: `Unknown event type "${unknown}". Use any of: ${TIMELINE_EVENT_TYPES.join(', ')}.`
+    };
+  }
+
+  return { types: new Set(types) };
+}
+
+function createCandidateActivityRouter({
+  supabase,
+  interviewsSupabase,
+  transporter,
+  mailFrom,
+  mentionEmailDomains = getMentionEmailDomains()
+}) {
+  const router = express.Router();
+
+  async function withCandidate(req, res, next, handler) {
+    try {
+      const { data: candidate, error } = await supabase
+        .from('candidates')
+        .select('*')
+        .eq('id', req.params.id)
+        .is('archived_at', null)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to load candidate: ${error.message}`);
+      }
+
+      if (!candidate) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+      }
+
+      return await handler(candidate);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  async function loadNote(candidateId, noteId) {
+    const { data, error } = await supabase
+      .from(CANDIDATE_NOTES_TABLE)
+      .select('*')
+      .eq('id', noteId)
+      .eq('candidate_id', candidateId)
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '22P02') {
+        return null;
+      }
+      throw new Error(`Failed to load note: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  router.get('/candidate/:id/notes', (req, res, next) =>
+    withCandidate(req, res, next, async (candidate) => {
+      const { data: notes, error } = await supabase
+        .from(CANDIDATE_NOTES_TABLE)
+        .select('*')
+        .eq('candidate_id', candidate.id)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw new Error(`Failed to list notes: ${error.message}`);
+      }
+
+      return res.status(200).json({ count: notes?.length || 0, notes: notes || [] });
+    })
+  );
+
+  router.post('/candidate/:id/notes', (req, res, next) => {
+    const body = req.body || {};
+    const { body: noteBody, mentions, error: bodyError } = parseNoteBody(body.body);
+    const author = getRequestActor(req);
+
+    if (bodyError || !author) {
+      return res.status(400).json({ error: bodyError || 'Sign in to add notes.' });
+    }
+
+    return withCandidate(req, res, next, async (candidate) => {
+      const { data: note, error } = await supabase
+        .from(CANDIDATE_NOTES_TABLE)
+        .insert({ candidate_id: candidate.id, body: noteBody, author, mentions })
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to save note: ${error.message}`);
+      }
+
+      // Note text is free-form and may hold personal data, so only the note id is logged.
+      await recordAuditEntry({
+        supabase,
+        context: getAuditContext(req),
+        action: 'note.add',
+        targetId: candidate.id,
+        details: { noteId: note.id }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      const notified = await notifyMentions({
+        transporter,
+        from: mailFrom,
+        candidate,
+        note,
+        author,
+        mentions,
+        domains: mentionEmailDomains
+      });
+      return res.status(201).json({ message: 'Note added.', note, notified });
+    });
+  });
+
+  router.patch('/candidate/:id/notes/:noteId', (req, res, next) => {
+    const body = req.body || {};
+    const { body: noteBody, mentions, error: bodyError } = parseNoteBody(body.body);
+    const editedBy = getRequestActor(req);
+
+    if (bodyError || !editedBy) {
+      return res.status(400).json({ error: bodyError || 'Sign in to edit notes.' });
+    }
+
+    return withCandidate(req, res, next, async (candidate) => {
+      const note = await loadNote(candidate.id, req.params.noteId);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found.' });
+      }
+      if (!canManageNote(req, note)) {
+        return res.status(403).json({ error: 'Only its author or an admin can edit this note.' });
+      }
+
+      const { data: result, error } = await supabase.rpc('edit_candidate_note', {
+        p_note_id: req.params.noteId,
+        p_candidate_id: candidate.id,
+        p_body: noteBody,
+        p_mentions: mentions,
+        p_edited_by: editedBy
+      });
+
+      if (error) {
+        if (error.code === 'P0002' || error.code === '22P02') {
+          return res.status(404).json({ error: 'Note not found.' });
+        }
+        throw new Error(`Failed to edit note: ${error.message}`);
+      }
+
+      await recordAuditEntry({
+        supabase,
+        context: getAuditContext(req),
+        action: 'note.edit',
+        targetId: candidate.id,
+        details: { noteId: result.note.id }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      const previousMentions = new Set(result.revision.mentions || []);
+      const notified = await notifyMentions({
+        transporter,
+        from: mailFrom,
+        candidate,
+        note: result.note,
+        author: editedBy,
+        mentions: mentions.filter((mention) => !previousMentions.has(mention)),
+        domains: mentionEmailDomains
+      });
+      return res.status(200).json({
+        message: 'Note updated.',
+        note: result.note,
+        revision: result.revision,
+        notified
+      });
+    });
+  });
+
+  router.delete('/candidate/:id/notes/:noteId', async (req, res, next) => {
+    try {
+      const note = await loadNote(req.params.id, req.params.noteId);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found.' });
+      }
+      if (!canManageNote(req, note)) {
+        return res.status(403).json({ error: 'Only its author or an admin can delete this note.' });
+      }
+
+      const { data: deleted, error } = await supabase
+        .from(CANDIDATE_NOTES_TABLE)
+        .delete()
+        .eq('id', req.params.noteId)
+        .eq('candidate_id', req.params.id)
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to delete note: ${error.message}`);
+      }
+
+      if (!deleted || deleted.length === 0) {
+        return res.status(404).json({ error: 'Note not found.' });
+      }
+
+      await recordAuditEntry({
+        supabase,
+        context: getAuditContext(req),
+        action: 'note.delete',
+        targetId: note.candidate_id,
+        details: { noteId: note.id }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      return res.status(200).json({ message: 'Note deleted.', id: req.params.noteId });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/candidate/:id/notes/:noteId/history', async (req, res, next) => {
+    try {
+      const note = await loadNote(req.params.id, req.params.noteId);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found.' });
+      }
+
+      const revisions = await listNoteRevisions(supabase, [note.id]);
+      return res.status(200).json({ note, count: revisions.length, revisions });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/notes', async (req, res, next) => {
+    const mention = String(req.query.mention || '')
+      .trim()
+      .replace(/^@/, '')
+      .toLowerCase();
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    if (!mention) {
+      return res.status(400).json({ error: 'Missing mention. Example: ?mention=jane.doe' });
+    }
+
+    try {
+      const { data: notes, error, count } = await supabase
+        .from(CANDIDATE_NOTES_TABLE)
+        .select('*', { count: 'exact' })
+        .contains('mentions', [mention])
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to list notes: ${error.message}`);
+      }
+
+      return res.status(200).json({
+        count: notes?.length || 0,
+        totalCount: count ?? 0,
+        limit,
+        offset,
+        mention,
+        notes: notes || []
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/candidate/:id/timeline', (req, res, next) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const { types, error: typesError } = parseEventTypes(req.query.types);
+    if (typesError) {
+      return res.status(400).json({ error: typesError });
+    }
+
+    return withCandidate(req, res, next, async (candidate) => {
+      const events = (
+        await buildCandidateTimeline({ supabase, interviewsSupabase, candidate })
+      ).filter((event) => !types || types.has(event.type));
+      const page = events.slice(offset, offset + limit);
+
+      return res.status(200).json({
+        candidateId: candidate.id,
+        count: page.length,
+        totalCount: events.length,
+        limit,
+        offset,
+        events: page
+      });
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createCandidateActivityRouter };
@@ -0,0 +1,59 @@
+const CANDIDATE_CONSENTS_TABLE = 'candidate_consents';
+
+function getConsentValidityMonths() {
+  const monthsRaw = Number(process.env.CONSENT_VALIDITY_MONTHS);
+  return Number.isFinite(monthsRaw) && monthsRaw > 0 ? Math.floor(monthsRaw) : 24;
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+// Reads the consent fields of an upload form. No "consent=true" means nothing is recorded.
+function parseUploadConsent(body, now = new Date()) {
+  if (String(body?.consent ?? '').trim().toLowerCase() !== 'true') {
+    return { consent: null };
+  }
+
+  let expiresAt = addMonths(now, getConsentValidityMonths());
+  if (body.consentExpiresAt) {
+    const time = Date.parse(body.consentExpiresAt);
+    if (!Number.isFinite(time) || time <= now.getTime()) {
+      return { error: 'consentExpiresAt must be a future date (YYYY-MM-DD or ISO timestamp).' };
+    }
+    expiresAt = new Date(time);
+  }
+
+  const policyVersion =
+    typeof body.consentVersion === 'string' ? body.consentVersion.trim() || null : null;
+  return {
+    consent: {
+      policy_version: policyVersion,
+      given_at: now.toISOString(),
+      expires_at: expiresAt.toISOString()
+    }
+  };
+}
+
+async function recordCandidateConsent({ supabase, candidateId, consent, source = 'upload' }) {
+  const { data, error } = await supabase
+    .from(CANDIDATE_CONSENTS_TABLE)
+    .insert({ candidate_id: candidateId, source, ...consent })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record consent: ${error.message}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  CANDIDATE_CONSENTS_TABLE,
+  getConsentValidityMonths,
+  parseUploadConsent,
+  recordCandidateConsent
+};
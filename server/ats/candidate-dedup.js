@@ -1,4 +1,7 @@
 const crypto = require('crypto');
+const { normalizePhone, normalizePhones } = require('./phone-normalizer');
+const { getSkillTaxonomy } = require('./skill-taxonomy');
+const { DedupLockTimeoutError, getDedupLock, getDedupLockConfig } = require('./dedup-lock');
 
 class DuplicateCandidateError extends Error {
   constructor(message, details = {}) {
@@ -9,7 +12,17 @@ class DuplicateCandidateError extends Error {
   }
 }
 
-const inFlightDedupKeys = new Set();
+const CORRECTABLE_CANDIDATE_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'phones',
+  'skills',
+  'experience',
+  'work_history',
+  'education',
+  'certifications'
+];
 
 function normalizeEmail(value) {
   if (!value || typeof value !== 'string') {
@@ -20,27 +33,6 @@ function normalizeEmail(value) {
   return normalized || null;
 }
 
-function normalizePhone(value) {
-  if (!value || typeof value !== 'string') {
-    return null;
-  }
-
-  const digits = value.replace(/\D/g, '');
-  if (!digits) {
-    return null;
-  }
-
-  if (digits.length === 10) {
-    return `+1${digits}`;
-  }
-
-  if (digits.length === 11 && digits.startsWith('1')) {
-    return `+${digits}`;
-  }
-
-  return `+${digits}`;
-}
-
 function normalizeName(value) {
   if (!value || typeof value !== 'string') {
     return null;
@@ -64,23 +56,73 @@ function normalizeSkills(skills) {
   );
 }
 
+function normalizeExperienceYears(value) {
+  const years = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(years) && years >= 0
+    ? Math.round(years * 10) / 10
+    : null;
+}
+
 function normalizeCandidatePayload(parsed, resumeUrl) {
+  const phones = normalizePhones([parsed?.phone, ...(parsed?.phones || [])]);
+
   return {
     name: normalizeName(parsed?.name),
     email: normalizeEmail(parsed?.email),
-    phone: normalizePhone(parsed?.phone),
+    phone: phones[0] || null,
+    phones,
     skills: normalizeSkills(parsed?.skills),
+    experience: normalizeExperienceYears(parsed?.totalExperienceYears),
+    work_history: Array.isArray(parsed?.workHistory) ? parsed.workHistory : [],
+    education: Array.isArray(parsed?.education) ? parsed.education : [],
+    certifications: Array.isArray(parsed?.certifications) ? parsed.certifications : [],
     resume_url: resumeUrl || null
   };
 }
 
+function applyCandidateCorrections(payload, corrections = {}) {
+  const merged = { ...payload };
+  for (const field of CORRECTABLE_CANDIDATE_FIELDS) {
+    if (field in corrections) {
+      merged[field] = corrections[field];
+    }
+  }
+
+  if (Array.isArray(corrections.skills)) {
+    const { canonicalize } = getSkillTaxonomy();
+    merged.skills = corrections.skills.filter((skill) => typeof skill === 'string').map(canonicalize);
+  }
+
+  if ('phone' in corrections && !('phones' in corrections)) {
+    merged.phones = (payload.phones || []).filter((value) => value !== payload.phone);
+  }
+
+  const normalized = normalizeCandidatePayload(
+    {
+      name: merged.name,
+      email: merged.email,
+      phone: merged.phone,
+      phones: Array.isArray(merged.phones) ? merged.phones : [],
+      skills: merged.skills,
+      totalExperienceYears: merged.experience,
+      workHistory: merged.work_history,
+      education: merged.education,
+      certifications: merged.certifications
+    },
+    payload.resume_url
+  );
+
+  return { ...payload, ...normalized };
+}
+
 function buildResumeHash(fileBuffer) {
   return crypto.createHash('sha256').update(fileBuffer).digest('hex');
 }
 
-function buildResumeStoragePath(resumeHash, prefix = 'uploads') {
+function buildResumeStoragePath(resumeHash, prefix = 'uploads', extension = '.pdf') {
   const normalizedPrefix = String(prefix || 'uploads').replace(/^\/+|\/+$/g, '');
-  return `${normalizedPrefix}/${resumeHash}.pdf`;
+  const normalizedExtension = String(extension || '.pdf').replace(/^\.*/, '.').toLowerCase();
+  return `${normalizedPrefix}/${resumeHash}${normalizedExtension}`;
 }
 
 function getResumePublicUrl(supabase, bucket, storagePath) {
@@ -88,28 +130,23 @@ function getResumePublicUrl(supabase, bucket, storagePath) {
   return data?.publicUrl || null;
 }
 
-function buildDedupKeys({ email, phone, resumeHash }) {
-  return [email ? `email:${email}` : null, phone ? `phone:${phone}` : null, resumeHash ? `hash:${resumeHash}` : null]
+function buildDedupKeys({ email, phone, phones = [], resumeHash }) {
+  const phoneKeys = Array.from(new Set([phone, ...phones].filter(Boolean))).map(
+    (value) => `phone:${value}`
+  );
+
+  return [email ? `email:${email}` : null, ...phoneKeys, resumeHash ? `hash:${resumeHash}` : null]
     .filter(Boolean)
     .sort();
 }
 
 async function withDedupLock(keys, fn) {
-  for (const key of keys) {
-    if (inFlightDedupKeys.has(key)) {
-      throw new DuplicateCandidateError('Duplicate candidate is already being processed.', {
-        matchBy: key.split(':')[0]
-      });
-    }
+  if (keys.length === 0) {
+    return fn();
   }
 
-  keys.forEach((key) => inFlightDedupKeys.add(key));
-
-  try {
-    return await fn();
-  } finally {
-    keys.forEach((key) => inFlightDedupKeys.delete(key));
-  }
+  const { timeoutMs } = getDedupLockConfig();
+  return getDedupLock().withLock(keys, fn, { timeoutMs });
 }
 
 async function queryCandidateByEmail(supabase, email) {
@@ -131,15 +168,19 @@ async function queryCandidateByEmail(supabase, email) {
   return Array.isArray(data) && data.length > 0 ? data[0] : null;
 }
 
-async function queryCandidateByPhone(supabase, phone) {
-  if (!phone) {
+async function queryCandidateByPhone(supabase, phones, { matchPhoneList }) {
+  if (phones.length === 0) {
     return null;
   }
 
+  const quotedPhones = phones.map((value) => `"${value}"`).join(',');
+  const phoneFilter = matchPhoneList
+    ? `phone.in.(${quotedPhones}),phones.ov.{${quotedPhones}}`
+    : `phone.in.(${quotedPhones})`;
   const { data, error } = await supabase
     .from('candidates')
     .select('*')
-    .eq('phone', phone)
+    .or(phoneFilter)
     .order('created_at', { ascending: false })
     .limit(1);
 
@@ -169,13 +210,21 @@ async function queryCandidateByResumeUrl(supabase, resumeUrl) {
   return Array.isArray(data) && data.length > 0 ? data[0] : null;
 }
 
-async function findExistingCandidate({ supabase, email, phone, resumeUrl }) {
+async function findExistingCandidate({
+  supabase,
+  email,
+  phone,
+  phones = [],
+  resumeUrl,
+  matchPhoneList = true
+}) {
   const byEmail = await queryCandidateByEmail(supabase, email);
   if (byEmail) {
     return { candidate: byEmail, matchBy: 'email' };
   }
 
-  const byPhone = await queryCandidateByPhone(supabase, phone);
+  const phoneCandidates = Array.from(new Set([phone, ...phones].filter(Boolean)));
+  const byPhone = await queryCandidateByPhone(supabase, phoneCandidates, { matchPhoneList });
   if (byPhone) {
     return { candidate: byPhone, matchBy: 'phone' };
   }
@@ -203,7 +252,10 @@ function isUniqueViolation(error) {
 }
 
 module.exports = {
+  CORRECTABLE_CANDIDATE_FIELDS,
+  DedupLockTimeoutError,
   DuplicateCandidateError,
+  applyCandidateCorrections,
   buildDedupKeys,
   buildResumeHash,
   buildResumeStoragePath,
@@ -214,5 +266,6 @@ module.exports = {
   normalizeCandidatePayload,
   normalizeEmail,
   normalizePhone,
+  normalizePhones,
   withDedupLock
 };
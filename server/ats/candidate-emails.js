@@ -0,0 +1,33 @@
+const CANDIDATE_EMAILS_TABLE = 'candidate_emails';
+
+// Logging is best effort: the email has already gone out, so a failed insert is
+// reported and swallowed.
+async function recordCandidateEmail({ supabase, candidateId, kind, subject, recipients, sentBy }) {
+  if (!candidateId) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from(CANDIDATE_EMAILS_TABLE)
+    .insert({
+      candidate_id: candidateId,
+      kind,
+      subject: subject || null,
+      recipients: (Array.isArray(recipients) ? recipients : [recipients]).filter(Boolean),
+      sent_by: sentBy || null
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    console.error(`[candidate-emails] ${candidateId}: ${error.message}`);
+    return null;
+  }
+
+  return data;
+}
+
+module.exports = {
+  CANDIDATE_EMAILS_TABLE,
+  recordCandidateEmail
+};
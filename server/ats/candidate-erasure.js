@@ -0,0 +1,124 @@
+const { isMissingTableError } = require('./candidate-timeline');
+
+const PUBLIC_OBJECT_MARKER = '/storage/v1/object/public/';
+
+// Public URLs name their own bucket; storage_path alone is relative to the ATS bucket.
+function resolveStorageObject({ resumeUrl, storagePath }, defaultBucket) {
+  const url = String(resumeUrl || '');
+  const index = url.indexOf(PUBLIC_OBJECT_MARKER);
+  if (index !== -1) {
+    const [bucket, ...rest] = url
+      .slice(index + PUBLIC_OBJECT_MARKER.length)
+      .split(/[?#]/)[0]
+      .split('/');
+    const objectPath = rest.map(decodeURIComponent).join('/');
+    if (bucket && objectPath) {
+      return { bucket: decodeURIComponent(bucket), path: objectPath };
+    }
+  }
+
+  return storagePath ? { bucket: defaultBucket, path: storagePath } : null;
+}
+
+async function removeResumeObjects({ supabase, resumes, bucket }) {
+  const byBucket = new Map();
+  const retained = [];
+
+  for (const resume of resumes) {
+    const object = resolveStorageObject(resume, bucket);
+    if (!object) {
+      continue;
+    }
+    if (resume.shared) {
+      retained.push(`${object.bucket}/${object.path}`);
+      continue;
+    }
+    byBucket.set(object.bucket, [...(byBucket.get(object.bucket) || []), object.path]);
+  }
+
+  const removed = [];
+  const errors = [];
+  for (const [bucketName, paths] of byBucket) {
+    const { error } = await supabase.storage.from(bucketName).remove(paths);
+    if (error) {
+      errors.push({
+        step: 'storage',
+        message: `Failed to remove ${paths.length} file(s) from "${bucketName}": ${error.message}`,
+        paths: paths.map((objectPath) => `${bucketName}/${objectPath}`)
+      });
+      continue;
+    }
+    removed.push(...paths.map((objectPath) => `${bucketName}/${objectPath}`));
+  }
+
+  return { removed, retained, errors };
+}
+
+async function deleteInterviews(supabase, candidateIds) {
+  const { data, error } = await supabase
+    .from('interviews')
+    .delete()
+    .in('candidate_id', candidateIds)
+    .select('id');
+
+  if (error) {
+    if (isMissingTableError(error)) {
+      return { count: 0 };
+    }
+    return { count: 0, error: { step: 'interviews', message: error.message } };
+  }
+
+  return { count: data?.length || 0 };
+}
+
+// The database rows go first, in one transaction. Resume files and interviews live
+// elsewhere, so a failure there is listed in the receipt instead of undoing the change.
+async function eraseCandidate({ supabase, interviewsSupabase, bucket, candidateId, anonymize }) {
+  const { data: result, error } = await supabase.rpc(
+    anonymize ? 'anonymize_candidate' : 'delete_candidate',
+    { p_candidate_id: candidateId }
+  );
+
+  if (error) {
+    // 55000: already anonymized.
+    if (['P0002', '22P02', '55000'].includes(error.code)) {
+      return null;
+    }
+    throw new Error(`Failed to ${anonymize ? 'anonymize' : 'delete'} candidate: ${error.message}`);
+  }
+
+  const interviews = await deleteInterviews(interviewsSupabase, result.candidateIds);
+  const files = await removeResumeObjects({ supabase, resumes: result.resumes, bucket });
+  const errors = [...(interviews.error ? [interviews.error] : []), ...files.errors];
+
+  for (const failure of errors) {
+    console.error(`[candidate-erasure] ${candidateId} ${failure.step}: ${failure.message}`);
+  }
+
+  return {
+    candidateId,
+    [anonymize ? 'anonymizedAt' : 'deletedAt']: new Date().toISOString(),
+    mergedCandidateIds: result.candidateIds.filter((id) => id !== candidateId),
+    removed: {
+      ...result.removed,
+      interviews: interviews.count,
+      resumeFiles: files.removed.length
+    },
+    removedFiles: files.removed,
+    retainedFiles: files.retained,
+    errors
+  };
+}
+
+function deleteCandidate({ supabase, interviewsSupabase = supabase, bucket, candidateId }) {
+  return eraseCandidate({ supabase, interviewsSupabase, bucket, candidateId, anonymize: false });
+}
+
+function anonymizeCandidate({ supabase, interviewsSupabase = supabase, bucket, candidateId }) {
+  return eraseCandidate({ supabase, interviewsSupabase, bucket, candidateId, anonymize: true });
+}
+
+module.exports = {
+  anonymizeCandidate,
+  deleteCandidate
+};
@@ -0,0 +1,253 @@
+const { parseTagList } = require('./candidate-tags');
+const { parseStageList } = require('./pipeline-stages');
+
+const RANGE_FILTERS = [
+  { column: 'experience', min: 'experienceMin', max: 'experienceMax' },
+  { column: 'expected_ctc', min: 'expectedCtcMin', max: 'expectedCtcMax' },
+  { column: 'last_ctc', min: 'lastCtcMin', max: 'lastCtcMax' },
+  { column: 'notice_period', min: 'noticePeriodMin', max: 'noticePeriodMax' }
+];
+
+const CANDIDATE_FILTER_PARAMS = [
+  'location',
+  ...RANGE_FILTERS.flatMap((range) => [range.min, range.max]),
+  'status',
+  'bookmarked',
+  'tags',
+  'createdFrom',
+  'createdTo'
+];
+
+const CANDIDATE_SORT_FIELDS = [
+  'created_at',
+  'name',
+  'experience',
+  'expected_ctc',
+  'last_ctc',
+  'notice_period'
+];
+const ASCENDING_BY_DEFAULT = new Set(['name', 'notice_period']);
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isProvided(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function parseNumberParam(query, name) {
+  if (!isProvided(query[name])) {
+    return { value: null };
+  }
+
+  const value = Number(query[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    return { error: `${name} must be a non-negative number.` };
+  }
+
+  return { value };
+}
+
+function parseDateParam(query, name) {
+  if (!isProvided(query[name])) {
+    return { value: null };
+  }
+
+  const raw = String(query[name]).trim();
+  const time = Date.parse(raw);
+  if (!Number.isFinite(time)) {
+    return { error: `${name} must be a date (YYYY-MM-DD) or an ISO timestamp.` };
+  }
+
+  return { value: new Date(time), dateOnly: DATE_ONLY_PATTERN.test(raw) };
+}
+
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+function parseCandidateFilters(query = {}) {
+  const filters = { ranges: [], location: null, statuses: [], bookmarked: null, tags: [] };
+
+  for (const range of RANGE_FILTERS) {
+    const min = parseNumberParam(query, range.min);
+    const max = parseNumberParam(query, range.max);
+    const error = min.error || max.error;
+    if (error) {
+      return { error };
+    }
+
+    if (min.value !== null && max.value !== null && min.value > max.value) {
+      return { error: `${range.min} cannot be greater than ${range.max}.` };
+    }
+
+    if (min.value !== null || max.value !== null) {
+      filters.ranges.push({ column: range.column, min: min.value, max: max.value });
+    }
+  }
+
+  if (isProvided(query.location)) {
+    filters.location = String(query.location).trim();
+  }
+
+  if (isProvided(query.status)) {
+    const { stages, error } = parseStageList(query.status, 'status');
+    if (error) {
+      return { error };
+    }
+    filters.statuses = stages;
+  }
+
+  if (isProvided(query.bookmarked)) {
+    const bookmarked = String(query.bookmarked).trim().toLowerCase();
+    if (!['true', 'false'].includes(bookmarked)) {
+      return { error: 'bookmarked must be true or false.' };
+    }
+    filters.bookmarked = bookmarked === 'true';
+  }
+
+  // Several tags narrow the list to candidates carrying all of them.
+  if (isProvided(query.tags)) {
+    const { names, error } = parseTagList(query.tags);
+    if (error) {
+      return { error };
+    }
+    filters.tags = names;
+  }
+
+  const createdFrom = parseDateParam(query, 'createdFrom');
+  const createdTo = parseDateParam(query, 'createdTo');
+  const dateError = createdFrom.error || createdTo.error;
+  if (dateError) {
+    return { error: dateError };
+  }
+
+  if (createdFrom.value) {
+    filters.createdFrom = createdFrom.value.toISOString();
+  }
+
+  if (createdTo.value) {
+    // A bare date includes the whole day.
+    const upperBound = createdTo.dateOnly
+      ? new Date(createdTo.value.getTime() + 24 * 60 * 60 * 1000)
+      : createdTo.value;
+    filters.createdTo = {
+      value: upperBound.toISOString(),
+      inclusive: !createdTo.dateOnly
+    };
+  }
+
+  if (filters.createdFrom && filters.createdTo && filters.createdFrom > filters.createdTo.value) {
+    return { error: 'createdFrom cannot be after createdTo.' };
+  }
+
+  return { filters };
+}
+
+function applyCandidateFilters(query, filters) {
+  let filtered = query;
+
+  for (const range of filters.ranges) {
+    if (range.min !== null) {
+      filtered = filtered.gte(range.column, range.min);
+    }
+    if (range.max !== null) {
+      filtered = filtered.lte(range.column, range.max);
+    }
+  }
+
+  if (filters.location) {
+    filtered = filtered.ilike('current_location', `%${escapeLikePattern(filters.location)}%`);
+  }
+
+  if (filters.statuses.length > 0) {
+    filtered = filtered.in('status', filters.statuses);
+  }
+
+  if (filters.bookmarked !== null) {
+    filtered = filtered.eq('is_bookmarked', filters.bookmarked);
+  }
+
+  if (filters.tags.length > 0) {
+    filtered = filtered.contains('tags', filters.tags);
+  }
+
+  if (filters.createdFrom) {
+    filtered = filtered.gte('created_at', filters.createdFrom);
+  }
+
+  if (filters.createdTo) {
+    filtered = filters.createdTo.inclusive
+      ? filtered.lte('created_at', filters.createdTo.value)
+      : filtered.lt('created_at', filters.createdTo.value);
+  }
+
+  return filtered;
+}
+
+function parseCandidateSort(query = {}, { extraFields = [], defaultField = 'created_at' } = {}) {
+  const fields = [...extraFields, ...CANDIDATE_SORT_FIELDS];
+  const field = isProvided(query.sort) ? String(query.sort).trim().toLowerCase() : defaultField;
+  if (!fields.includes(field)) {
+    return { error: `Invalid sort. Use one of: ${fields.join(', ')}.` };
+  }
+
+  const order = isProvided(query.order)
+    ? String(query.order).trim().toLowerCase()
+    : ASCENDING_BY_DEFAULT.has(field)
+      ? 'asc'
+      : 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid order. Use asc or desc.' };
+  }
+
+  return { sort: { field, order, ascending: order === 'asc' } };
+}
+
+function applyCandidateSort(query, sort) {
+  let sorted = query.order(sort.field, { ascending: sort.ascending, nullsFirst: false });
+  if (sort.field !== 'created_at') {
+    sorted = sorted.order('created_at', { ascending: false });
+  }
+  return sorted.order('id', { ascending: true });
+}
+
+// Mirrors applyCandidateSort for results that are merged and filtered in memory.
+function compareCandidatesBy(sort) {
+  const direction = sort.ascending ? 1 : -1;
+
+  return (a, b) => {
+    const left = a[sort.field] ?? null;
+    const right = b[sort.field] ?? null;
+
+    if (left !== right) {
+      if (left === null) {
+        return 1;
+      }
+      if (right === null) {
+        return -1;
+      }
+
+      const difference =
+        sort.field === 'name'
+          ? String(left).localeCompare(String(right))
+          : sort.field === 'created_at'
+            ? new Date(left) - new Date(right)
+            : Number(left) - Number(right);
+      if (difference !== 0) {
+        return difference * direction;
+      }
+    }
+
+    return new Date(b.created_at) - new Date(a.created_at) || String(a.id).localeCompare(b.id);
+  };
+}
+
+module.exports = {
+  CANDIDATE_FILTER_PARAMS,
+  CANDIDATE_SORT_FIELDS,
+  applyCandidateFilters,
+  applyCandidateSort,
+  compareCandidatesBy,
+  parseCandidateFilters,
+  parseCandidateSort,
+  parseDateParam
+};
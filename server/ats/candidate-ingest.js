@@ -0,0 +1,240 @@
+const { promises: fsPromises } = require('fs');
+const { parseResumeBuffer, requireResumeFormat } = require('./resume-extractor');
+const { applyResumeUpdate, recordResumeVersion } = require('./resume-versions');
+const { saveResumeText } = require('./resume-text-search');
+const {
+  buildResumeSimhash,
+  findSimilarCandidates,
+  queuePossibleDuplicates
+} = require('./candidate-similarity');
+const {
+  DuplicateCandidateError,
+  applyCandidateCorrections,
+  buildDedupKeys,
+  buildResumeHash,
+  buildResumeStoragePath,
+  findExistingCandidate,
+  getResumePublicUrl,
+  isStorageAlreadyExistsError,
+  isUniqueViolation,
+  normalizeCandidatePayload,
+  withDedupLock
+} = require('./candidate-dedup');
+
+function summarizeMatch(match) {
+  return {
+    candidateId: match.candidate.id,
+    name: match.candidate.name,
+    score: match.score,
+    signals: match.signals
+  };
+}
+
+function createCandidateIngestor({ supabase, resumeBucket }) {
+  async function uploadResumeObject(storagePath, fileBuffer, format) {
+    const { error: storageError } = await supabase.storage
+      .from(resumeBucket)
+      .upload(storagePath, fileBuffer, {
+        contentType: format.contentType,
+        upsert: false
+      });
+
+    if (storageError && !isStorageAlreadyExistsError(storageError)) {
+      throw new Error(`Failed to upload resume to Supabase Storage: ${storageError.message}`);
+    }
+
+    return storageError;
+  }
+
+  async function prepareCandidateFile(file, corrections) {
+    const fileBuffer = await fsPromises.readFile(file.path);
+    const format = requireResumeFormat(fileBuffer);
+    const parsed = await parseResumeBuffer(fileBuffer, format);
+    const resumeHash = buildResumeHash(fileBuffer);
+    const storagePath = buildResumeStoragePath(resumeHash, 'uploads', format.extension);
+    const resumeUrl = getResumePublicUrl(supabase, resumeBucket, storagePath);
+    const parsedPayload = normalizeCandidatePayload(parsed, resumeUrl);
+    const payload = {
+      ...(corrections ? applyCandidateCorrections(parsedPayload, corrections) : parsedPayload),
+      resume_simhash: buildResumeSimhash(parsed.resumeText)
+    };
+
+    return {
+      fileBuffer,
+      format,
+      resumeHash,
+      storagePath,
+      resumeUrl,
+      resumeText: parsed.resumeText,
+      payload
+    };
+  }
+
+  async function storeResumeText(candidateId, resumeUrl, resumeText) {
+    try {
+      await saveResumeText({ supabase, candidateId, resumeUrl, resumeText });
+    } catch (error) {
+      console.error(`[resume-text] candidate ${candidateId}: ${error.message}`);
+    }
+  }
+
+  async function previewCandidateFromFile(file) {
+    const { payload, resumeUrl } = await prepareCandidateFile(file);
+    const existing = await findExistingCandidate({
+      supabase,
+      email: payload.email,
+      phone: payload.phone,
+      phones: payload.phones,
+      resumeUrl
+    });
+    const similarMatches = existing ? [] : await findSimilarCandidates({ supabase, payload });
+    const { resume_simhash: _simhash, ...candidate } = payload;
+
+    return {
+      candidate,
+      duplicate: existing
+        ? {
+            matchBy: existing.matchBy,
+            candidateId: existing.candidate.id,
+            name: existing.candidate.name
+          }
+        : null,
+      possibleDuplicates: similarMatches.map(summarizeMatch)
+    };
+  }
+
+  async function saveCandidateFromFile(file, { mode = 'create', corrections = null } = {}) {
+    const { fileBuffer, format, resumeHash, storagePath, resumeUrl, resumeText, payload } =
+      await prepareCandidateFile(file, corrections);
+    const dedupKeys = buildDedupKeys({
+      email: payload.email,
+      phone: payload.phone,
+      phones: payload.phones,
+      resumeHash
+    });
+
+    return withDedupLock(dedupKeys, async () => {
+      const existingBeforeUpload = await findExistingCandidate({
+        supabase,
+        email: payload.email,
+        phone: payload.phone,
+        phones: payload.phones,
+        resumeUrl
+      });
+
+      const canUpdateExisting =
+        mode === 'update' &&
+        existingBeforeUpload &&
+        existingBeforeUpload.matchBy !== 'resume' &&
+        existingBeforeUpload.candidate.resume_url !== resumeUrl;
+
+      if (canUpdateExisting) {
+        await uploadResumeObject(storagePath, fileBuffer, format);
+        const update = await applyResumeUpdate({
+          supabase,
+          candidate: existingBeforeUpload.candidate,
+          payload,
+          resume: {
+            resumeUrl,
+            resumeHash,
+            storagePath,
+            contentType: format.contentType,
+            fileName: file.originalname || null
+          }
+        });
+        await storeResumeText(update.candidate.id, resumeUrl, resumeText);
+
+        return {
+          ...update,
+          updated: true,
+          matchBy: existingBeforeUpload.matchBy,
+          possibleDuplicates: []
+        };
+      }
+
+      if (existingBeforeUpload) {
+        throw new DuplicateCandidateError(
+          `Duplicate candidate skipped (matched by ${existingBeforeUpload.matchBy}).`,
+          existingBeforeUpload
+        );
+      }
+
+      const similarMatches = await findSimilarCandidates({ supabase, payload });
+      const storageError = await uploadResumeObject(storagePath, fileBuffer, format);
+
+      if (isStorageAlreadyExistsError(storageError)) {
+        const existingByFile = await findExistingCandidate({
+          supabase,
+          email: payload.email,
+          phone: payload.phone,
+          phones: payload.phones,
+          resumeUrl
+        });
+
+        if (existingByFile) {
+          throw new DuplicateCandidateError(
+            `Duplicate candidate skipped (matched by ${existingByFile.matchBy}).`,
+            existingByFile
+          );
+        }
+      }
+
+      const { data: insertedCandidate, error: insertError } = await supabase
+        .from('candidates')
+        .insert(payload)
+        .select('*')
+        .single();
+
+      if (insertError) {
+        if (isUniqueViolation(insertError)) {
+          const existingAfterConflict = await findExistingCandidate({
+            supabase,
+            email: payload.email,
+            phone: payload.phone,
+            phones: payload.phones,
+            resumeUrl
+          });
+
+          throw new DuplicateCandidateError(
+            `Duplicate candidate skipped (matched by ${existingAfterConflict?.matchBy || 'constraint'}).`,
+            existingAfterConflict || {}
+          );
+        }
+
+        throw new Error(`Failed to save candidate in database: ${insertError.message}`);
+      }
+
+      const resumeVersion = await recordResumeVersion({
+        supabase,
+        candidateId: insertedCandidate.id,
+        resumeUrl,
+        resumeHash,
+        storagePath,
+        contentType: format.contentType,
+        fileName: file.originalname || null
+      });
+      await storeResumeText(insertedCandidate.id, resumeUrl, resumeText);
+
+      try {
+        await queuePossibleDuplicates({
+          supabase,
+          candidateId: insertedCandidate.id,
+          matches: similarMatches
+        });
+      } catch (error) {
+        console.error(`[dedup] candidate ${insertedCandidate.id}: ${error.message}`);
+      }
+
+      return {
+        candidate: insertedCandidate,
+        resumeVersion,
+        updated: false,
+        possibleDuplicates: similarMatches.map(summarizeMatch)
+      };
+    });
+  }
+
+  return { previewCandidateFromFile, saveCandidateFromFile };
+}
+
+module.exports = { createCandidateIngestor };
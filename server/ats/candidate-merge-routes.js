@@ -0,0 +1,184 @@
+const express = require('express');
+const { isMissingTableError } = require('./candidate-timeline');
+const { getRequestActor } = require('./api-auth');
+const { diffFields, getAuditContext, recordAuditEntry } = require('./audit-log');
+
+const MERGE_WINNER_FIELDS = ['name', 'email', 'phone', 'last_ctc', 'expected_ctc'];
+const MERGE_WINNERS = ['target', 'source'];
+
+function parseFieldWinners(rawWinners) {
+  if (rawWinners === undefined || rawWinners === null) {
+    return { winners: {} };
+  }
+
+  if (typeof rawWinners !== 'object' || Array.isArray(rawWinners)) {
+    return { error: 'fieldWinners must be an object, e.g. { "email": "source" }.' };
+  }
+
+  const winners = {};
+  for (const [field, winner] of Object.entries(rawWinners)) {
+    if (!MERGE_WINNER_FIELDS.includes(field)) {
+      return {
+        error: `Unknown merge field "${field}". Use one of: ${MERGE_WINNER_FIELDS.join(', ')}.`
+      };
+    }
+
+    if (!MERGE_WINNERS.includes(winner)) {
+      return { error: `Winner for "${field}" must be "target" or "source".` };
+    }
+
+    winners[field] = winner;
+  }
+
+  return { winners };
+}
+
+// merge_candidates only reaches interviews in its own database. With a separate ATS project
+// they live in the main project and are moved here, after the merge has committed.
+async function repointInterviews(interviewsSupabase, sourceId, targetId) {
+  const { data, error } = await interviewsSupabase
+    .from('interviews')
+    .update({ candidate_id: targetId })
+    .eq('candidate_id', sourceId)
+    .select('id');
+
+  if (error) {
+    if (isMissingTableError(error)) {
+      return { count: 0 };
+    }
+    return { count: 0, error: { step: 'interviews', message: error.message } };
+  }
+
+  return { count: data?.length || 0 };
+}
+
+// Both rows are diffed against the snapshots merge_candidates kept of them, so the entries
+// show what the merge changed rather than what changed since.
+async function recordMergeAudit({ supabase, context, result, targetId, sourceId }) {
+  const { data: merge, error } = await supabase
+    .from('candidate_merges')
+    .select('target_snapshot, source_snapshot')
+    .eq('id', result.mergeId)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load merge ${result.mergeId}: ${error.message}`);
+  }
+
+  const { data: source, error: sourceError } = await supabase
+    .from('candidates')
+    .select('*')
+    .eq('id', sourceId)
+    .maybeSingle();
+
+  if (sourceError) {
+    throw new Error(`Failed to load merged candidate: ${sourceError.message}`);
+  }
+
+  const fields = Object.keys(merge.target_snapshot);
+  await recordAuditEntry({
+    supabase,
+    context,
+    action: 'candidate.merge',
+    targetId,
+    changes: diffFields(merge.target_snapshot, result.candidate, fields),
+    details: { mergeId: result.mergeId, sourceId }
+  });
+  await recordAuditEntry({
+    supabase,
+    context,
+    action: 'candidate.merge',
+    targetId: sourceId,
+    changes: diffFields(merge.source_snapshot, source, fields),
+    details: { mergeId: result.mergeId, mergedIntoId: targetId }
+  });
+}
+
+function createCandidateMergeRouter({ supabase, interviewsSupabase = supabase }) {
+  const router = express.Router();
+
+  router.post('/candidates/:id/merge', async (req, res, next) => {
+    const body = req.body || {};
+    const targetId = req.params.id;
+    const sourceId = typeof body.sourceId === 'string' ? body.sourceId.trim() : '';
+
+    if (!sourceId) {
+      return res.status(400).json({
+        error: 'Missing sourceId. Send the ID of the candidate to merge into this one.'
+      });
+    }
+
+    if (sourceId === targetId) {
+      return res.status(400).json({ error: 'A candidate cannot be merged into itself.' });
+    }
+
+    const { winners, error: winnersError } = parseFieldWinners(body.fieldWinners);
+    if (winnersError) {
+      return res.status(400).json({ error: winnersError });
+    }
+
+    try {
+      const { data: result, error } = await supabase.rpc('merge_candidates', {
+        p_target_id: targetId,
+        p_source_id: sourceId,
+        p_field_winners: winners,
+        p_merged_by: getRequestActor(req)
+      });
+
+      if (error) {
+        if (error.code === 'P0002') {
+          return res.status(404).json({ error: error.message });
+        }
+
+        if (error.code === '22023' || error.code === '22P02') {
+          return res.status(400).json({ error: error.message });
+        }
+
+        if (error.code === '23505') {
+          return res.status(409).json({
+            error: 'Merge would create a duplicate email, phone or resume.',
+            details: error.details || null
+          });
+        }
+
+        throw new Error(`Failed to merge candidates: ${error.message}`);
+      }
+
+      await recordMergeAudit({
+        supabase,
+        context: getAuditContext(req),
+        result,
+        targetId,
+        sourceId
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      const interviews =
+        interviewsSupabase === supabase
+          ? { count: 0 }
+          : await repointInterviews(interviewsSupabase, sourceId, targetId);
+      const errors = interviews.error ? [interviews.error] : [];
+      for (const failure of errors) {
+        console.error(`[candidate-merge] ${targetId} ${failure.step}: ${failure.message}`);
+      }
+
+      return res.status(200).json({
+        message:
+          errors.length > 0
+            ? 'Candidates merged, but their interviews could not be moved.'
+            : 'Candidates merged.',
+        ...result,
+        repointed: {
+          ...result.repointed,
+          interviews: (result.repointed?.interviews || 0) + interviews.count
+        },
+        errors
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCandidateMergeRouter };
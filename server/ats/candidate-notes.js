@@ -0,0 +1,117 @@
+const { escapeHtml } = require('./html-escape');
+
+const CANDIDATE_NOTES_TABLE = 'candidate_notes';
+const CANDIDATE_NOTE_REVISIONS_TABLE = 'candidate_note_revisions';
+const MAX_NOTE_LENGTH = 10000;
+
+// "@jane.doe" or "@jane@example.com"; an email address written without a leading "@"
+// is not a mention.
+const MENTION_REGEX =
+  /(^|[^\w@.])@([a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}|[a-z0-9][a-z0-9._-]*[a-z0-9]|[a-z0-9])/gi;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function extractMentions(body) {
+  const mentions = new Set();
+  for (const match of String(body || '').matchAll(MENTION_REGEX)) {
+    mentions.add(match[2].toLowerCase());
+  }
+
+  return Array.from(mentions);
+}
+
+function parseNoteBody(value) {
+  const body = typeof value === 'string' ? value.trim() : '';
+  if (!body) {
+    return { error: 'Missing note body.' };
+  }
+
+  if (body.length > MAX_NOTE_LENGTH) {
+    return { error: `Notes are limited to ${MAX_NOTE_LENGTH} characters.` };
+  }
+
+  return { body, mentions: extractMentions(body) };
+}
+
+function buildMentionEmail({ candidate, note, author }) {
+  const candidateName = candidate.name || candidate.email || candidate.id;
+  return {
+    subject: `${author} mentioned you in a note on ${candidateName}`,
+    html: `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+    <p style="color:#444;"><strong>${escapeHtml(author)}</strong> mentioned you in a note on
+      <strong>${escapeHtml(candidateName)}</strong>:</p>
+    <blockquote style="border-left:3px solid #ddd; margin:0; padding:8px 12px; color:#333;
+      white-space:pre-wrap;">${escapeHtml(note.body)}</blockquote>
+    <p style="font-size:12px; color:#999;">
+      This is an automated email from MimioTech Recruitment Portal. Please do not reply.
+    </p>
+  </div>
+`
+  };
+}
+
+function getMentionEmailDomains() {
+  const domains = String(process.env.MENTION_EMAIL_DOMAINS || '')
+    .split(',')
+    .map((domain) => domain.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+
+  if (domains.length === 0) {
+    console.warn('[notes] MENTION_EMAIL_DOMAINS is not set. Mentions are not emailed.');
+  }
+
+  return domains;
+}
+
+// Only mentions written as email addresses in an allowed domain are notified, so a note
+// cannot be used to send candidate details to an outside address. Failures are logged,
+// never returned, so a bad address does not lose the note.
+async function notifyMentions({ transporter, from, candidate, note, author, mentions, domains }) {
+  const recipients = mentions.filter(
+    (mention) => EMAIL_PATTERN.test(mention) && domains.includes(mention.split('@').pop())
+  );
+  if (!transporter || recipients.length === 0) {
+    return [];
+  }
+
+  const { subject, html } = buildMentionEmail({ candidate, note, author });
+  const results = await Promise.allSettled(
+    recipients.map((to) => transporter.sendMail({ from, to, subject, html }))
+  );
+
+  return recipients.filter((recipient, index) => {
+    if (results[index].status === 'rejected') {
+      console.error(`[notes] mention email to ${recipient}: ${results[index].reason?.message}`);
+      return false;
+    }
+    return true;
+  });
+}
+
+async function listNoteRevisions(supabase, noteIds) {
+  if (noteIds.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from(CANDIDATE_NOTE_REVISIONS_TABLE)
+    .select('*')
+    .in('note_id', noteIds)
+    .order('edited_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to load note history: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  CANDIDATE_NOTES_TABLE,
+  CANDIDATE_NOTE_REVISIONS_TABLE,
+  extractMentions,
+  getMentionEmailDomains,
+  listNoteRevisions,
+  notifyMentions,
+  parseNoteBody
+};
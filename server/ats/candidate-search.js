@@ -0,0 +1,134 @@
+const {
+  applyCandidateFilters,
+  applyCandidateSort,
+  parseCandidateFilters
+} = require('./candidate-filters');
+
+function toPostgrestArray(values) {
+  return `{${values.map((value) => `"${value.replace(/["\\]/g, '\\$&')}"`).join(',')}}`;
+}
+
+function restrictCreatedAt(query, { createdAfter, createdUntil }) {
+  let restricted = query;
+  if (createdAfter) {
+    restricted = restricted.gt('created_at', createdAfter);
+  }
+  if (createdUntil) {
+    restricted = restricted.lte('created_at', createdUntil);
+  }
+  return restricted;
+}
+
+// Returns every candidate either skill query found, before the boolean query is applied,
+// so ranked search can still score near-misses.
+async function findSkillSearchCandidates({
+  supabase,
+  compiled,
+  filters = parseCandidateFilters().filters,
+  createdAfter = null,
+  createdUntil = null
+}) {
+  const { includeTerms, requiredExclusions } = compiled;
+  const narrow = (query) =>
+    restrictCreatedAt(applyCandidateFilters(query, filters), { createdAfter, createdUntil });
+
+  let overlapQuery = narrow(
+    supabase
+      .from('candidates')
+      .select('*', { count: 'exact' })
+      .overlaps('skills', includeTerms)
+      .is('archived_at', null)
+  );
+
+  if (requiredExclusions.length > 0) {
+    overlapQuery = overlapQuery.not('skills', 'ov', toPostgrestArray(requiredExclusions));
+  }
+
+  const [overlapResult, partialResult] = await Promise.all([
+    overlapQuery,
+    narrow(
+      supabase.rpc(
+        'search_candidates_by_skills_partial',
+        { search_terms: includeTerms },
+        { count: 'exact' }
+      )
+    )
+  ]);
+
+  const { data: overlapMatches, error: overlapError, count: overlapCount } = overlapResult;
+
+  if (overlapError) {
+    throw new Error(`Search failed: ${overlapError.message}`);
+  }
+
+  let candidates = overlapMatches || [];
+  const { data: partialMatches, error: partialError, count: partialCount } = partialResult;
+  const overlapIds = new Set(candidates.map((candidate) => candidate.id));
+  const partialIds = new Set();
+
+  if (!partialError && Array.isArray(partialMatches) && partialMatches.length > 0) {
+    const mergedById = new Map();
+    for (const candidate of [...partialMatches, ...candidates]) {
+      mergedById.set(candidate.id, candidate);
+    }
+    partialMatches.forEach((candidate) => partialIds.add(candidate.id));
+    candidates = Array.from(mergedById.values());
+  }
+
+  const foundBy = (candidate) =>
+    [
+      overlapIds.has(candidate.id) ? 'overlaps' : null,
+      partialIds.has(candidate.id) ? 'partial' : null
+    ].filter(Boolean);
+
+  // PostgREST cuts every response at its max-rows setting without saying so.
+  const truncated =
+    (overlapCount ?? 0) > (overlapMatches || []).length ||
+    (!partialError && (partialCount ?? 0) > (partialMatches || []).length);
+  if (truncated) {
+    console.warn(
+      `[search] "${compiled.normalizedQuery}" matched more rows than the database returns ` +
+        'in one response; results are incomplete.'
+    );
+  }
+
+  return { candidates, overlapIds, partialIds, foundBy, truncated };
+}
+
+// Runs the whole boolean query in the database, so the page and totalCount are exact
+// however many candidates match.
+async function searchCandidatesBySkillQuery({
+  supabase,
+  compiled,
+  filters,
+  sort,
+  limit,
+  offset,
+  createdAfter = null,
+  createdUntil = null
+}) {
+  const query = restrictCreatedAt(
+    applyCandidateFilters(
+      supabase.rpc(
+        'search_candidates_by_skill_query',
+        { p_query: compiled.sqlQuery },
+        { count: 'exact' }
+      ),
+      filters
+    ),
+    { createdAfter, createdUntil }
+  );
+
+  const { data, error, count } = await applyCandidateSort(query, sort).range(
+    offset,
+    offset + limit - 1
+  );
+
+  if (error) {
+    throw new Error(`Search failed: ${error.message}`);
+  }
+
+  return { candidates: data || [], totalCount: count ?? 0 };
+}
+
+module.exports = { findSkillSearchCandidates, searchCandidatesBySkillQuery };
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+
+const SIMHASH_BITS = 64n;
+const SIMHASH_MASK = (1n << SIMHASH_BITS) - 1n;
+const SHINGLE_SIZE = 3;
+const DUPLICATE_REVIEW_TABLE = 'candidate_duplicate_reviews';
+
+const SIMILARITY_WEIGHTS = {
+  name: 0.4,
+  resume: 0.4,
+  skills: 0.2
+};
+
+function getSimilarityConfig() {
+  const thresholdRaw = Number(process.env.DUPLICATE_REVIEW_THRESHOLD);
+  const threshold =
+    Number.isFinite(thresholdRaw) && thresholdRaw > 0 && thresholdRaw <= 1 ? thresholdRaw : 0.75;
+
+  const poolSizeRaw = Number(process.env.DUPLICATE_REVIEW_POOL_SIZE);
+  const poolSize =
+    Number.isFinite(poolSizeRaw) && poolSizeRaw > 0 ? Math.floor(poolSizeRaw) : 200;
+
+  return { threshold, poolSize };
+}
+
+function normalizeNameForMatch(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const normalized = value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter((token) => token.length > 1)
+    .sort()
+    .join(' ');
+
+  return normalized && normalized !== 'unknown' ? normalized : null;
+}
+
+function buildBigrams(value) {
+  const compact = value.replace(/\s+/g, ' ');
+  const bigrams = new Map();
+
+  for (let index = 0; index < compact.length - 1; index += 1) {
+    const bigram = compact.slice(index, index + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  return bigrams;
+}
+
+function nameSimilarity(left, right) {
+  const a = normalizeNameForMatch(left);
+  const b = normalizeNameForMatch(right);
+
+  if (!a || !b) {
+    return null;
+  }
+
+  if (a === b) {
+    return 1;
+  }
+
+  const leftBigrams = buildBigrams(a);
+  const rightBigrams = buildBigrams(b);
+  let overlap = 0;
+  let total = 0;
+
+  for (const [bigram, count] of leftBigrams) {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+    total += count;
+  }
+
+  for (const count of rightBigrams.values()) {
+    total += count;
+  }
+
+  return total > 0 ? (2 * overlap) / total : 0;
+}
+
+function skillSimilarity(left, right) {
+  const a = new Set(Array.isArray(left) ? left : []);
+  const b = new Set(Array.isArray(right) ? right : []);
+
+  if (a.size === 0 || b.size === 0) {
+    return null;
+  }
+
+  let intersection = 0;
+  for (const skill of a) {
+    if (b.has(skill)) {
+      intersection += 1;
+    }
+  }
+
+  return intersection / (a.size + b.size - intersection);
+}
+
+function buildResumeSimhash(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+#.@\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (words.length < SHINGLE_SIZE) {
+    return null;
+  }
+
+  const weights = new Array(Number(SIMHASH_BITS)).fill(0);
+  for (let index = 0; index <= words.length - SHINGLE_SIZE; index += 1) {
+    const shingle = words.slice(index, index + SHINGLE_SIZE).join(' ');
+    const digest = crypto.createHash('sha1').update(shingle).digest('hex');
+    const hash = BigInt(`0x${digest.slice(0, 16)}`);
+
+    for (let bit = 0n; bit < SIMHASH_BITS; bit += 1n) {
+      weights[Number(bit)] += (hash >> bit) & 1n ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) {
+      fingerprint |= 1n << BigInt(bit);
+    }
+  });
+
+  return (fingerprint & SIMHASH_MASK).toString(16).padStart(16, '0');
+}
+
+function resumeSimilarity(leftSimhash, rightSimhash) {
+  if (!leftSimhash || !rightSimhash) {
+    return null;
+  }
+
+  let difference = BigInt(`0x${leftSimhash}`) ^ BigInt(`0x${rightSimhash}`);
+  let distance = 0;
+  while (difference > 0n) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+
+  // Unrelated documents agree on about half of the bits, so rescale 0.5..1 to 0..1.
+  const agreement = 1 - distance / Number(SIMHASH_BITS);
+  return Math.max(0, (agreement - 0.5) / 0.5);
+}
+
+function scoreCandidateSimilarity(incoming, existing) {
+  const signals = {
+    name: nameSimilarity(incoming.name, existing.name),
+    resume: resumeSimilarity(incoming.resume_simhash, existing.resume_simhash),
+    skills: skillSimilarity(incoming.skills, existing.skills)
+  };
+
+  let weightedScore = 0;
+  let totalWeight = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value !== null) {
+      weightedScore += value * SIMILARITY_WEIGHTS[signal];
+      totalWeight += SIMILARITY_WEIGHTS[signal];
+    }
+  }
+
+  // A name match is required; skills alone are far too common to flag anyone.
+  if (signals.name === null || totalWeight === 0) {
+    return { score: 0, signals };
+  }
+
+  return {
+    score: Math.round((weightedScore / totalWeight) * 1000) / 1000,
+    signals
+  };
+}
+
+async function findSimilarCandidates({ supabase, payload, excludeIds = [] }) {
+  const { threshold, poolSize } = getSimilarityConfig();
+  const normalizedName = normalizeNameForMatch(payload?.name);
+
+  if (!normalizedName) {
+    return [];
+  }
+
+  const nameFilters = normalizedName
+    .split(' ')
+    .filter((token) => token.length >= 3)
+    .map((token) => `name.ilike.%${token}%`);
+
+  if (nameFilters.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('candidates')
+    .select('id, name, email, phone, skills, resume_url, resume_simhash, created_at')
+    .or(nameFilters.join(','))
+    .is('archived_at', null)
+    .order('created_at', { ascending: false })
+    .limit(poolSize);
+
+  if (error) {
+    throw new Error(`Failed similarity check: ${error.message}`);
+  }
+
+  return (data || [])
+    .filter((candidate) => !excludeIds.includes(candidate.id))
+    .map((candidate) => ({ candidate, ...scoreCandidateSimilarity(payload, candidate) }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+async function queuePossibleDuplicates({ supabase, candidateId, matches }) {
+  if (!candidateId || !Array.isArray(matches) || matches.length === 0) {
+    return [];
+  }
+
+  const rows = matches.map((match) => ({
+    candidate_id: candidateId,
+    possible_duplicate_id: match.candidate.id,
+    score: match.score,
+    signals: match.signals,
+    status: 'pending'
+  }));
+
+  const { data, error } = await supabase
+    .from(DUPLICATE_REVIEW_TABLE)
+    .upsert(rows, { onConflict: 'candidate_id,possible_duplicate_id', ignoreDuplicates: true })
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to queue possible duplicates: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  DUPLICATE_REVIEW_TABLE,
+  buildResumeSimhash,
+  findSimilarCandidates,
+  getSimilarityConfig,
+  nameSimilarity,
+  normalizeNameForMatch,
+  queuePossibleDuplicates,
+  scoreCandidateSimilarity
+};
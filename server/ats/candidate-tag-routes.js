@@ -0,0 +1,393 @@
+const express = require('express');
+const { getRequestActor } = require('./api-auth');
+const { getAuditContext, recordAuditEntries, recordAuditEntry } = require('./audit-log');
+const {
+  TAGS_TABLE,
+  addCandidateTags,
+  findActiveCandidateIds,
+  parseCandidateIdList,
+  parseTagList,
+  parseTagName,
+  removeCandidateTags,
+  setCandidateBookmarks
+} = require('./candidate-tags');
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+function parseTagBody(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    const { name, error } = parseTagName(body.name);
+    if (error) {
+      return { error };
+    }
+    fields.name = name;
+  }
+
+  if (body.color !== undefined) {
+    if (body.color !== null && !COLOR_PATTERN.test(String(body.color))) {
+      return { error: 'color must be a hex color like "#1f77b4", or null.' };
+    }
+    fields.color = body.color === null ? null : String(body.color).toLowerCase();
+  }
+
+  return { fields };
+}
+
+function isUniqueViolation(error) {
+  return error?.code === '23505';
+}
+
+function createCandidateTagRouter({ supabase }) {
+  const router = express.Router();
+
+  async function withCandidate(req, res, next, handler) {
+    try {
+      const { data: candidate, error } = await supabase
+        .from('candidates')
+        .select('*')
+        .eq('id', req.params.id)
+        .is('archived_at', null)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to load candidate: ${error.message}`);
+      }
+
+      if (!candidate) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+      }
+
+      return await handler(candidate);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  // candidates.tags is refreshed by a trigger, so it is re-read after every change.
+  async function loadCandidateTags(candidateId) {
+    const { data, error } = await supabase
+      .from('candidates')
+      .select('tags')
+      .eq('id', candidateId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load candidate tags: ${error.message}`);
+    }
+
+    return data?.tags || [];
+  }
+
+  router.get('/tags', async (req, res, next) => {
+    try {
+      const { data: tags, error } = await supabase
+        .from(TAGS_TABLE)
+        .select('*')
+        .order('name', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to list tags: ${error.message}`);
+      }
+
+      return res.status(200).json({ count: tags?.length || 0, tags: tags || [] });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.post('/tags', async (req, res, next) => {
+    const { fields, error: validationError } = parseTagBody(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const { data: tag, error } = await supabase
+        .from(TAGS_TABLE)
+        .insert({ ...fields, created_by: getRequestActor(req) })
+        .select('*')
+        .single();
+
+      if (error) {
+        if (isUniqueViolation(error)) {
+          return res.status(409).json({ error: `Tag "${fields.name}" already exists.` });
+        }
+        throw new Error(`Failed to create tag: ${error.message}`);
+      }
+
+      return res.status(201).json({ message: 'Tag created.', tag });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.patch('/tags/:id', async (req, res, next) => {
+    const { fields, error: validationError } = parseTagBody(req.body || {}, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update. Send name or color.' });
+    }
+
+    try {
+      const { data: tag, error } = await supabase
+        .from(TAGS_TABLE)
+        .update(fields)
+        .eq('id', req.params.id)
+        .select('*')
+        .maybeSingle();
+
+      if (error) {
+        if (isUniqueViolation(error)) {
+          return res.status(409).json({ error: `Tag "${fields.name}" already exists.` });
+        }
+        throw new Error(`Failed to update tag: ${error.message}`);
+      }
+
+      if (!tag) {
+        return res.status(404).json({ error: 'Tag not found.' });
+      }
+
+      return res.status(200).json({ message: 'Tag updated.', tag });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.delete('/tags/:id', async (req, res, next) => {
+    try {
+      const { data: deleted, error } = await supabase
+        .from(TAGS_TABLE)
+        .delete()
+        .eq('id', req.params.id)
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to delete tag: ${error.message}`);
+      }
+
+      if (!deleted || deleted.length === 0) {
+        return res.status(404).json({ error: 'Tag not found.' });
+      }
+
+      return res.status(200).json({ message: 'Tag deleted.', id: req.params.id });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.post('/candidate/:id/tags', (req, res, next) => {
+    const body = req.body || {};
+    const { names, error: tagsError } = parseTagList(body.tags);
+
+    if (tagsError || names.length === 0) {
+      return res.status(400).json({
+        error: tagsError || 'Missing tags. Example: { "tags": ["campus-2026", "referral"] }'
+      });
+    }
+
+    return withCandidate(req, res, next, async (candidate) => {
+      const added = await addCandidateTags({
+        supabase,
+        candidateIds: [candidate.id],
+        names,
+        addedBy: getRequestActor(req)
+      });
+      await recordAuditEntry({
+        supabase,
+        context: getAuditContext(req),
+        action: 'candidate.tag',
+        targetId: candidate.id,
+        details: { added: names, removed: [] }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      return res.status(200).json({
+        message: `${added} tag(s) added.`,
+        candidateId: candidate.id,
+        tags: await loadCandidateTags(candidate.id)
+      });
+    });
+  });
+
+  router.delete('/candidate/:id/tags/:name', (req, res, next) => {
+    const { name, error: nameError } = parseTagName(req.params.name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    return withCandidate(req, res, next, async (candidate) => {
+      const removed = await removeCandidateTags({
+        supabase,
+        candidateIds: [candidate.id],
+        names: [name]
+      });
+
+      if (removed === 0) {
+        return res.status(404).json({ error: `Candidate is not tagged "${name}".` });
+      }
+
+      await recordAuditEntry({
+        supabase,
+        context: getAuditContext(req),
+        action: 'candidate.tag',
+        targetId: candidate.id,
+        details: { added: [], removed: [name] }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      return res.status(200).json({
+        message: 'Tag removed.',
+        candidateId: candidate.id,
+        tags: await loadCandidateTags(candidate.id)
+      });
+    });
+  });
+
+  router.post('/candidates/tags', async (req, res, next) => {
+    const body = req.body || {};
+    const { ids, error: idsError } = parseCandidateIdList(body.candidateIds);
+    const toAdd = parseTagList(body.add);
+    const toRemove = parseTagList(body.remove);
+    const validationError = idsError || toAdd.error || toRemove.error;
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (toAdd.names.length === 0 && toRemove.names.length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to change. Example: { "candidateIds": ["..."], "add": ["urgent"] }'
+      });
+    }
+
+    const conflicting = toAdd.names.filter((name) => toRemove.names.includes(name));
+    if (conflicting.length > 0) {
+      return res.status(400).json({
+        error: `Tags cannot be both added and removed: ${conflicting.join(', ')}.`
+      });
+    }
+
+    try {
+      const foundIds = await findActiveCandidateIds(supabase, ids);
+      const candidateIds = ids.filter((id) => foundIds.has(id));
+      let added = 0;
+      let removed = 0;
+
+      if (candidateIds.length > 0) {
+        if (toAdd.names.length > 0) {
+          added = await addCandidateTags({
+            supabase,
+            candidateIds,
+            names: toAdd.names,
+            addedBy: getRequestActor(req)
+          });
+        }
+        if (toRemove.names.length > 0) {
+          removed = await removeCandidateTags({ supabase, candidateIds, names: toRemove.names });
+        }
+      }
+
+      await recordAuditEntries({
+        supabase,
+        context: getAuditContext(req),
+        action: 'candidate.tag',
+        targetIds: candidateIds,
+        details: { added: toAdd.names, removed: toRemove.names, bulk: true }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      return res.status(200).json({
+        message: `Tags updated on ${candidateIds.length} candidate(s).`,
+        updated: candidateIds.length,
+        added,
+        removed,
+        notFound: ids.filter((id) => !foundIds.has(id))
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.patch('/candidate/:id/bookmark', (req, res, next) => {
+    const { bookmarked } = req.body || {};
+    if (bookmarked !== undefined && typeof bookmarked !== 'boolean') {
+      return res.status(400).json({ error: 'bookmarked must be true or false, or omitted.' });
+    }
+
+    return withCandidate(req, res, next, async (candidate) => {
+      const { data: updated, error } = await supabase
+        .from('candidates')
+        .update({ is_bookmarked: bookmarked ?? !candidate.is_bookmarked })
+        .eq('id', candidate.id)
+        .is('archived_at', null)
+        .select('id, is_bookmarked')
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to update bookmark: ${error.message}`);
+      }
+
+      if (!updated) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+      }
+
+      await recordAuditEntry({
+        supabase,
+        context: getAuditContext(req),
+        action: 'candidate.bookmark',
+        targetId: updated.id,
+        changes: { is_bookmarked: { from: candidate.is_bookmarked, to: updated.is_bookmarked } }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      return res.status(200).json({
+        message: updated.is_bookmarked ? 'Candidate bookmarked.' : 'Bookmark removed.',
+        candidateId: updated.id,
+        bookmarked: updated.is_bookmarked
+      });
+    });
+  });
+
+  router.post('/candidates/bookmark', async (req, res, next) => {
+    const body = req.body || {};
+    const { ids, error: idsError } = parseCandidateIdList(body.candidateIds);
+
+    if (idsError) {
+      return res.status(400).json({ error: idsError });
+    }
+
+    if (typeof body.bookmarked !== 'boolean') {
+      return res.status(400).json({ error: 'bookmarked must be true or false.' });
+    }
+
+    try {
+      const updatedIds = await setCandidateBookmarks({
+        supabase,
+        candidateIds: ids,
+        bookmarked: body.bookmarked
+      });
+      await recordAuditEntries({
+        supabase,
+        context: getAuditContext(req),
+        action: 'candidate.bookmark',
+        targetIds: Array.from(updatedIds),
+        changes: { is_bookmarked: { to: body.bookmarked } },
+        details: { bulk: true }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      return res.status(200).json({
+        message: body.bookmarked ? 'Candidates bookmarked.' : 'Bookmarks removed.',
+        updated: updatedIds.size,
+        bookmarked: body.bookmarked,
+        notFound: ids.filter((id) => !updatedIds.has(id))
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCandidateTagRouter };
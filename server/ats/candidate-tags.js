@@ -0,0 +1,215 @@
+const TAGS_TABLE = 'tags';
+const CANDIDATE_TAGS_TABLE = 'candidate_tags';
+const MAX_TAG_LENGTH = 50;
+const MAX_BULK_CANDIDATES = 1000;
+// Each .in() filter goes into the request URL; 100 ids keep it near 4 KB.
+const ID_CHUNK_SIZE = 100;
+
+const TAG_NAME_PATTERN = /^[a-z0-9][a-z0-9 _.-]*$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function chunkIds(ids) {
+  const chunks = [];
+  for (let index = 0; index < ids.length; index += ID_CHUNK_SIZE) {
+    chunks.push(ids.slice(index, index + ID_CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+function normalizeTagName(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+}
+
+function parseTagName(value) {
+  const name = normalizeTagName(value);
+  if (!name) {
+    return { error: 'Missing tag name.' };
+  }
+
+  if (name.length > MAX_TAG_LENGTH || !TAG_NAME_PATTERN.test(name)) {
+    return {
+      error:
+        `Invalid tag "${name}". Use up to ${MAX_TAG_LENGTH} letters, digits, spaces, ` +
+        '".", "_" or "-", starting with a letter or digit.'
+    };
+  }
+
+  return { name };
+}
+
+function parseTagList(value) {
+  const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  const names = [];
+
+  for (const item of values) {
+    if (typeof item === 'string' && !item.trim()) {
+      continue;
+    }
+
+    const { name, error } = parseTagName(item);
+    if (error) {
+      return { error };
+    }
+    names.push(name);
+  }
+
+  return { names: Array.from(new Set(names)) };
+}
+
+function parseCandidateIdList(value) {
+  const ids = Array.from(
+    new Set(
+      (Array.isArray(value) ? value : [])
+        .filter((id) => typeof id === 'string')
+        .map((id) => id.trim().toLowerCase())
+        .filter(Boolean)
+    )
+  );
+
+  if (ids.length === 0) {
+    return { error: 'Missing candidateIds. Example: { "candidateIds": ["..."] }' };
+  }
+
+  if (ids.length > MAX_BULK_CANDIDATES) {
+    return { error: `Send at most ${MAX_BULK_CANDIDATES} candidateIds per request.` };
+  }
+
+  return { ids };
+}
+
+async function findTagsByName(supabase, names) {
+  if (names.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase.from(TAGS_TABLE).select('*').in('name', names);
+
+  if (error) {
+    throw new Error(`Failed to load tags: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// Assigning a tag that does not exist yet creates it, so recruiters can tag as they go.
+async function ensureTags(supabase, names, createdBy) {
+  const existing = await findTagsByName(supabase, names);
+  const existingNames = new Set(existing.map((tag) => tag.name));
+  const missing = names.filter((name) => !existingNames.has(name));
+
+  if (missing.length > 0) {
+    const { error } = await supabase
+      .from(TAGS_TABLE)
+      .upsert(
+        missing.map((name) => ({ name, created_by: createdBy || null })),
+        { onConflict: 'name', ignoreDuplicates: true }
+      );
+
+    if (error) {
+      throw new Error(`Failed to create tags: ${error.message}`);
+    }
+  }
+
+  return missing.length > 0 ? findTagsByName(supabase, names) : existing;
+}
+
+// Ids that are not UUIDs cannot match and would fail the whole query, so they are left out
+// and end up in the caller's notFound list.
+async function findActiveCandidateIds(supabase, candidateIds) {
+  const found = new Set();
+  for (const ids of chunkIds(candidateIds.filter((id) => UUID_PATTERN.test(id)))) {
+    const { data, error } = await supabase
+      .from('candidates')
+      .select('id')
+      .in('id', ids)
+      .is('archived_at', null);
+
+    if (error) {
+      throw new Error(`Failed to load candidates: ${error.message}`);
+    }
+
+    (data || []).forEach((row) => found.add(row.id));
+  }
+
+  return found;
+}
+
+async function setCandidateBookmarks({ supabase, candidateIds, bookmarked }) {
+  const updated = new Set();
+  for (const ids of chunkIds(candidateIds.filter((id) => UUID_PATTERN.test(id)))) {
+    const { data, error } = await supabase
+      .from('candidates')
+      .update({ is_bookmarked: bookmarked })
+      .in('id', ids)
+      .is('archived_at', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to update bookmarks: ${error.message}`);
+    }
+
+    (data || []).forEach((row) => updated.add(row.id));
+  }
+
+  return updated;
+}
+
+async function addCandidateTags({ supabase, candidateIds, names, addedBy }) {
+  const tags = await ensureTags(supabase, names, addedBy);
+  const rows = candidateIds.flatMap((candidateId) =>
+    tags.map((tag) => ({ candidate_id: candidateId, tag_id: tag.id, added_by: addedBy || null }))
+  );
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const { data, error } = await supabase
+    .from(CANDIDATE_TAGS_TABLE)
+    .upsert(rows, { onConflict: 'candidate_id,tag_id', ignoreDuplicates: true })
+    .select('candidate_id');
+
+  if (error) {
+    throw new Error(`Failed to tag candidates: ${error.message}`);
+  }
+
+  return data?.length || 0;
+}
+
+async function removeCandidateTags({ supabase, candidateIds, names }) {
+  const tags = await findTagsByName(supabase, names);
+  if (tags.length === 0) {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const ids of chunkIds(candidateIds)) {
+    const { data, error } = await supabase
+      .from(CANDIDATE_TAGS_TABLE)
+      .delete()
+      .in('candidate_id', ids)
+      .in('tag_id', tags.map((tag) => tag.id))
+      .select('candidate_id');
+
+    if (error) {
+      throw new Error(`Failed to untag candidates: ${error.message}`);
+    }
+
+    removed += data?.length || 0;
+  }
+
+  return removed;
+}
+
+module.exports = {
+  CANDIDATE_TAGS_TABLE,
+  TAGS_TABLE,
+  addCandidateTags,
+  findActiveCandidateIds,
+  normalizeTagName,
+  parseCandidateIdList,
+  parseTagList,
+  parseTagName,
+  removeCandidateTags,
+  setCandidateBookmarks
+};
@@ -0,0 +1,88 @@
+const { CANDIDATE_NOTES_TABLE, listNoteRevisions } = require('./candidate-notes');
+const { CANDIDATE_EMAILS_TABLE } = require('./candidate-emails');
+const { CANDIDATE_STATUS_HISTORY_TABLE } = require('./pipeline-stages');
+const { listResumeVersions } = require('./resume-versions');
+
+const TIMELINE_EVENT_TYPES = [
+  'candidate_created',
+  'resume_uploaded',
+  'note_added',
+  'note_edited',
+  'status_changed',
+  'interview',
+  'email_sent'
+];
+
+// Postgres and PostgREST codes for a table that does not exist.
+const MISSING_TABLE_CODES = new Set(['42P01', 'PGRST205']);
+
+function isMissingTableError(error) {
+  return MISSING_TABLE_CODES.has(error?.code);
+}
+
+async function selectCandidateRows(supabase, table, candidateId, label) {
+  const { data, error } = await supabase.from(table).select('*').eq('candidate_id', candidateId);
+
+  if (error) {
+    throw new Error(`Failed to load ${label}: ${error.message}`, { cause: error });
+  }
+
+  return data || [];
+}
+
+// Interviews are written by /scheduleInterview, which may point at a project
+// that has no interviews table yet.
+async function loadInterviews(supabase, candidateId) {
+  try {
+    return await selectCandidateRows(supabase, 'interviews', candidateId, 'interviews');
+  } catch (error) {
+    if (isMissingTableError(error.cause)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function toEvent(type, at, actor, data) {
+  return { type, at, actor: actor || null, data };
+}
+
+async function buildCandidateTimeline({ supabase, interviewsSupabase = supabase, candidate }) {
+  const [resumes, notes, statusChanges, interviews, emails] = await Promise.all([
+    listResumeVersions({ supabase, candidate }),
+    selectCandidateRows(supabase, CANDIDATE_NOTES_TABLE, candidate.id, 'notes'),
+    selectCandidateRows(supabase, CANDIDATE_STATUS_HISTORY_TABLE, candidate.id, 'status history'),
+    loadInterviews(interviewsSupabase, candidate.id),
+    selectCandidateRows(supabase, CANDIDATE_EMAILS_TABLE, candidate.id, 'emails')
+  ]);
+  const revisions = await listNoteRevisions(supabase, notes.map((note) => note.id));
+
+  return [
+    toEvent('candidate_created', candidate.created_at, null, { id: candidate.id }),
+    ...resumes.map((resume) => toEvent('resume_uploaded', resume.uploaded_at, null, resume)),
+    ...notes.map((note) => toEvent('note_added', note.created_at, note.author, note)),
+    ...revisions.map((revision) =>
+      toEvent('note_edited', revision.edited_at, revision.edited_by, revision)
+    ),
+    ...statusChanges.map((change) =>
+      toEvent('status_changed', change.changed_at, change.changed_by, change)
+    ),
+    ...interviews.map((interview) =>
+      toEvent(
+        'interview',
+        interview.scheduled_at || interview.created_at,
+        interview.interviewer_email || interview.interviewer_name,
+        interview
+      )
+    ),
+    ...emails.map((email) => toEvent('email_sent', email.sent_at, email.sent_by, email))
+  ]
+    .filter((event) => event.at)
+    .sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+}
+
+module.exports = {
+  TIMELINE_EVENT_TYPES,
+  buildCandidateTimeline,
+  isMissingTableError
+};
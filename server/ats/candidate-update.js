@@ -0,0 +1,227 @@
+const {
+  CORRECTABLE_CANDIDATE_FIELDS,
+  normalizeEmail,
+  normalizePhone
+} = require('./candidate-dedup');
+const { getDefaultPhoneRegion } = require('./phone-normalizer');
+const { getSkillTaxonomy, normalizeSkillName } = require('./skill-taxonomy');
+
+const EDITABLE_CANDIDATE_FIELDS = [
+  ...CORRECTABLE_CANDIDATE_FIELDS,
+  'current_location',
+  'last_ctc',
+  'expected_ctc',
+  'notice_period',
+  'notice_end_date'
+];
+
+// These have their own endpoints, which also write status history and tag rows.
+const DEDICATED_FIELD_ROUTES = {
+  status: 'PATCH /candidate/:id/status',
+  tags: 'POST /candidate/:id/tags',
+  is_bookmarked: 'PATCH /candidate/:id/bookmark'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parsePhoneInput(value, name) {
+  const phone = normalizePhone(value);
+  if (!phone) {
+    return {
+      error:
+        `${name} "${value}" is not a valid phone number. Include the country code, ` +
+        `or use a number from ${getDefaultPhoneRegion()}.`
+    };
+  }
+
+  return { phone };
+}
+
+function parseAmountInput(value, name, { integer = false } = {}) {
+  if (value === null || value === '') {
+    return { value: null };
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    return {
+      error: `${name} must be a non-negative ${integer ? 'whole number' : 'number'}, or null.`
+    };
+  }
+
+  return { value: number };
+}
+
+function parseTextInput(value, name) {
+  if (value !== null && typeof value !== 'string') {
+    return { error: `${name} must be a string or null.` };
+  }
+
+  return { value: value === null ? null : value.trim().replace(/\s+/g, ' ') || null };
+}
+
+function parseFieldValue(field, value) {
+  switch (field) {
+    case 'name': {
+      const { value: name, error } = parseTextInput(value, 'name');
+      return error || !name ? { error: error || 'name cannot be empty.' } : { value: name };
+    }
+    case 'email': {
+      if (value === null || value === '') {
+        return { value: null };
+      }
+      const email = normalizeEmail(value);
+      return email && EMAIL_PATTERN.test(email)
+        ? { value: email }
+        : { error: 'email must be a valid email address, or null.' };
+    }
+    case 'phone': {
+      if (value === null || value === '') {
+        return { value: null };
+      }
+      const { phone, error } = parsePhoneInput(value, 'phone');
+      return error ? { error } : { value: phone };
+    }
+    case 'phones': {
+      if (!Array.isArray(value)) {
+        return { error: 'phones must be an array of phone numbers.' };
+      }
+      const phones = [];
+      for (const item of value) {
+        const { phone, error } = parsePhoneInput(item, 'phones entry');
+        if (error) {
+          return { error };
+        }
+        phones.push(phone);
+      }
+      return { value: phones };
+    }
+    case 'skills': {
+      if (!Array.isArray(value)) {
+        return { error: 'skills must be an array of skill names.' };
+      }
+      const { canonicalize } = getSkillTaxonomy();
+      const skills = value
+        .filter((skill) => typeof skill === 'string')
+        .map(normalizeSkillName)
+        .filter(Boolean)
+        .map(canonicalize);
+      return { value: Array.from(new Set(skills)) };
+    }
+    case 'experience': {
+      const { value: years, error } = parseAmountInput(value, 'experience');
+      if (error || years > 99) {
+        return { error: 'experience must be a number of years between 0 and 99, or null.' };
+      }
+      return { value: years === null ? null : Math.round(years * 10) / 10 };
+    }
+    case 'last_ctc':
+    case 'expected_ctc':
+      return parseAmountInput(value, field);
+    case 'notice_period':
+      return parseAmountInput(value, 'notice_period', { integer: true });
+    case 'notice_end_date': {
+      if (value === null || value === '') {
+        return { value: null };
+      }
+      const valid =
+        typeof value === 'string' &&
+        DATE_ONLY_PATTERN.test(value) &&
+        new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+      return valid ? { value } : { error: 'notice_end_date must be a date (YYYY-MM-DD), or null.' };
+    }
+    case 'current_location':
+      return parseTextInput(value, 'current_location');
+    case 'certifications': {
+      if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        return { error: 'certifications must be an array of strings.' };
+      }
+      return { value: value.map((item) => item.trim()).filter(Boolean) };
+    }
+    case 'work_history':
+    case 'education':
+      return Array.isArray(value) ? { value } : { error: `${field} must be an array.` };
+    default:
+      return { error: `Unknown field "${field}".` };
+  }
+}
+
+function parseCandidateUpdate(body, candidate) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Send the fields to change as a JSON object.' };
+  }
+
+  const keys = Object.keys(body);
+  const routed = keys.find((key) => DEDICATED_FIELD_ROUTES[key]);
+  if (routed) {
+    return { error: `Change ${routed} with ${DEDICATED_FIELD_ROUTES[routed]}.` };
+  }
+
+  const unknown = keys.find((key) => !EDITABLE_CANDIDATE_FIELDS.includes(key));
+  if (unknown) {
+    return {
+      error: `Unknown field "${unknown}". Editable fields: ${EDITABLE_CANDIDATE_FIELDS.join(', ')}.`
+    };
+  }
+
+  if (keys.length === 0) {
+    return { error: `Nothing to update. Send any of: ${EDITABLE_CANDIDATE_FIELDS.join(', ')}.` };
+  }
+
+  const fields = {};
+  for (const key of keys) {
+    const { value, error } = parseFieldValue(key, body[key]);
+    if (error) {
+      return { error };
+    }
+    fields[key] = value;
+  }
+
+  // phone is always the first entry of phones, as it is for uploaded resumes.
+  if ('phone' in fields || 'phones' in fields) {
+    const phones =
+      fields.phones ??
+      (candidate.phones || []).filter((value) => value && value !== candidate.phone);
+    const primary = 'phone' in fields ? fields.phone : 'phones' in fields ? null : candidate.phone;
+    fields.phones = Array.from(new Set([primary, ...phones].filter(Boolean)));
+    fields.phone = fields.phones[0] || null;
+  }
+
+  const changes = Object.keys(fields).filter(
+    (field) => JSON.stringify(fields[field]) !== JSON.stringify(candidate[field] ?? null)
+  );
+  return { fields, changes };
+}
+
+async function findConflictingCandidates({ supabase, candidateId, fields }) {
+  const checks = [
+    { field: 'email', value: fields.email },
+    { field: 'phone', value: fields.phone }
+  ].filter((check) => check.value);
+
+  const conflicts = await Promise.all(
+    checks.map(async ({ field, value }) => {
+      const { data, error } = await supabase
+        .from('candidates')
+        .select('id')
+        .eq(field, value)
+        .neq('id', candidateId)
+        .limit(1);
+
+      if (error) {
+        throw new Error(`Failed duplicate check by ${field}: ${error.message}`);
+      }
+
+      return data?.[0] ? { field, candidateId: data[0].id } : null;
+    })
+  );
+
+  return conflicts.filter(Boolean);
+}
+
+module.exports = {
+  EDITABLE_CANDIDATE_FIELDS,
+  findConflictingCandidates,
+  parseCandidateUpdate
+};
@@ -0,0 +1,214 @@
+const DEDUP_LOCK_BACKENDS = ['memory', 'postgres'];
+const DEDUP_LOCK_TIMEOUT_MESSAGE = 'Another upload for this candidate is still being processed.';
+const MIN_CONNECTION_TIMEOUT_MS = 1000;
+const CONNECTION_TIMEOUT_MESSAGES = [
+  'timeout exceeded when trying to connect',
+  'Connection terminated due to connection timeout'
+];
+
+class DedupLockTimeoutError extends Error {
+  constructor(message = DEDUP_LOCK_TIMEOUT_MESSAGE, details = {}) {
+    super(message);
+    this.name = 'DedupLockTimeoutError';
+    this.code = 'DEDUP_LOCK_TIMEOUT';
+    this.details = details;
+  }
+}
+
+function buildTimeoutError(keys, timeoutMs) {
+  return new DedupLockTimeoutError(DEDUP_LOCK_TIMEOUT_MESSAGE, { keys, waitedMs: timeoutMs });
+}
+
+function getDedupLockConfig() {
+  const backend = String(process.env.DEDUP_LOCK_BACKEND || 'memory').trim().toLowerCase();
+
+  const timeoutMsRaw = Number(process.env.DEDUP_LOCK_TIMEOUT_MS);
+  const timeoutMs =
+    Number.isFinite(timeoutMsRaw) && timeoutMsRaw >= 0 ? Math.floor(timeoutMsRaw) : 15000;
+
+  const poolSizeRaw = Number(process.env.DEDUP_LOCK_POOL_SIZE);
+  const poolSize = Number.isFinite(poolSizeRaw) && poolSizeRaw > 0 ? Math.floor(poolSizeRaw) : 10;
+
+  return {
+    backend,
+    timeoutMs,
+    poolSize,
+    connectionString: process.env.DEDUP_LOCK_DATABASE_URL || ''
+  };
+}
+
+function createMemoryDedupLock() {
+  const heldKeys = new Map();
+
+  async function acquireKey(key, deadline) {
+    while (heldKeys.has(key)) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        return null;
+      }
+
+      let timer;
+      await Promise.race([
+        heldKeys.get(key).released,
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, remaining);
+        })
+      ]);
+      clearTimeout(timer);
+    }
+
+    let release;
+    const released = new Promise((resolve) => {
+      release = resolve;
+    });
+    heldKeys.set(key, { released });
+
+    return () => {
+      heldKeys.delete(key);
+      release();
+    };
+  }
+
+  async function withLock(keys, fn, { timeoutMs }) {
+    const deadline = Date.now() + timeoutMs;
+    const releases = [];
+
+    try {
+      for (const key of keys) {
+        const release = await acquireKey(key, deadline);
+        if (!release) {
+          throw buildTimeoutError(keys, timeoutMs);
+        }
+        releases.push(release);
+      }
+
+      return await fn();
+    } finally {
+      releases.reverse().forEach((release) => release());
+    }
+  }
+
+  return { backend: 'memory', withLock, close: async () => {} };
+}
+
+function createPostgresDedupLock({ connectionString, poolSize, timeoutMs }) {
+  const { Pool } = require('pg');
+  // A timeout of 0 means "do not wait for the lock", not "connect instantly".
+  const pool = new Pool({
+    connectionString,
+    max: poolSize,
+    connectionTimeoutMillis: Math.max(timeoutMs, MIN_CONNECTION_TIMEOUT_MS)
+  });
+
+  pool.on('error', (error) => {
+    console.error(`[dedup-lock] idle connection error: ${error.message}`);
+  });
+
+  // Transaction-scoped advisory locks are released on commit, on rollback, and by the
+  // server when a crashed process drops its connection.
+  async function connect(keys, timeoutMs) {
+    try {
+      return await pool.connect();
+    } catch (error) {
+      if (CONNECTION_TIMEOUT_MESSAGES.includes(error.message)) {
+        throw buildTimeoutError(keys, timeoutMs);
+      }
+      throw error;
+    }
+  }
+
+  // lock_timeout = 0 waits forever, so a zero timeout only tries each lock once.
+  async function acquireLocks(client, keys, timeoutMs) {
+    if (timeoutMs === 0) {
+      const { rows } = await client.query(
+        `select bool_and(pg_try_advisory_xact_lock(hashtextextended(lock_key, 0))) as acquired
+           from unnest($1::text[]) with ordinality as lock_keys(lock_key, position)`,
+        [keys]
+      );
+      if (!rows[0].acquired) {
+        throw buildTimeoutError(keys, timeoutMs);
+      }
+      return;
+    }
+
+    await client.query("select set_config('lock_timeout', $1, true)", [`${timeoutMs}ms`]);
+    try {
+      await client.query(
+        `select pg_advisory_xact_lock(hashtextextended(lock_key, 0))
+           from unnest($1::text[]) with ordinality as lock_keys(lock_key, position)
+          order by position`,
+        [keys]
+      );
+    } catch (error) {
+      if (error.code === '55P03') {
+        throw buildTimeoutError(keys, timeoutMs);
+      }
+      throw error;
+    }
+  }
+
+  async function withLock(keys, fn, { timeoutMs }) {
+    const client = await connect(keys, timeoutMs);
+    let releaseError;
+
+    try {
+      await client.query('begin');
+      await acquireLocks(client, keys, timeoutMs);
+
+      const result = await fn();
+      await client.query('commit');
+      return result;
+    } catch (error) {
+      await client.query('rollback').catch((rollbackError) => {
+        releaseError = rollbackError;
+      });
+      throw error;
+    } finally {
+      client.release(releaseError);
+    }
+  }
+
+  return { backend: 'postgres', withLock, close: () => pool.end() };
+}
+
+function createDedupLock(config = getDedupLockConfig()) {
+  if (!DEDUP_LOCK_BACKENDS.includes(config.backend)) {
+    const backends = DEDUP_LOCK_BACKENDS.join(', ');
+    throw new Error(`Unknown DEDUP_LOCK_BACKEND "${config.backend}". Use one of: ${backends}.`);
+  }
+
+  if (config.backend === 'postgres') {
+    if (!config.connectionString) {
+      throw new Error('DEDUP_LOCK_BACKEND=postgres needs DEDUP_LOCK_DATABASE_URL.');
+    }
+
+    return createPostgresDedupLock(config);
+  }
+
+  return createMemoryDedupLock();
+}
+
+let activeDedupLock = null;
+
+function getDedupLock() {
+  if (!activeDedupLock) {
+    activeDedupLock = createDedupLock();
+  }
+
+  return activeDedupLock;
+}
+
+function setDedupLock(lock) {
+  activeDedupLock = lock;
+}
+
+module.exports = {
+  DEDUP_LOCK_BACKENDS,
+  DedupLockTimeoutError,
+  createDedupLock,
+  createMemoryDedupLock,
+  createPostgresDedupLock,
+  getDedupLock,
+  getDedupLockConfig,
+  setDedupLock
+};
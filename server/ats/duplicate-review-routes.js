@@ -0,0 +1,140 @@
+const express = require('express');
+const { DUPLICATE_REVIEW_TABLE } = require('./candidate-similarity');
+const { getRequestActor } = require('./api-auth');
+
+const REVIEW_STATUSES = ['pending', 'confirmed', 'dismissed'];
+
+function createDuplicateReviewRouter({ supabase }) {
+  const router = express.Router();
+
+  async function attachCandidates(reviews) {
+    const candidateIds = Array.from(
+      new Set(reviews.flatMap((review) => [review.candidate_id, review.possible_duplicate_id]))
+    );
+
+    if (candidateIds.length === 0) {
+      return reviews;
+    }
+
+    const { data: candidates, error } = await supabase
+      .from('candidates')
+      .select('*')
+      .in('id', candidateIds);
+
+    if (error) {
+      throw new Error(`Failed to load candidates for review: ${error.message}`);
+    }
+
+    const candidatesById = new Map((candidates || []).map((candidate) => [candidate.id, candidate]));
+    return reviews.map((review) => ({
+      ...review,
+      candidate: candidatesById.get(review.candidate_id) || null,
+      possibleDuplicate: candidatesById.get(review.possible_duplicate_id) || null
+    }));
+  }
+
+  async function resolveReview(req, res, next, status) {
+    const body = req.body || {};
+
+    try {
+      const { data: review, error: fetchError } = await supabase
+        .from(DUPLICATE_REVIEW_TABLE)
+        .select('*')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw new Error(`Failed to fetch duplicate review: ${fetchError.message}`);
+      }
+
+      if (!review) {
+        return res.status(404).json({ error: 'Duplicate review not found.' });
+      }
+
+      if (review.status !== 'pending') {
+        return res.status(409).json({
+          error: `Duplicate review is already ${review.status}.`,
+          review
+        });
+      }
+
+      const { data: updatedReview, error: updateError } = await supabase
+        .from(DUPLICATE_REVIEW_TABLE)
+        .update({
+          status,
+          resolved_by: getRequestActor(req),
+          resolution_note: typeof body.note === 'string' ? body.note.trim() || null : null,
+          resolved_at: new Date().toISOString()
+        })
+        .eq('id', review.id)
+        .eq('status', 'pending')
+        .select('*')
+        .maybeSingle();
+
+      if (updateError) {
+        throw new Error(`Failed to update duplicate review: ${updateError.message}`);
+      }
+
+      if (!updatedReview) {
+        return res.status(409).json({ error: 'Duplicate review was resolved by someone else.' });
+      }
+
+      const [resolvedReview] = await attachCandidates([updatedReview]);
+      return res.status(200).json({
+        message: status === 'confirmed' ? 'Duplicate confirmed.' : 'Duplicate dismissed.',
+        review: resolvedReview
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  router.get('/duplicates', async (req, res, next) => {
+    const status = String(req.query.status || 'pending').toLowerCase();
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Use one of: ${REVIEW_STATUSES.join(', ')}.`
+      });
+    }
+
+    try {
+      const { data: reviews, error, count } = await supabase
+        .from(DUPLICATE_REVIEW_TABLE)
+        .select('*', { count: 'exact' })
+        .eq('status', status)
+        .order('score', { ascending: false })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to list duplicate reviews: ${error.message}`);
+      }
+
+      const withCandidates = await attachCandidates(reviews || []);
+      return res.status(200).json({
+        count: withCandidates.length,
+        totalCount: count ?? 0,
+        limit,
+        offset,
+        reviews: withCandidates
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.post('/duplicates/:id/confirm', (req, res, next) =>
+    resolveReview(req, res, next, 'confirmed')
+  );
+
+  router.post('/duplicates/:id/dismiss', (req, res, next) =>
+    resolveReview(req, res, next, 'dismissed')
+  );
+
+  return router;
+}
+
+module.exports = { createDuplicateReviewRouter };
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Loads the repository .env and then server/.env; values already set in the
+// environment win. Falls back to dotenv's default lookup when neither exists.
+function loadEnvFiles() {
+  const envPaths = [path.resolve(__dirname, '../../.env'), path.resolve(__dirname, '../.env')];
+
+  let loadedAny = false;
+  for (const envPath of envPaths) {
+    if (fs.existsSync(envPath)) {
+      dotenv.config({ path: envPath, override: false });
+      loadedAny = true;
+    }
+  }
+
+  if (!loadedAny) {
+    dotenv.config();
+  }
+}
+
+module.exports = { loadEnvFiles };
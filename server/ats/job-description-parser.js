@@ -0,0 +1,200 @@
+const { JOB_TITLE_REGEX } = require('./resume-parser');
+const { getSkillTaxonomy } = require('./skill-taxonomy');
+
+const TITLE_LABEL_REGEX =
+  /^(?:job\s+title|position(?:\s+title)?|role|designation|title|opening)\s*[:\-–—]\s*(.+)$/i;
+
+const LOCATION_LABEL_REGEX =
+  /^(?:(?:(?:job|work|office)\s+)?location(?:\s*\(s\))?|city)\s*(?:[:\-–—]\s*|$)|^based\s+(?:in|out\s+of)\s+/i;
+
+const BASED_IN_REGEX = /\b[Bb]ased\s+(?:in|out\s+of)\s+([A-Z][A-Za-z .,-]{1,60}?)(?:[.;|(\n]|$)/;
+const REMOTE_REGEX =
+  /\b(?:fully\s+remote|100%\s+remote|remote\s+(?:role|position|job|opportunity)|work\s+from\s+home)\b/i;
+
+const GENERIC_HEADING_REGEX =
+  /^(?:job\s+(?:description|summary|overview|details)|jd|about\s+(?:us|the\s+(?:company|role|team|job))|overview|company\s+overview|position\s+summary)$/i;
+
+const NICE_TO_HAVE_HEADING_REGEX =
+  /^(?:(?:nice|good|great)\s+to\s+have(?:\s+skills)?|preferred(?:\s+(?:skills|qualifications|experience))?|desired(?:\s+(?:skills|qualifications))?|bonus(?:\s+points)?|pluses|optional(?:\s+skills)?)$/;
+
+const NICE_TO_HAVE_INLINE_REGEX =
+  /\b(?:nice|good)\s+to\s+have\b|\bpreferred\b|\bis\s+a\s+(?:big\s+)?plus\b|\bbonus\b|\badded\s+advantage\b/i;
+
+const YEARS = '(?:years?|yrs?)';
+const NUMBER = '(\\d{1,2}(?:\\.\\d)?)';
+const EXPERIENCE_RANGE_REGEX = new RegExp(
+  `${NUMBER}\\s*\\+?\\s*(?:-|–|—|to)\\s*${NUMBER}\\s*\\+?\\s*${YEARS}`,
+  'i'
+);
+const EXPERIENCE_MIN_REGEX = new RegExp(
+  `(?:(?:minimum|min\\.?|at\\s+least)\\s*(?:of\\s+)?${NUMBER}\\s*\\+?\\s*${YEARS})|` +
+    `(?:${NUMBER}\\s*\\+\\s*${YEARS})|` +
+    `(?:${NUMBER}\\s*${YEARS}\\s+(?:of\\s+)?(?:[a-z/-]+\\s+){0,3}experience)`,
+  'i'
+);
+
+function splitLines(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+function cleanValue(value) {
+  return value
+    .split(/\s*[|•]\s*/)[0]
+    .replace(/^[\s:\-–—]+|[\s,;.\-–—]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeHeading(line) {
+  return line
+    .toLowerCase()
+    .replace(/[:\-–—_|]+$/g, '')
+    .replace(/[^a-z&\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isHeadingLine(line) {
+  return line.length <= 50 && !/[.;,]$/.test(line) && line.split(/\s+/).length <= 6;
+}
+
+function extractTitle(lines) {
+  for (const line of lines.slice(0, 30)) {
+    const labelled = line.match(TITLE_LABEL_REGEX);
+    if (labelled && cleanValue(labelled[1])) {
+      return cleanValue(labelled[1]);
+    }
+  }
+
+  const candidates = lines
+    .slice(0, 10)
+    .filter(
+      (line) =>
+        line.length >= 3 &&
+        line.length <= 80 &&
+        !/[.;]$/.test(line) &&
+        !GENERIC_HEADING_REGEX.test(normalizeHeading(line))
+    );
+
+  const title = candidates.find((line) => JOB_TITLE_REGEX.test(line)) || null;
+  return title ? cleanValue(title) : null;
+}
+
+function splitSkillText(lines) {
+  const required = [];
+  const niceToHave = [];
+  let inNiceToHave = false;
+
+  for (const line of lines) {
+    if (isHeadingLine(line)) {
+      const heading = normalizeHeading(line);
+      if (NICE_TO_HAVE_HEADING_REGEX.test(heading)) {
+        inNiceToHave = true;
+        continue;
+      }
+      if (/:$/.test(line) || line === line.toUpperCase()) {
+        inNiceToHave = false;
+      }
+    }
+
+    if (inNiceToHave) {
+      niceToHave.push(line);
+      continue;
+    }
+
+    for (const sentence of line.split(/(?<=[.;])\s+/)) {
+      (NICE_TO_HAVE_INLINE_REGEX.test(sentence) ? niceToHave : required).push(sentence);
+    }
+  }
+
+  return { requiredText: required.join('\n'), niceToHaveText: niceToHave.join('\n') };
+}
+
+function extractSkillRequirements(lines) {
+  const { extractSkills } = getSkillTaxonomy();
+  const { requiredText, niceToHaveText } = splitSkillText(lines);
+  // Skill patterns treat "." as part of a name (node.js), so drop sentence-ending periods.
+  const withoutFullStops = (text) => text.replace(/\.(?=\s|$)/g, ' ');
+  const requiredSkills = extractSkills(withoutFullStops(requiredText));
+  const required = new Set(requiredSkills);
+
+  return {
+    requiredSkills,
+    niceToHaveSkills: extractSkills(withoutFullStops(niceToHaveText)).filter(
+      (skill) => !required.has(skill)
+    )
+  };
+}
+
+function toYears(value) {
+  const years = Number(value);
+  return Number.isFinite(years) && years <= 99 ? years : null;
+}
+
+// The first line that states a years requirement wins; a range like "3-5 years" sets both ends.
+function extractExperienceRange(lines) {
+  const ordered = [
+    ...lines.filter((line) => /experience|\bexp\b/i.test(line)),
+    ...lines.filter((line) => !/experience|\bexp\b/i.test(line))
+  ];
+
+  for (const line of ordered) {
+    const range = line.match(EXPERIENCE_RANGE_REGEX);
+    if (range) {
+      const min = toYears(range[1]);
+      const max = toYears(range[2]);
+      if (min !== null && max !== null && min <= max) {
+        return { experienceMin: min, experienceMax: max };
+      }
+    }
+
+    const minimum = line.match(EXPERIENCE_MIN_REGEX);
+    if (minimum) {
+      const min = toYears(minimum.slice(1).find((value) => value !== undefined));
+      if (min !== null) {
+        return { experienceMin: min, experienceMax: null };
+      }
+    }
+  }
+
+  return { experienceMin: null, experienceMax: null };
+}
+
+function extractLocation(lines, text) {
+  for (const [index, line] of lines.entries()) {
+    if (!LOCATION_LABEL_REGEX.test(line)) {
+      continue;
+    }
+
+    const sameLine = cleanValue(line.replace(LOCATION_LABEL_REGEX, ''));
+    const value = sameLine || (lines[index + 1] ? cleanValue(lines[index + 1]) : '');
+    if (value && value.length <= 80) {
+      return value;
+    }
+  }
+
+  const basedIn = text.match(BASED_IN_REGEX);
+  if (basedIn) {
+    return cleanValue(basedIn[1]);
+  }
+
+  return REMOTE_REGEX.test(text) ? 'Remote' : null;
+}
+
+function parseJobDescriptionText(text) {
+  const lines = splitLines(text);
+
+  return {
+    title: extractTitle(lines),
+    ...extractSkillRequirements(lines),
+    ...extractExperienceRange(lines),
+    location: extractLocation(lines, String(text || ''))
+  };
+}
+
+module.exports = {
+  parseJobDescriptionText
+};
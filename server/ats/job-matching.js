@@ -0,0 +1,141 @@
+const { compileSearchQuery } = require('./search-query');
+const { PARTIAL_MATCH_WEIGHT } = require('./search-ranking');
+const { findSkillSearchCandidates } = require('./candidate-search');
+
+const JOB_MATCH_WEIGHTS = {
+  required: 0.6,
+  niceToHave: 0.2,
+  experience: 0.2
+};
+
+function roundScore(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function buildSkillQuery(skills, operator) {
+  return skills.map((skill) => `"${skill.replace(/"/g, '')}"`).join(` ${operator} `);
+}
+
+function toYears(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const years = Number(value);
+  return Number.isFinite(years) ? years : null;
+}
+
+function hasJobSkills(job) {
+  return (job.required_skills || []).length > 0 || (job.nice_to_have_skills || []).length > 0;
+}
+
+// Missing years count against the candidate in proportion to the band edge, so someone
+// with 4 years scores 0.8 for a 5+ role and 0.5 for an 8+ role.
+function scoreExperienceFit(experience, job) {
+  const min = toYears(job.experience_min);
+  const max = toYears(job.experience_max);
+
+  if (min === null && max === null) {
+    return 1;
+  }
+
+  const years = toYears(experience);
+  if (years === null) {
+    return 0.5;
+  }
+
+  if (min !== null && years < min) {
+    return Math.max(0, 1 - (min - years) / Math.max(min, 1));
+  }
+
+  if (max !== null && years > max) {
+    return Math.max(0, 1 - (years - max) / Math.max(max, 1));
+  }
+
+  return 1;
+}
+
+function isLocationMatch(candidateLocation, jobLocation) {
+  if (!candidateLocation || !jobLocation) {
+    return null;
+  }
+
+  const candidateValue = String(candidateLocation).trim().toLowerCase();
+  const jobValue = String(jobLocation).trim().toLowerCase();
+  return candidateValue.includes(jobValue) || jobValue.includes(candidateValue);
+}
+
+function createJobMatcher(job) {
+  const requiredSkills = job.required_skills || [];
+  const niceToHaveSkills = job.nice_to_have_skills || [];
+  const primary = compileSearchQuery(
+    requiredSkills.length > 0
+      ? buildSkillQuery(requiredSkills, 'AND')
+      : buildSkillQuery(niceToHaveSkills, 'OR')
+  );
+  const niceToHave =
+    niceToHaveSkills.length > 0
+      ? compileSearchQuery(buildSkillQuery(niceToHaveSkills, 'AND'))
+      : null;
+
+  function scoreCandidate(candidate, { foundBy = [] } = {}) {
+    const required = primary.explain(candidate, {
+      partialMatchWeight: PARTIAL_MATCH_WEIGHT,
+      foundBy
+    });
+    const niceToHaveMatch = niceToHave
+      ? niceToHave.explain(candidate, { partialMatchWeight: PARTIAL_MATCH_WEIGHT })
+      : null;
+    const experienceFit = scoreExperienceFit(candidate.experience, job);
+    const score =
+      JOB_MATCH_WEIGHTS.required * required.matchQuality +
+      JOB_MATCH_WEIGHTS.niceToHave * (niceToHaveMatch ? niceToHaveMatch.matchQuality : 1) +
+      JOB_MATCH_WEIGHTS.experience * experienceFit;
+
+    return {
+      score: roundScore(score),
+      isFullMatch: required.isFullMatch,
+      coverage: roundScore(required.coverage),
+      matchQuality: roundScore(required.matchQuality),
+      experienceFit: roundScore(experienceFit),
+      locationMatch: isLocationMatch(candidate.current_location, job.location),
+      matchedSkills: required.matchedTerms,
+      missingSkills: required.missingTerms,
+      niceToHaveMatched: niceToHaveMatch ? niceToHaveMatch.matchedTerms.map(({ term }) => term) : []
+    };
+  }
+
+  return { compiled: primary, scoreCandidate };
+}
+
+async function matchCandidatesToJob({ supabase, job, minCoverage }) {
+  const matcher = createJobMatcher(job);
+  const { candidates, foundBy, truncated } = await findSkillSearchCandidates({
+    supabase,
+    compiled: matcher.compiled
+  });
+
+  const matches = candidates
+    .map((candidate) => ({
+      candidate,
+      match: matcher.scoreCandidate(candidate, { foundBy: foundBy(candidate) })
+    }))
+    .filter(
+      ({ match }) => match.isFullMatch || (match.coverage > 0 && match.coverage >= minCoverage)
+    )
+    .sort(
+      (a, b) =>
+        b.match.score - a.match.score ||
+        new Date(b.candidate.created_at) - new Date(a.candidate.created_at)
+    );
+
+  return { matches, truncated };
+}
+
+module.exports = {
+  JOB_MATCH_WEIGHTS,
+  createJobMatcher,
+  hasJobSkills,
+  matchCandidatesToJob,
+  scoreExperienceFit
+};
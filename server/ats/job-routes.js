@@ -0,0 +1,507 @@
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { extractResumeText, requireResumeFormat, resumeFileFilter } = require('./resume-extractor');
+const { getRequestActor } = require('./api-auth');
+const { recordCandidateExport } = require('./audit-log');
+const { parseJobDescriptionText } = require('./job-description-parser');
+const { getRankingConfig, parseMinCoverage } = require('./search-ranking');
+const {
+  JOBS_TABLE,
+  JOB_APPLICANTS_TABLE,
+  JOB_STATUSES,
+  createJob,
+  loadJob,
+  parseJobFields
+} = require('./jobs');
+const { createJobMatcher, hasJobSkills, matchCandidatesToJob } = require('./job-matching');
+
+function parseCandidateIds(body) {
+  const rawIds = Array.isArray(body.candidateIds)
+    ? body.candidateIds
+    : body.candidateId !== undefined
+      ? [body.candidateId]
+      : [];
+
+  return Array.from(
+    new Set(rawIds.filter((id) => typeof id === 'string').map((id) => id.trim()).filter(Boolean))
+  );
+}
+
+const DESCRIPTION_OVERRIDE_FIELDS = ['title', 'location', 'experienceMin', 'experienceMax'];
+
+function getMaxFileSizeBytes() {
+  const maxFileSizeMbRaw = Number(process.env.MAX_RESUME_FILE_SIZE_MB);
+  const maxFileSizeMb =
+    Number.isFinite(maxFileSizeMbRaw) && maxFileSizeMbRaw > 0 ? maxFileSizeMbRaw : 10;
+
+  return Math.floor(maxFileSizeMb * 1024 * 1024);
+}
+
+// Form fields sent with the file win over what was extracted from it.
+function buildDescriptionJobBody(extracted, text, file, formBody) {
+  const body = {
+    title: extracted.title || path.parse(file.originalname || '').name || null,
+    description: text,
+    requiredSkills: extracted.requiredSkills,
+    niceToHaveSkills: extracted.niceToHaveSkills,
+    experienceMin: extracted.experienceMin,
+    experienceMax: extracted.experienceMax,
+    location: extracted.location,
+    status: 'draft'
+  };
+
+  for (const field of DESCRIPTION_OVERRIDE_FIELDS) {
+    if (typeof formBody[field] === 'string' && formBody[field].trim() !== '') {
+      body[field] = formBody[field];
+    }
+  }
+
+  return body;
+}
+
+function createJobRouter({ supabase }) {
+  const router = express.Router();
+  const rankingConfig = getRankingConfig();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxFileSizeBytes() },
+    fileFilter: resumeFileFilter
+  });
+
+  async function withJob(req, res, next, handler) {
+    try {
+      const job = await loadJob(supabase, req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+      }
+
+      return await handler(job);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  async function attachCandidates(applications) {
+    const candidateIds = Array.from(new Set(applications.map((row) => row.candidate_id)));
+    if (candidateIds.length === 0) {
+      return applications;
+    }
+
+    const { data: candidates, error } = await supabase
+      .from('candidates')
+      .select('*')
+      .in('id', candidateIds);
+
+    if (error) {
+      throw new Error(`Failed to load applicants: ${error.message}`);
+    }
+
+    const candidatesById = new Map(
+      (candidates || []).map((candidate) => [candidate.id, candidate])
+    );
+    return applications.map((row) => ({
+      ...row,
+      candidate: candidatesById.get(row.candidate_id) || null
+    }));
+  }
+
+  router.get('/jobs', async (req, res, next) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const status = req.query.status ? String(req.query.status).trim().toLowerCase() : null;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Use one of: ${JOB_STATUSES.join(', ')}.`
+      });
+    }
+
+    try {
+      let query = supabase.from(JOBS_TABLE).select('*', { count: 'exact' });
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data: jobs, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to list jobs: ${error.message}`);
+      }
+
+      return res.status(200).json({
+        count: jobs?.length || 0,
+        totalCount: count ?? 0,
+        limit,
+        offset,
+        jobs: jobs || []
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.post('/jobs', async (req, res, next) => {
+    const { fields, error: validationError } = parseJobFields(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const job = await createJob(supabase, { ...fields, created_by: getRequestActor(req) });
+      return res.status(201).json({ message: 'Job created.', job });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.post('/jobs/from-description', upload.any(), async (req, res, next) => {
+    const files = Array.isArray(req.files) ? req.files : [];
+
+    if (files.length !== 1) {
+      return res.status(400).json({
+        error:
+          files.length === 0
+            ? 'Missing file. Send one job description (PDF, DOCX, DOC, RTF or TXT) in form-data.'
+            : 'Too many files. Send exactly one job description file.'
+      });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 200);
+    const { minCoverage, error: minCoverageError } = parseMinCoverage(
+      req.query.minCoverage,
+      rankingConfig.minCoverage
+    );
+    if (minCoverageError) {
+      return res.status(400).json({ error: minCoverageError });
+    }
+
+    try {
+      const [file] = files;
+      const format = requireResumeFormat(file.buffer);
+      const text = (await extractResumeText(file.buffer, format)).trim();
+      if (!text) {
+        return res.status(400).json({
+          error: 'Could not read any text from the job description file.'
+        });
+      }
+
+      const extracted = parseJobDescriptionText(text);
+      const { fields, error: validationError } = parseJobFields(
+        buildDescriptionJobBody(extracted, text, file, req.body || {})
+      );
+      if (validationError) {
+        return res.status(400).json({ error: validationError, extracted });
+      }
+
+      const job = await createJob(supabase, { ...fields, created_by: getRequestActor(req) });
+      const { matches, truncated } = hasJobSkills(job)
+        ? await matchCandidatesToJob({ supabase, job, minCoverage })
+        : { matches: [], truncated: false };
+      const top = matches.slice(0, limit);
+      await recordCandidateExport({
+        supabase,
+        req,
+        candidateIds: top.map(({ candidate }) => candidate.id)
+      });
+
+      return res.status(201).json({
+        message: hasJobSkills(job)
+          ? 'Draft job created from the job description.'
+          : 'Draft job created, but no known skills were found. Add skills to see matches.',
+        job,
+        extracted,
+        matches: {
+          count: top.length,
+          totalCount: matches.length,
+          truncated,
+          limit,
+          minCoverage,
+          candidates: top.map(({ candidate, match }) => ({ ...candidate, match }))
+        }
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/jobs/:id', (req, res, next) =>
+    withJob(req, res, next, async (job) => {
+      const { count, error } = await supabase
+        .from(JOB_APPLICANTS_TABLE)
+        .select('id', { count: 'exact', head: true })
+        .eq('job_id', job.id);
+
+      if (error) {
+        throw new Error(`Failed to count applicants: ${error.message}`);
+      }
+
+      return res.status(200).json({ job, applicantCount: count ?? 0 });
+    })
+  );
+
+  router.patch('/jobs/:id', async (req, res, next) => {
+    const { fields, error: validationError } = parseJobFields(req.body || {}, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error:
+          'Nothing to update. Send title, description, requiredSkills, niceToHaveSkills, ' +
+          'experienceMin, experienceMax, location or status.'
+      });
+    }
+
+    try {
+      const { data: job, error } = await supabase
+        .from(JOBS_TABLE)
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', req.params.id)
+        .select('*')
+        .maybeSingle();
+
+      if (error) {
+        if (error.code === '23514') {
+          return res.status(400).json({
+            error: 'experienceMin cannot be greater than experienceMax.'
+          });
+        }
+        throw new Error(`Failed to update job: ${error.message}`);
+      }
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+      }
+
+      return res.status(200).json({ message: 'Job updated.', job });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.delete('/jobs/:id', async (req, res, next) => {
+    try {
+      const { data: deleted, error } = await supabase
+        .from(JOBS_TABLE)
+        .delete()
+        .eq('id', req.params.id)
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to delete job: ${error.message}`);
+      }
+
+      if (!deleted || deleted.length === 0) {
+        return res.status(404).json({ error: 'Job not found.' });
+      }
+
+      return res.status(200).json({ message: 'Job deleted.', id: req.params.id });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/jobs/:id/matches', (req, res, next) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const { minCoverage, error: minCoverageError } = parseMinCoverage(
+      req.query.minCoverage,
+      rankingConfig.minCoverage
+    );
+    if (minCoverageError) {
+      return res.status(400).json({ error: minCoverageError });
+    }
+
+    return withJob(req, res, next, async (job) => {
+      if (!hasJobSkills(job)) {
+        return res.status(400).json({
+          error: 'Add requiredSkills or niceToHaveSkills to the job before matching candidates.'
+        });
+      }
+
+      const [{ matches, truncated }, { data: applications, error }] = await Promise.all([
+        matchCandidatesToJob({ supabase, job, minCoverage }),
+        supabase.from(JOB_APPLICANTS_TABLE).select('candidate_id').eq('job_id', job.id)
+      ]);
+
+      if (error) {
+        throw new Error(`Failed to load applicants: ${error.message}`);
+      }
+
+      const applicantIds = new Set((applications || []).map((row) => row.candidate_id));
+      const page = matches.slice(offset, offset + limit);
+      await recordCandidateExport({
+        supabase,
+        req,
+        candidateIds: page.map(({ candidate }) => candidate.id)
+      });
+
+      return res.status(200).json({
+        count: page.length,
+        totalCount: matches.length,
+        truncated,
+        limit,
+        offset,
+        minCoverage,
+        job,
+        candidates: page.map(({ candidate, match }) => ({
+          ...candidate,
+          match: { ...match, isApplicant: applicantIds.has(candidate.id) }
+        }))
+      });
+    });
+  });
+
+  router.get('/jobs/:id/applicants', (req, res, next) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    return withJob(req, res, next, async (job) => {
+      const { data: applications, error, count } = await supabase
+        .from(JOB_APPLICANTS_TABLE)
+        .select('*', { count: 'exact' })
+        .eq('job_id', job.id)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to list applicants: ${error.message}`);
+      }
+
+      const applicants = await attachCandidates(applications || []);
+      return res.status(200).json({
+        count: applicants.length,
+        totalCount: count ?? 0,
+        limit,
+        offset,
+        job,
+        applicants
+      });
+    });
+  });
+
+  router.post('/jobs/:id/applicants', (req, res, next) => {
+    const body = req.body || {};
+    const candidateIds = parseCandidateIds(body);
+
+    if (candidateIds.length === 0) {
+      return res.status(400).json({
+        error: 'Missing candidateIds. Example: { "candidateIds": ["..."] }'
+      });
+    }
+
+    return withJob(req, res, next, async (job) => {
+      const { data: candidates, error: candidatesError } = await supabase
+        .from('candidates')
+        .select('*')
+        .in('id', candidateIds)
+        .is('archived_at', null);
+
+      if (candidatesError) {
+        throw new Error(`Failed to load candidates: ${candidatesError.message}`);
+      }
+
+      const matcher = hasJobSkills(job) ? createJobMatcher(job) : null;
+      const foundIds = new Set((candidates || []).map((candidate) => candidate.id));
+      const rows = (candidates || []).map((candidate) => ({
+        job_id: job.id,
+        candidate_id: candidate.id,
+        source: body.source === 'match' ? 'match' : 'manual',
+        match_score: matcher ? matcher.scoreCandidate(candidate).score : null,
+        added_by: getRequestActor(req)
+      }));
+
+      let added = [];
+      if (rows.length > 0) {
+        const { data, error } = await supabase
+          .from(JOB_APPLICANTS_TABLE)
+          .upsert(rows, { onConflict: 'job_id,candidate_id', ignoreDuplicates: true })
+          .select('*');
+
+        if (error) {
+          throw new Error(`Failed to add applicants: ${error.message}`);
+        }
+        added = data || [];
+      }
+
+      const addedIds = new Set(added.map((row) => row.candidate_id));
+      return res.status(added.length > 0 ? 201 : 200).json({
+        message: `${added.length} applicant(s) added.`,
+        added: await attachCandidates(added),
+        alreadyApplied: candidateIds.filter((id) => foundIds.has(id) && !addedIds.has(id)),
+        notFound: candidateIds.filter((id) => !foundIds.has(id))
+      });
+    });
+  });
+
+  router.delete('/jobs/:id/applicants/:candidateId', async (req, res, next) => {
+    try {
+      const { data: deleted, error } = await supabase
+        .from(JOB_APPLICANTS_TABLE)
+        .delete()
+        .eq('job_id', req.params.id)
+        .eq('candidate_id', req.params.candidateId)
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to remove applicant: ${error.message}`);
+      }
+
+      if (!deleted || deleted.length === 0) {
+        return res.status(404).json({ error: 'Candidate is not an applicant for this job.' });
+      }
+
+      return res.status(200).json({
+        message: 'Applicant removed.',
+        jobId: req.params.id,
+        candidateId: req.params.candidateId
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/candidate/:id/jobs', async (req, res, next) => {
+    try {
+      const { data: applications, error } = await supabase
+        .from(JOB_APPLICANTS_TABLE)
+        .select('*')
+        .eq('candidate_id', req.params.id)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw new Error(`Failed to list job applications: ${error.message}`);
+      }
+
+      const jobIds = Array.from(new Set((applications || []).map((row) => row.job_id)));
+      let jobsById = new Map();
+      if (jobIds.length > 0) {
+        const { data: jobs, error: jobsError } = await supabase
+          .from(JOBS_TABLE)
+          .select('*')
+          .in('id', jobIds);
+
+        if (jobsError) {
+          throw new Error(`Failed to load jobs: ${jobsError.message}`);
+        }
+        jobsById = new Map((jobs || []).map((job) => [job.id, job]));
+      }
+
+      const withJobs = (applications || []).map((row) => ({
+        ...row,
+        job: jobsById.get(row.job_id) || null
+      }));
+      return res.status(200).json({ count: withJobs.length, applications: withJobs });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createJobRouter };
@@ -0,0 +1,132 @@
+const { getSkillTaxonomy, normalizeSkillName } = require('./skill-taxonomy');
+
+const JOBS_TABLE = 'jobs';
+const JOB_APPLICANTS_TABLE = 'job_applicants';
+const JOB_STATUSES = ['draft', 'open', 'on_hold', 'closed'];
+
+function parseSkillsInput(value) {
+  const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  const { canonicalize } = getSkillTaxonomy();
+
+  return Array.from(
+    new Set(
+      values
+        .filter((skill) => typeof skill === 'string')
+        .map(normalizeSkillName)
+        .filter(Boolean)
+        .map(canonicalize)
+    )
+  );
+}
+
+function parseOptionalText(value) {
+  return typeof value === 'string' ? value.trim() || null : null;
+}
+
+function parseExperienceInput(value, name) {
+  if (value === null || value === '') {
+    return { value: null };
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 99) {
+    return { error: `${name} must be a number of years between 0 and 99.` };
+  }
+
+  return { value: Math.round(number * 10) / 10 };
+}
+
+function parseJobFields(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || body.title !== undefined) {
+    const title = parseOptionalText(body.title);
+    if (!title) {
+      return { error: 'Missing job title.' };
+    }
+    fields.title = title;
+  }
+
+  if (body.description !== undefined) {
+    fields.description = parseOptionalText(body.description);
+  }
+
+  if (body.requiredSkills !== undefined) {
+    fields.required_skills = parseSkillsInput(body.requiredSkills);
+  }
+
+  if (body.niceToHaveSkills !== undefined) {
+    fields.nice_to_have_skills = parseSkillsInput(body.niceToHaveSkills);
+  }
+
+  if (fields.required_skills && fields.nice_to_have_skills) {
+    const required = new Set(fields.required_skills);
+    fields.nice_to_have_skills = fields.nice_to_have_skills.filter((skill) => !required.has(skill));
+  }
+
+  for (const [key, column] of [
+    ['experienceMin', 'experience_min'],
+    ['experienceMax', 'experience_max']
+  ]) {
+    if (body[key] !== undefined) {
+      const { value, error } = parseExperienceInput(body[key], key);
+      if (error) {
+        return { error };
+      }
+      fields[column] = value;
+    }
+  }
+
+  if (
+    fields.experience_min !== undefined &&
+    fields.experience_max !== undefined &&
+    fields.experience_min !== null &&
+    fields.experience_max !== null &&
+    fields.experience_min > fields.experience_max
+  ) {
+    return { error: 'experienceMin cannot be greater than experienceMax.' };
+  }
+
+  if (body.location !== undefined) {
+    fields.location = parseOptionalText(body.location);
+  }
+
+  if (body.status !== undefined) {
+    const status = String(body.status).trim().toLowerCase();
+    if (!JOB_STATUSES.includes(status)) {
+      return { error: `Invalid status. Use one of: ${JOB_STATUSES.join(', ')}.` };
+    }
+    fields.status = status;
+  }
+
+  return { fields };
+}
+
+async function loadJob(supabase, jobId) {
+  const { data, error } = await supabase.from(JOBS_TABLE).select('*').eq('id', jobId).maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load job: ${error.message}`);
+  }
+
+  return data;
+}
+
+async function createJob(supabase, fields) {
+  const { data: job, error } = await supabase.from(JOBS_TABLE).insert(fields).select('*').single();
+
+  if (error) {
+    throw new Error(`Failed to create job: ${error.message}`);
+  }
+
+  return job;
+}
+
+module.exports = {
+  JOBS_TABLE,
+  JOB_APPLICANTS_TABLE,
+  JOB_STATUSES,
+  createJob,
+  loadJob,
+  parseJobFields
+};
@@ -0,0 +1,227 @@
+// Maps the old numeric candidate status codes (kept in legacy_status_code by
+// schema.sql) to pipeline stages, and rewrites saved searches that filter on them.
+//
+//   node server/ats/migrate-candidate-status.js                          (dry run, ATS project)
+//   node server/ats/migrate-candidate-status.js --apply                  (write changes)
+//   node server/ats/migrate-candidate-status.js --map=2:screened,7:hired (add code mappings)
+//   node server/ats/migrate-candidate-status.js --main                   (main SUPABASE_* project)
+//
+// Rows whose code has no mapping are reported and left untouched, so the script
+// can be re-run with a fuller --map.
+const { createClient } = require('@supabase/supabase-js');
+const { loadEnvFiles } = require('./env-files');
+const {
+  CANDIDATE_STATUS_HISTORY_TABLE,
+  DEFAULT_PIPELINE_STAGE,
+  LEGACY_SOURCED_STATUS_CODE,
+  parseStage
+} = require('./pipeline-stages');
+const { SAVED_SEARCHES_TABLE } = require('./saved-searches');
+
+const PAGE_SIZE = 500;
+
+const DEFAULT_CODE_MAP = { [LEGACY_SOURCED_STATUS_CODE]: DEFAULT_PIPELINE_STAGE };
+
+function parseCodeMap(value) {
+  const codeMap = { ...DEFAULT_CODE_MAP };
+  for (const entry of String(value || '').split(',').filter(Boolean)) {
+    const [code, stageName] = entry.split(':').map((part) => part.trim());
+    const stage = parseStage(stageName);
+    if (!/^\d+$/.test(code) || !stage) {
+      throw new Error(`Invalid --map entry "${entry}". Use code:stage, e.g. 2:screened.`);
+    }
+    codeMap[Number(code)] = stage;
+  }
+
+  return codeMap;
+}
+
+function parseArgs(argv) {
+  const mapArg = argv.find((arg) => arg.startsWith('--map='));
+  return {
+    apply: argv.includes('--apply'),
+    useMainProject: argv.includes('--main'),
+    codeMap: parseCodeMap(mapArg ? mapArg.slice('--map='.length) : '')
+  };
+}
+
+function createSupabaseClient(useMainProject) {
+  const url = useMainProject
+    ? process.env.SUPABASE_URL
+    : process.env.ATS_SUPABASE_URL || process.env.SUPABASE_URL;
+  const key = useMainProject
+    ? process.env.SUPABASE_SERVICE_ROLE_KEY
+    : process.env.ATS_SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) {
+    throw new Error('Missing Supabase URL or service role key in environment.');
+  }
+
+  return createClient(url, key);
+}
+
+async function fetchLegacyStatusRows(supabase, afterId) {
+  let query = supabase
+    .from('candidates')
+    .select('id, legacy_status_code')
+    .not('legacy_status_code', 'is', null)
+    .order('id', { ascending: true })
+    .limit(PAGE_SIZE);
+
+  if (afterId) {
+    query = query.gt('id', afterId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load candidates: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+async function migrateCandidateGroup(supabase, code, stage, ids) {
+  const { data: updated, error } = await supabase
+    .from('candidates')
+    .update({ status: stage, legacy_status_code: null })
+    .eq('legacy_status_code', code)
+    .in('id', ids)
+    .select('id');
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const movedIds = (updated || []).map((row) => row.id);
+  if (stage !== DEFAULT_PIPELINE_STAGE && movedIds.length > 0) {
+    const { error: historyError } = await supabase.from(CANDIDATE_STATUS_HISTORY_TABLE).insert(
+      movedIds.map((candidateId) => ({
+        candidate_id: candidateId,
+        from_status: DEFAULT_PIPELINE_STAGE,
+        to_status: stage,
+        reason: `Migrated from status code ${code}.`,
+        changed_by: 'migration'
+      }))
+    );
+
+    if (historyError) {
+      console.warn(`[status] history not recorded for code ${code}: ${historyError.message}`);
+    }
+  }
+
+  return movedIds.length;
+}
+
+async function migrateCandidates(supabase, options, report) {
+  let afterId = null;
+  while (true) {
+    const rows = await fetchLegacyStatusRows(supabase, afterId);
+    report.scanned += rows.length;
+
+    const idsByCode = new Map();
+    for (const row of rows) {
+      const ids = idsByCode.get(row.legacy_status_code) || [];
+      ids.push(row.id);
+      idsByCode.set(row.legacy_status_code, ids);
+    }
+
+    for (const [code, ids] of idsByCode) {
+      const stage = options.codeMap[code];
+      if (!stage) {
+        report.unmapped[code] = (report.unmapped[code] || 0) + ids.length;
+        continue;
+      }
+
+      const key = `${code} -> ${stage}`;
+      try {
+        const count = options.apply
+          ? await migrateCandidateGroup(supabase, code, stage, ids)
+          : ids.length;
+        report.migrated[key] = (report.migrated[key] || 0) + count;
+      } catch (error) {
+        report.failed.push({ code, stage, count: ids.length, error: error.message });
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) {
+      break;
+    }
+    afterId = rows[rows.length - 1].id;
+  }
+}
+
+async function migrateSavedSearches(supabase, options, report) {
+  const { data: savedSearches, error } = await supabase
+    .from(SAVED_SEARCHES_TABLE)
+    .select('id, filters');
+
+  if (error) {
+    throw new Error(`Failed to load saved searches: ${error.message}`);
+  }
+
+  for (const savedSearch of savedSearches || []) {
+    const status = savedSearch.filters?.status;
+    if (!status || !/\d/.test(String(status))) {
+      continue;
+    }
+
+    const values = String(status)
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean);
+    const stages = values.map((value) =>
+      /^\d+$/.test(value) ? options.codeMap[Number(value)] : parseStage(value)
+    );
+    if (stages.some((stage) => !stage)) {
+      report.savedSearchesSkipped.push({ id: savedSearch.id, status });
+      continue;
+    }
+
+    const filters = { ...savedSearch.filters, status: Array.from(new Set(stages)).join(',') };
+    const change = { id: savedSearch.id, from: status, to: filters.status };
+    if (options.apply) {
+      const { error: updateError } = await supabase
+        .from(SAVED_SEARCHES_TABLE)
+        .update({ filters })
+        .eq('id', savedSearch.id);
+      if (updateError) {
+        report.failed.push({ ...change, error: updateError.message });
+        continue;
+      }
+    }
+    report.savedSearches.push(change);
+  }
+}
+
+async function run() {
+  loadEnvFiles();
+  const options = parseArgs(process.argv.slice(2));
+  const supabase = createSupabaseClient(options.useMainProject);
+  const report = {
+    scanned: 0,
+    migrated: {},
+    unmapped: {},
+    savedSearches: [],
+    savedSearchesSkipped: [],
+    failed: []
+  };
+
+  await migrateCandidates(supabase, options, report);
+  if (!options.useMainProject) {
+    await migrateSavedSearches(supabase, options, report);
+  }
+
+  const unmappedCount = Object.values(report.unmapped).reduce((sum, count) => sum + count, 0);
+  console.log(
+    `[status] ${options.apply ? 'applied' : 'dry run'} scanned=${report.scanned} ` +
+      `unmapped=${unmappedCount} savedSearches=${report.savedSearches.length} ` +
+      `failed=${report.failed.length}`
+  );
+  console.log(JSON.stringify(report, null, 2));
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+// Re-normalizes phone numbers stored before region-aware normalization.
+//
+//   node server/ats/migrate-phone-numbers.js              (dry run, ATS project)
+//   node server/ats/migrate-phone-numbers.js --apply      (write changes)
+//   node server/ats/migrate-phone-numbers.js --main       (main SUPABASE_* project)
+//   node server/ats/migrate-phone-numbers.js --region=IN  (override DEFAULT_PHONE_REGION)
+const { createClient } = require('@supabase/supabase-js');
+const { loadEnvFiles } = require('./env-files');
+const { isUniqueViolation } = require('./candidate-dedup');
+const { getDefaultPhoneRegion, renormalizeLegacyPhone } = require('./phone-normalizer');
+
+const PAGE_SIZE = 500;
+
+function parseArgs(argv) {
+  const regionArg = argv.find((arg) => arg.startsWith('--region='));
+  return {
+    apply: argv.includes('--apply'),
+    useMainProject: argv.includes('--main'),
+    defaultRegion: regionArg ? regionArg.split('=')[1] : getDefaultPhoneRegion()
+  };
+}
+
+function createSupabaseClient(useMainProject) {
+  const url = useMainProject
+    ? process.env.SUPABASE_URL
+    : process.env.ATS_SUPABASE_URL || process.env.SUPABASE_URL;
+  const key = useMainProject
+    ? process.env.SUPABASE_SERVICE_ROLE_KEY
+    : process.env.ATS_SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) {
+    throw new Error('Missing Supabase URL or service role key in environment.');
+  }
+
+  return createClient(url, key);
+}
+
+async function fetchLegacyPhoneRows(supabase, useMainProject, afterId) {
+  const columns = useMainProject ? 'id, phone' : 'id, phone, phones';
+  let query = supabase
+    .from('candidates')
+    .select(columns)
+    .like('phone', '+1%')
+    .order('id', { ascending: true })
+    .limit(PAGE_SIZE);
+
+  if (afterId) {
+    query = query.gt('id', afterId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load candidates: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+function buildPhoneUpdate(row, { useMainProject, defaultRegion }) {
+  const phone = renormalizeLegacyPhone(row.phone, { defaultRegion });
+  if (!phone) {
+    return null;
+  }
+
+  if (useMainProject) {
+    return { phone };
+  }
+
+  const phones = Array.from(
+    new Set(
+      (row.phones || []).map((value) => renormalizeLegacyPhone(value, { defaultRegion }) || value)
+    )
+  );
+  return { phone, phones: phones.includes(phone) ? phones : [phone, ...phones] };
+}
+
+async function run() {
+  loadEnvFiles();
+  const options = parseArgs(process.argv.slice(2));
+  const supabase = createSupabaseClient(options.useMainProject);
+  const report = { scanned: 0, changed: [], conflicts: [], failed: [] };
+
+  let afterId = null;
+  while (true) {
+    const rows = await fetchLegacyPhoneRows(supabase, options.useMainProject, afterId);
+    report.scanned += rows.length;
+
+    for (const row of rows) {
+      const update = buildPhoneUpdate(row, options);
+      if (!update) {
+        continue;
+      }
+
+      const change = { id: row.id, from: row.phone, to: update.phone };
+      if (!options.apply) {
+        report.changed.push(change);
+        continue;
+      }
+
+      const { error } = await supabase.from('candidates').update(update).eq('id', row.id);
+      if (!error) {
+        report.changed.push(change);
+      } else if (isUniqueViolation(error)) {
+        report.conflicts.push(change);
+      } else {
+        report.failed.push({ ...change, error: error.message });
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) {
+      break;
+    }
+    afterId = rows[rows.length - 1].id;
+  }
+
+  console.log(
+    `[phones] ${options.apply ? 'applied' : 'dry run'} region=${options.defaultRegion} ` +
+      `scanned=${report.scanned} changed=${report.changed.length} ` +
+      `conflicts=${report.conflicts.length} failed=${report.failed.length}`
+  );
+  console.log(JSON.stringify(report, null, 2));
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
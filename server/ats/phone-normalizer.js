@@ -0,0 +1,85 @@
+const {
+  findPhoneNumbersInText,
+  isSupportedCountry,
+  parsePhoneNumberFromString
+} = require('libphonenumber-js');
+
+const FALLBACK_PHONE_REGION = 'IN';
+const DATE_LIKE_REGEX = /\/|\b(?:19|20)\d{2}\s*[-–—]+\s*(?:\d{1,2}[.-])?(?:19|20)\d{2}\b/;
+
+function getDefaultPhoneRegion() {
+  const region = String(process.env.DEFAULT_PHONE_REGION || '').trim().toUpperCase();
+  return region && isSupportedCountry(region) ? region : FALLBACK_PHONE_REGION;
+}
+
+function resolveRegion(region) {
+  const normalized = String(region || '').trim().toUpperCase();
+  return normalized && isSupportedCountry(normalized) ? normalized : getDefaultPhoneRegion();
+}
+
+function normalizePhone(value, { defaultRegion } = {}) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  if (!/\d/.test(value)) {
+    return null;
+  }
+
+  const parsed = parsePhoneNumberFromString(value.trim(), resolveRegion(defaultRegion));
+  if (!parsed || !parsed.isValid()) {
+    return null;
+  }
+
+  return parsed.number;
+}
+
+function normalizePhones(values, options = {}) {
+  if (!Array.isArray(values)) {
+    return [];
+  }
+
+  return Array.from(
+    new Set(values.map((value) => normalizePhone(value, options)).filter(Boolean))
+  );
+}
+
+function extractPhones(text, { defaultRegion } = {}) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const matches = findPhoneNumbersInText(text, resolveRegion(defaultRegion));
+  return Array.from(
+    new Set(
+      matches
+        .filter((match) => !DATE_LIKE_REGEX.test(text.slice(match.startsAt, match.endsAt)))
+        .map((match) => match.number)
+        .filter((phoneNumber) => phoneNumber.isValid())
+        .map((phoneNumber) => phoneNumber.number)
+    )
+  );
+}
+
+// Numbers stored before region support were a bare 10-digit national number
+// with "+1" prepended. Re-read those digits in the default region and keep the
+// result only when it is a valid number there.
+function renormalizeLegacyPhone(storedValue, { defaultRegion } = {}) {
+  const region = resolveRegion(defaultRegion);
+  const match = /^\+1(\d{10})$/.exec(String(storedValue || '').trim());
+
+  if (!match || region === 'US' || region === 'CA') {
+    return null;
+  }
+
+  const renormalized = normalizePhone(match[1], { defaultRegion: region });
+  return renormalized && renormalized !== storedValue ? renormalized : null;
+}
+
+module.exports = {
+  extractPhones,
+  getDefaultPhoneRegion,
+  normalizePhone,
+  normalizePhones,
+  renormalizeLegacyPhone
+};
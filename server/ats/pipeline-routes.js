@@ -0,0 +1,134 @@
+const express = require('express');
+const {
+  CANDIDATE_STATUS_HISTORY_TABLE,
+  DEFAULT_PIPELINE_STAGE,
+  InvalidStatusTransitionError,
+  PIPELINE_STAGES,
+  getAllowedTransitions,
+  getPipelineConfig,
+  parseStage,
+  transitionCandidateStatus
+} = require('./pipeline-stages');
+const { getRequestActor } = require('./api-auth');
+const { getAuditContext, recordAuditEntry } = require('./audit-log');
+
+function createPipelineRouter({ supabase }) {
+  const router = express.Router();
+  const config = getPipelineConfig();
+
+  async function loadCandidate(id) {
+    const { data, error } = await supabase
+      .from('candidates')
+      .select('*')
+      .eq('id', id)
+      .is('archived_at', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load candidate: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  router.get('/pipeline', (_req, res) => {
+    res.status(200).json({
+      stages: PIPELINE_STAGES,
+      defaultStage: DEFAULT_PIPELINE_STAGE,
+      transitions: config.transitions,
+      reasonRequiredStages: config.reasonRequiredStages
+    });
+  });
+
+  router.patch('/candidate/:id/status', async (req, res, next) => {
+    const body = req.body || {};
+    const toStage = parseStage(body.status);
+    const reason = typeof body.reason === 'string' ? body.reason.trim() || null : null;
+    const changedBy = getRequestActor(req);
+
+    if (!toStage) {
+      return res.status(400).json({
+        error: `Invalid status. Use one of: ${PIPELINE_STAGES.join(', ')}.`
+      });
+    }
+
+    if (!reason && config.reasonRequiredStages.includes(toStage)) {
+      return res.status(400).json({ error: `A reason is required when moving to "${toStage}".` });
+    }
+
+    try {
+      const candidate = await loadCandidate(req.params.id);
+      if (!candidate) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+      }
+
+      const { candidate: updated, history } = await transitionCandidateStatus({
+        supabase,
+        candidate,
+        toStage,
+        reason,
+        changedBy,
+        config
+      });
+
+      await recordAuditEntry({
+        supabase,
+        context: getAuditContext(req),
+        action: 'candidate.status_change',
+        targetId: candidate.id,
+        changes: { status: { from: candidate.status, to: updated.status } }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+
+      return res.status(200).json({
+        message: `Candidate moved to ${toStage}.`,
+        candidate: updated,
+        history,
+        allowedTransitions: getAllowedTransitions(config, toStage)
+      });
+    } catch (error) {
+      if (error instanceof InvalidStatusTransitionError) {
+        return res.status(409).json({
+          error: error.message,
+          from: error.details.from,
+          to: error.details.to,
+          allowedTransitions: error.details.allowed || null
+        });
+      }
+
+      return next(error);
+    }
+  });
+
+  router.get('/candidate/:id/status-history', async (req, res, next) => {
+    try {
+      const candidate = await loadCandidate(req.params.id);
+      if (!candidate) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+      }
+
+      const { data: history, error } = await supabase
+        .from(CANDIDATE_STATUS_HISTORY_TABLE)
+        .select('*')
+        .eq('candidate_id', candidate.id)
+        .order('changed_at', { ascending: false });
+
+      if (error) {
+        throw new Error(`Failed to load status history: ${error.message}`);
+      }
+
+      return res.status(200).json({
+        candidateId: candidate.id,
+        status: candidate.status,
+        allowedTransitions: getAllowedTransitions(config, candidate.status),
+        count: history?.length || 0,
+        history: history || []
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPipelineRouter };
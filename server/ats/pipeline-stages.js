@@ -0,0 +1,175 @@
+const CANDIDATE_STATUS_HISTORY_TABLE = 'candidate_status_history';
+
+const PIPELINE_STAGES = [
+  'sourced',
+  'screened',
+  'interviewing',
+  'offer',
+  'hired',
+  'rejected',
+  'withdrawn'
+];
+
+const DEFAULT_PIPELINE_STAGE = 'sourced';
+
+// The integer code /upload used for new candidates before stages existed.
+const LEGACY_SOURCED_STATUS_CODE = 5;
+
+const DEFAULT_PIPELINE_TRANSITIONS = {
+  sourced: ['screened', 'rejected', 'withdrawn'],
+  screened: ['interviewing', 'rejected', 'withdrawn'],
+  interviewing: ['offer', 'rejected', 'withdrawn'],
+  offer: ['hired', 'rejected', 'withdrawn'],
+  hired: [],
+  rejected: ['sourced'],
+  withdrawn: ['sourced']
+};
+
+class InvalidStatusTransitionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'InvalidStatusTransitionError';
+    this.code = 'INVALID_STATUS_TRANSITION';
+    this.details = details;
+  }
+}
+
+function parseStage(value) {
+  const stage = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return PIPELINE_STAGES.includes(stage) ? stage : null;
+}
+
+function parseStageList(value, name) {
+  const stages = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((stage) => String(stage).trim())
+    .filter(Boolean);
+  const unknown = stages.find((stage) => !parseStage(stage));
+  if (unknown) {
+    return { error: `Unknown stage "${unknown}" in ${name}. Use: ${PIPELINE_STAGES.join(', ')}.` };
+  }
+
+  return { stages: Array.from(new Set(stages.map(parseStage))) };
+}
+
+// Stages missing from the override keep their default transitions.
+function parsePipelineTransitions(rawTransitions) {
+  let overrides;
+  try {
+    overrides = JSON.parse(rawTransitions);
+  } catch (error) {
+    return { error: `PIPELINE_TRANSITIONS is not valid JSON: ${error.message}` };
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { error: 'PIPELINE_TRANSITIONS must map each stage to a list of next stages.' };
+  }
+
+  const transitions = { ...DEFAULT_PIPELINE_TRANSITIONS };
+  for (const [from, to] of Object.entries(overrides)) {
+    const stage = parseStage(from);
+    if (!stage) {
+      return { error: `Unknown stage "${from}" in PIPELINE_TRANSITIONS.` };
+    }
+
+    const { stages, error } = parseStageList(to, `PIPELINE_TRANSITIONS.${stage}`);
+    if (error) {
+      return { error };
+    }
+    transitions[stage] = stages.filter((next) => next !== stage);
+  }
+
+  return { transitions };
+}
+
+function getPipelineConfig() {
+  let transitions = DEFAULT_PIPELINE_TRANSITIONS;
+  if (process.env.PIPELINE_TRANSITIONS) {
+    const parsed = parsePipelineTransitions(process.env.PIPELINE_TRANSITIONS);
+    if (parsed.error) {
+      console.warn(`[pipeline] ${parsed.error} Using the default transitions.`);
+    } else {
+      transitions = parsed.transitions;
+    }
+  }
+
+  const reasonStages = parseStageList(
+    process.env.PIPELINE_REASON_REQUIRED_STAGES ?? 'rejected',
+    'PIPELINE_REASON_REQUIRED_STAGES'
+  );
+  if (reasonStages.error) {
+    console.warn(`[pipeline] ${reasonStages.error} Requiring a reason for rejected only.`);
+  }
+
+  return {
+    transitions,
+    reasonRequiredStages: reasonStages.stages || ['rejected']
+  };
+}
+
+function getAllowedTransitions(config, fromStage) {
+  return config.transitions[fromStage] || config.transitions[DEFAULT_PIPELINE_STAGE] || [];
+}
+
+function assertTransitionAllowed(config, fromStage, toStage) {
+  const allowed = getAllowedTransitions(config, fromStage);
+  if (fromStage === toStage) {
+    throw new InvalidStatusTransitionError(`Candidate is already in stage "${toStage}".`, {
+      from: fromStage,
+      to: toStage,
+      allowed
+    });
+  }
+
+  if (!allowed.includes(toStage)) {
+    throw new InvalidStatusTransitionError(
+      `Cannot move a candidate from "${fromStage}" to "${toStage}".`,
+      { from: fromStage, to: toStage, allowed }
+    );
+  }
+}
+
+// The function re-checks the current stage under a row lock, so two recruiters
+// moving the same candidate cannot both succeed.
+async function transitionCandidateStatus({
+  supabase,
+  candidate,
+  toStage,
+  reason = null,
+  changedBy = null,
+  config = getPipelineConfig()
+}) {
+  const fromStage = candidate.status || DEFAULT_PIPELINE_STAGE;
+  assertTransitionAllowed(config, fromStage, toStage);
+
+  const { data, error } = await supabase.rpc('transition_candidate_status', {
+    p_candidate_id: candidate.id,
+    p_from_status: candidate.status,
+    p_to_status: toStage,
+    p_reason: reason,
+    p_changed_by: changedBy
+  });
+
+  if (error) {
+    if (error.code === '40001') {
+      throw new InvalidStatusTransitionError(error.message, { from: fromStage, to: toStage });
+    }
+    throw new Error(`Failed to change candidate status: ${error.message}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  CANDIDATE_STATUS_HISTORY_TABLE,
+  DEFAULT_PIPELINE_STAGE,
+  DEFAULT_PIPELINE_TRANSITIONS,
+  InvalidStatusTransitionError,
+  LEGACY_SOURCED_STATUS_CODE,
+  PIPELINE_STAGES,
+  getAllowedTransitions,
+  getPipelineConfig,
+  parsePipelineTransitions,
+  parseStage,
+  parseStageList,
+  transitionCandidateStatus
+};
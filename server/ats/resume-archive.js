@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const { RESUME_FORMATS } = require('./resume-extractor');
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+const RESUME_EXTENSIONS = new Set(Object.values(RESUME_FORMATS).map((format) => format.extension));
+
+class ResumeArchiveError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ResumeArchiveError';
+    this.code = 'INVALID_RESUME_ARCHIVE';
+    this.details = details;
+  }
+}
+
+function isZipUpload(file) {
+  const extension = path.extname(file?.originalname || '').toLowerCase();
+  const mimeType = String(file?.mimetype || '').toLowerCase();
+  return extension === '.zip' || ZIP_MIME_TYPES.includes(mimeType);
+}
+
+function isIgnoredEntry(entryName) {
+  const segments = entryName.split('/');
+  return (
+    entryName.endsWith('/') ||
+    segments[0] === '__MACOSX' ||
+    segments.some((segment) => segment.startsWith('.'))
+  );
+}
+
+function closeZipFile(zipfile) {
+  if (zipfile.isOpen) {
+    zipfile.close();
+  }
+}
+
+function buildExtractedFileName(extension) {
+  return `${Date.now()}-${Math.round(Math.random() * 1e9)}${extension}`;
+}
+
+async function extractResumeArchive(
+  archiveFile,
+  { destinationDir, maxEntries, maxEntryBytes, maxTotalBytes }
+) {
+  const archiveName = archiveFile.originalname || path.basename(archiveFile.path);
+  let zipfile;
+
+  try {
+    zipfile = await yauzl.openPromise(archiveFile.path, { strictFileNames: false });
+  } catch (error) {
+    throw new ResumeArchiveError(`Could not read ZIP archive: ${error.message}`, {
+      fileName: archiveName
+    });
+  }
+
+  if (zipfile.entryCount > maxEntries) {
+    closeZipFile(zipfile);
+    throw new ResumeArchiveError(
+      `ZIP archive has ${zipfile.entryCount} entries; the limit is ${maxEntries}.`,
+      { fileName: archiveName }
+    );
+  }
+
+  const files = [];
+  const failed = [];
+  let totalBytes = 0;
+
+  try {
+    for await (const entry of zipfile.eachEntry()) {
+      const entryName = `${archiveName}/${entry.fileName}`;
+
+      if (isIgnoredEntry(entry.fileName)) {
+        continue;
+      }
+
+      const extension = path.extname(entry.fileName).toLowerCase();
+      if (!RESUME_EXTENSIONS.has(extension)) {
+        failed.push({ fileName: entryName, error: 'Unsupported file type inside ZIP archive.' });
+        continue;
+      }
+
+      if (entry.isEncrypted()) {
+        failed.push({ fileName: entryName, error: 'Encrypted ZIP entries are not supported.' });
+        continue;
+      }
+
+      if (entry.uncompressedSize > maxEntryBytes) {
+        failed.push({ fileName: entryName, error: 'File is larger than the allowed resume size.' });
+        continue;
+      }
+
+      totalBytes += entry.uncompressedSize;
+      if (totalBytes > maxTotalBytes) {
+        throw new ResumeArchiveError(
+          `ZIP archive expands to more than ${Math.floor(maxTotalBytes / (1024 * 1024))} MB.`,
+          { fileName: archiveName }
+        );
+      }
+
+      const extractedPath = path.join(destinationDir, buildExtractedFileName(extension));
+      const readStream = await zipfile.openReadStreamPromise(entry);
+
+      try {
+        await pipeline(readStream, fs.createWriteStream(extractedPath, { flags: 'wx' }));
+      } catch (error) {
+        await fs.promises.unlink(extractedPath).catch(() => {});
+        failed.push({ fileName: entryName, error: `Failed to extract file: ${error.message}` });
+        continue;
+      }
+
+      files.push({
+        fieldname: archiveFile.fieldname,
+        originalname: entryName,
+        path: extractedPath,
+        size: entry.uncompressedSize
+      });
+    }
+  } catch (error) {
+    closeZipFile(zipfile);
+    await Promise.all(files.map((file) => fs.promises.unlink(file.path).catch(() => {})));
+
+    if (error instanceof ResumeArchiveError) {
+      throw error;
+    }
+
+    throw new ResumeArchiveError(`ZIP archive rejected: ${error.message}`, {
+      fileName: archiveName
+    });
+  }
+
+  return { files, failed };
+}
+
+module.exports = {
+  ResumeArchiveError,
+  extractResumeArchive,
+  isZipUpload
+};
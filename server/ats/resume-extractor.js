@@ -0,0 +1,333 @@
+const path = require('path');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const { PDFParse } = require('pdf-parse');
+const { parseResumeText } = require('./resume-parser');
+
+const RESUME_FORMATS = {
+  pdf: {
+    id: 'pdf',
+    extension: '.pdf',
+    contentType: 'application/pdf',
+    mimeTypes: ['application/pdf']
+  },
+  docx: {
+    id: 'docx',
+    extension: '.docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  doc: {
+    id: 'doc',
+    extension: '.doc',
+    contentType: 'application/msword',
+    mimeTypes: ['application/msword']
+  },
+  rtf: {
+    id: 'rtf',
+    extension: '.rtf',
+    contentType: 'application/rtf',
+    mimeTypes: ['application/rtf', 'application/x-rtf', 'text/rtf', 'text/richtext']
+  },
+  txt: {
+    id: 'txt',
+    extension: '.txt',
+    contentType: 'text/plain; charset=utf-8',
+    mimeTypes: ['text/plain']
+  }
+};
+
+const UNSUPPORTED_RESUME_FORMAT_MESSAGE = 'Only PDF, DOCX, DOC, RTF or TXT files are allowed.';
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+const TEXT_SNIFF_BYTES = 8192;
+
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'colortbl',
+  'datastore',
+  'fonttbl',
+  'footer',
+  'footerf',
+  'footerl',
+  'footerr',
+  'header',
+  'headerf',
+  'headerl',
+  'headerr',
+  'info',
+  'listtable',
+  'listoverridetable',
+  'object',
+  'pict',
+  'rsidtbl',
+  'stylesheet',
+  'themedata',
+  'xmlnstbl'
+]);
+
+const RTF_SPECIAL_CHARACTERS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  row: '\n',
+  cell: '\t',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+class UnsupportedResumeFormatError extends Error {
+  constructor(message = UNSUPPORTED_RESUME_FORMAT_MESSAGE, details = {}) {
+    super(message);
+    this.name = 'UnsupportedResumeFormatError';
+    this.code = 'UNSUPPORTED_RESUME_FORMAT';
+    this.details = details;
+  }
+}
+
+function startsWith(buffer, signature) {
+  return buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+}
+
+function looksLikePlainText(fileBuffer) {
+  const sample = fileBuffer.subarray(0, TEXT_SNIFF_BYTES);
+  if (sample.length === 0 || sample.includes(0)) {
+    return false;
+  }
+
+  const decoded = sample.toString('utf8');
+  const replacementCount = (decoded.match(/�/g) || []).length;
+  const controlCount = (decoded.match(/[\x00-\x08\x0E-\x1F\x7F]/g) || []).length;
+  return (replacementCount + controlCount) / decoded.length < 0.02;
+}
+
+function detectResumeFormat(fileBuffer) {
+  if (!Buffer.isBuffer(fileBuffer) || fileBuffer.length === 0) {
+    return null;
+  }
+
+  if (fileBuffer.subarray(0, 1024).includes('%PDF-')) {
+    return RESUME_FORMATS.pdf;
+  }
+
+  if (startsWith(fileBuffer, ZIP_SIGNATURE)) {
+    return fileBuffer.includes('word/document.xml') ? RESUME_FORMATS.docx : null;
+  }
+
+  if (startsWith(fileBuffer, OLE_SIGNATURE)) {
+    return RESUME_FORMATS.doc;
+  }
+
+  const withoutBom = startsWith(fileBuffer, UTF8_BOM) ? fileBuffer.subarray(UTF8_BOM.length) : fileBuffer;
+  if (withoutBom.subarray(0, 5).toString('latin1') === '{\\rtf') {
+    return RESUME_FORMATS.rtf;
+  }
+
+  return looksLikePlainText(withoutBom) ? RESUME_FORMATS.txt : null;
+}
+
+function isAllowedResumeUpload(file) {
+  const extension = path.extname(file?.originalname || '').toLowerCase();
+  const mimeType = String(file?.mimetype || '').toLowerCase();
+
+  return Object.values(RESUME_FORMATS).some(
+    (format) => format.extension === extension || format.mimeTypes.includes(mimeType)
+  );
+}
+
+function resumeFileFilter(_req, file, callback) {
+  if (isAllowedResumeUpload(file)) {
+    callback(null, true);
+    return;
+  }
+
+  callback(new UnsupportedResumeFormatError());
+}
+
+function rtfToText(rtf) {
+  const output = [];
+  const stack = [];
+  let skipping = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let index = 0;
+
+  while (index < rtf.length) {
+    const char = rtf[index];
+
+    if (char === '{') {
+      stack.push({ skipping, unicodeSkip });
+      index += 1;
+      continue;
+    }
+
+    if (char === '}') {
+      const previous = stack.pop();
+      if (previous) {
+        ({ skipping, unicodeSkip } = previous);
+      }
+      index += 1;
+      continue;
+    }
+
+    if (char !== '\\') {
+      if (char !== '\r' && char !== '\n') {
+        if (pendingSkip > 0) {
+          pendingSkip -= 1;
+        } else if (!skipping) {
+          output.push(char);
+        }
+      }
+      index += 1;
+      continue;
+    }
+
+    const next = rtf[index + 1];
+    if (next === undefined) {
+      break;
+    }
+
+    if (next === '\\' || next === '{' || next === '}') {
+      if (!skipping) {
+        output.push(next);
+      }
+      index += 2;
+      continue;
+    }
+
+    if (next === '*') {
+      skipping = true;
+      index += 2;
+      continue;
+    }
+
+    if (next === "'") {
+      const code = parseInt(rtf.slice(index + 2, index + 4), 16);
+      if (pendingSkip > 0) {
+        pendingSkip -= 1;
+      } else if (!skipping && Number.isFinite(code)) {
+        output.push(String.fromCharCode(code));
+      }
+      index += 4;
+      continue;
+    }
+
+    const controlWord = /^([a-z]{1,32})(-?\d{1,10})? ?/i.exec(rtf.slice(index + 1, index + 48));
+    if (!controlWord) {
+      if (next === '~' && !skipping) {
+        output.push(' ');
+      }
+      index += 2;
+      continue;
+    }
+
+    const [token, word, rawParam] = controlWord;
+    index += 1 + token.length;
+
+    if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+      skipping = true;
+    } else if (word === 'uc') {
+      unicodeSkip = Number(rawParam) || 0;
+    } else if (word === 'u' && rawParam !== undefined) {
+      let code = Number(rawParam);
+      if (code < 0) {
+        code += 0x10000;
+      }
+      if (!skipping) {
+        output.push(String.fromCharCode(code));
+      }
+      pendingSkip = unicodeSkip;
+    } else if (RTF_SPECIAL_CHARACTERS[word] && !skipping) {
+      output.push(RTF_SPECIAL_CHARACTERS[word]);
+    }
+  }
+
+  return output.join('');
+}
+
+async function extractPdfText(fileBuffer) {
+  const parser = new PDFParse({ data: fileBuffer });
+
+  try {
+    const parsedPdf = await parser.getText();
+    return parsedPdf?.text || '';
+  } finally {
+    await parser.destroy().catch(() => {});
+  }
+}
+
+async function extractDocxText(fileBuffer) {
+  const result = await mammoth.extractRawText({ buffer: fileBuffer });
+  return result?.value || '';
+}
+
+async function extractDocText(fileBuffer) {
+  const extractor = new WordExtractor();
+  const document = await extractor.extract(fileBuffer);
+  return document.getBody() || '';
+}
+
+async function extractRtfText(fileBuffer) {
+  return rtfToText(fileBuffer.toString('latin1'));
+}
+
+async function extractPlainText(fileBuffer) {
+  const withoutBom = startsWith(fileBuffer, UTF8_BOM) ? fileBuffer.subarray(UTF8_BOM.length) : fileBuffer;
+  return withoutBom.toString('utf8');
+}
+
+const TEXT_EXTRACTORS = {
+  pdf: extractPdfText,
+  docx: extractDocxText,
+  doc: extractDocText,
+  rtf: extractRtfText,
+  txt: extractPlainText
+};
+
+function requireResumeFormat(fileBuffer) {
+  const format = detectResumeFormat(fileBuffer);
+  if (!format) {
+    throw new UnsupportedResumeFormatError(
+      `Could not recognize the file contents. ${UNSUPPORTED_RESUME_FORMAT_MESSAGE}`
+    );
+  }
+
+  return format;
+}
+
+async function extractResumeText(fileBuffer, format = requireResumeFormat(fileBuffer)) {
+  try {
+    return await TEXT_EXTRACTORS[format.id](fileBuffer);
+  } catch (error) {
+    throw new UnsupportedResumeFormatError(
+      `Failed to read ${format.id.toUpperCase()} resume: ${error.message}`,
+      { format: format.id }
+    );
+  }
+}
+
+async function parseResumeBuffer(fileBuffer, format = requireResumeFormat(fileBuffer)) {
+  const text = await extractResumeText(fileBuffer, format);
+  return {
+    ...parseResumeText(text),
+    resumeText: text
+  };
+}
+
+module.exports = {
+  RESUME_FORMATS,
+  UnsupportedResumeFormatError,
+  detectResumeFormat,
+  extractResumeText,
+  parseResumeBuffer,
+  requireResumeFormat,
+  resumeFileFilter
+};
@@ -1,59 +1,62 @@
-const SKILL_LIST = [
-  'java',
-  'spring',
-  'spring boot',
-  'javascript',
-  'typescript',
-  'node.js',
-  'express',
-  'react',
-  'angular',
-  'vue',
-  'python',
-  'django',
-  'flask',
-  'fastapi',
-  'c',
-  'c++',
-  'c#',
-  '.net',
-  'go',
-  'rust',
-  'php',
-  'laravel',
-  'ruby',
-  'rails',
-  'sql',
-  'postgresql',
-  'mysql',
-  'mongodb',
-  'redis',
-  'html',
-  'css',
-  'tailwind',
-  'docker',
-  'kubernetes',
-  'aws',
-  'azure',
-  'gcp',
-  'terraform',
-  'git',
-  'graphql',
-  'rest',
-  'microservices',
-  'linux',
-  'ci/cd',
-  'jenkins',
-  'github actions',
-  'machine learning',
-  'data analysis',
-  'pandas',
-  'numpy'
+const { extractPhones } = require('./phone-normalizer');
+const { getSkillTaxonomy } = require('./skill-taxonomy');
+
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12
+};
+
+const SECTION_HEADINGS = [
+  {
+    section: 'experience',
+    pattern:
+      /^(?:(?:work|professional|employment|career|relevant|industry)\s+)*(?:experience|history|background)$|^employment$|^work$/
+  },
+  {
+    section: 'education',
+    pattern:
+      /^(?:education(?:al)?(?:\s+(?:background|details|qualifications?))?|academics?(?:\s+(?:background|details|qualifications?))?|qualifications?)$/
+  },
+  {
+    section: 'certifications',
+    pattern:
+      /^(?:certifications?|certificates?|licen[cs]es?(?:\s+(?:and|&)\s+certifications?)?|courses?\s+(?:and|&)\s+certifications?)$/
+  },
+  {
+    section: 'other',
+    pattern:
+      /^(?:(?:technical\s+|key\s+|core\s+)?skills|skill\s*set|competencies|projects?|(?:professional\s+)?summary|profile|objective|career\s+objective|achievements|awards|languages|interests|hobbies|references|personal\s+(?:details|information)|declaration|publications|contact)$/
+  }
 ];
 
-function escapeRegExp(value) {
-  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+const MONTH_PATTERN = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_PATTERN = `(?:${MONTH_PATTERN}\\s*[',]?\\s*\\d{4}|\\d{1,2}[/.-]\\d{4}|\\d{4})`;
+const OPEN_END_PATTERN = '(?:present|current(?:ly)?|now|till\\s+date|to\\s+date|ongoing|today)';
+const DATE_RANGE_REGEX = new RegExp(
+  `(${DATE_PATTERN})\\s*(?:-|–|—|to|till|until)\\s*(${DATE_PATTERN}|${OPEN_END_PATTERN})`,
+  'i'
+);
+
+const JOB_TITLE_REGEX =
+  /\b(?:engineer|developer|programmer|manager|analyst|consultant|intern|lead|architect|designer|specialist|administrator|director|officer|associate|executive|head|scientist|tester|trainee|founder|recruiter|coordinator|supervisor|technician|devops|sde)\b/i;
+
+const DEGREE_REGEX =
+  /\b(?:b\.?\s?tech|m\.?\s?tech|b\.?\s?e\b|m\.?\s?e\b|b\.?\s?sc|m\.?\s?sc|b\.?\s?com|m\.?\s?com|b\.?\s?a\b|m\.?\s?a\b|bca|mca|bba|mba|ph\.?\s?d|pgdm|diploma|bachelor(?:'s)?(?:\s+of\s+[a-z ]+)?|master(?:'s)?(?:\s+of\s+[a-z ]+)?|doctor(?:ate)?(?:\s+of\s+[a-z ]+)?|hsc|ssc|higher\s+secondary|senior\s+secondary|intermediate|matriculation|12th|10th)\b/i;
+
+const INSTITUTION_REGEX =
+  /\b(?:university|college|institute|institution|school|academy|polytechnic|iit|nit|iiit|iim|bits|vidyalaya)\b/i;
+
+const BULLET_REGEX = /^[•●▪◦■\-*–]\s*/;
 
 function toTitleCase(value) {
   return value
@@ -69,27 +72,6 @@ function extractEmail(text) {
   return match ? match[0].toLowerCase() : null;
 }
 
-function extractPhone(text) {
-  const match = text.match(
-    /(?:\+?\d{1,3}[\s.-]?)?(?:\(?\d{3}\)?[\s.-]?)\d{3}[\s.-]?\d{4}/
-  );
-
-  if (!match) {
-    return null;
-  }
-
-  const digits = match[0].replace(/\D/g, '');
-  if (digits.length === 10) {
-    return `+1${digits}`;
-  }
-
-  if (digits.length === 11 && digits.startsWith('1')) {
-    return `+${digits}`;
-  }
-
-  return `+${digits}`;
-}
-
 function extractName(text) {
   const lines = text
     .split(/\r?\n/)
@@ -120,25 +102,311 @@ function extractName(text) {
 }
 
 function extractSkills(text) {
-  const normalizedText = text.toLowerCase();
+  return getSkillTaxonomy().extractSkills(text);
+}
+
+function normalizeHeading(line) {
+  return line
+    .toLowerCase()
+    .replace(/[:\-–—_|]+$/g, '')
+    .replace(/[^a-z&\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function detectSectionHeading(line) {
+  if (line.length > 40) {
+    return null;
+  }
+
+  const heading = normalizeHeading(line);
+  if (!heading) {
+    return null;
+  }
+
+  const match = SECTION_HEADINGS.find(({ pattern }) => pattern.test(heading));
+  return match ? match.section : null;
+}
+
+function splitSections(text) {
+  const sections = { experience: [], education: [], certifications: [] };
+  let current = null;
+
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  for (const line of lines) {
+    const section = detectSectionHeading(line);
+    if (section) {
+      current = section === 'other' ? null : section;
+      continue;
+    }
+
+    if (current) {
+      sections[current].push(line);
+    }
+  }
+
+  return sections;
+}
+
+function parseDateToken(token, { isEnd = false } = {}) {
+  const value = token.trim().toLowerCase();
 
-  const found = SKILL_LIST.filter((skill) => {
-    const pattern = new RegExp(`(^|[^a-z0-9+#.])${escapeRegExp(skill)}($|[^a-z0-9+#.])`, 'i');
-    return pattern.test(normalizedText);
-  }).map((skill) => skill.toLowerCase());
+  const monthYear = value.match(/^([a-z]+)\.?\s*[',]?\s*(\d{4})$/);
+  if (monthYear) {
+    const month = MONTHS[monthYear[1].slice(0, 3)];
+    return month ? { year: Number(monthYear[2]), month, precision: 'month' } : null;
+  }
+
+  const numeric = value.match(/^(\d{1,2})[/.-](\d{4})$/);
+  if (numeric) {
+    const month = Number(numeric[1]);
+    if (month < 1 || month > 12) {
+      return null;
+    }
+    return { year: Number(numeric[2]), month, precision: 'month' };
+  }
+
+  const yearOnly = value.match(/^(\d{4})$/);
+  if (yearOnly) {
+    return { year: Number(yearOnly[1]), month: isEnd ? 12 : 1, precision: 'year' };
+  }
+
+  return null;
+}
 
-  return Array.from(new Set(found));
+function formatDate(date) {
+  if (!date) {
+    return null;
+  }
+
+  return date.precision === 'year'
+    ? String(date.year)
+    : `${date.year}-${String(date.month).padStart(2, '0')}`;
+}
+
+function toMonthIndex(date) {
+  return date.year * 12 + (date.month - 1);
 }
 
-function parseResumeText(text) {
+function parseDateRange(line, now) {
+  const match = line.match(DATE_RANGE_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const start = parseDateToken(match[1]);
+  const isCurrent = new RegExp(`^${OPEN_END_PATTERN}$`, 'i').test(match[2].trim());
+  const end = isCurrent ? null : parseDateToken(match[2], { isEnd: true });
+
+  if (!start || (!isCurrent && !end)) {
+    return null;
+  }
+
+  const nowIndex = now.getFullYear() * 12 + now.getMonth();
+  const startIndex = toMonthIndex(start);
+  const endIndex = isCurrent ? nowIndex : Math.min(toMonthIndex(end), nowIndex);
+
+  if (startIndex > endIndex || start.year < 1950) {
+    return null;
+  }
+
+  return {
+    matchedText: match[0],
+    startDate: formatDate(start),
+    endDate: formatDate(end),
+    isCurrent,
+    startIndex,
+    endIndex: endIndex + 1
+  };
+}
+
+function cleanFragment(value) {
+  return value
+    .replace(BULLET_REGEX, '')
+    .replace(/^[\s|,;:@\-–—]+|[\s|,;:@\-–—]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function splitTitleAndEmployer(fragments) {
+  let title = null;
+  let employer = null;
+
+  for (const fragment of fragments) {
+    const atMatch = fragment.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+    if (atMatch && !title && !employer) {
+      title = cleanFragment(atMatch[1]);
+      employer = cleanFragment(atMatch[2]);
+      continue;
+    }
+
+    if (!title && JOB_TITLE_REGEX.test(fragment)) {
+      title = fragment;
+    } else if (!employer) {
+      employer = fragment;
+    } else if (!title) {
+      title = fragment;
+    }
+  }
+
+  return { title: title || null, employer: employer || null };
+}
+
+function isDescriptionLine(line) {
+  return BULLET_REGEX.test(line) || line.length > 80 || /[.;]$/.test(line);
+}
+
+function extractWorkHistory(lines, now) {
+  const entries = [];
+  let lastHeaderBoundary = 0;
+
+  lines.forEach((line, index) => {
+    const range = parseDateRange(line, now);
+    if (!range) {
+      return;
+    }
+
+    let fragments = line
+      .replace(range.matchedText, ' | ')
+      .split(/\s*[|,]\s*|\s{2,}|\s+[-–—]\s+/)
+      .map(cleanFragment)
+      .filter(Boolean);
+
+    let cursor = index - 1;
+    while (fragments.length < 2 && cursor >= lastHeaderBoundary) {
+      if (isDescriptionLine(lines[cursor]) || parseDateRange(lines[cursor], now)) {
+        break;
+      }
+      fragments = [cleanFragment(lines[cursor]), ...fragments];
+      cursor -= 1;
+    }
+
+    const nextLine = lines[index + 1];
+    const nextLineIsHeader =
+      nextLine && !isDescriptionLine(nextLine) && !parseDateRange(nextLine, now);
+    if (fragments.length < 2 && nextLineIsHeader) {
+      fragments.push(cleanFragment(nextLine));
+    }
+
+    lastHeaderBoundary = index + 1;
+    const { title, employer } = splitTitleAndEmployer(fragments.slice(-2));
+
+    entries.push({
+      employer,
+      title,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      isCurrent: range.isCurrent,
+      startIndex: range.startIndex,
+      endIndex: range.endIndex
+    });
+  });
+
+  return entries;
+}
+
+function calculateTotalExperienceYears(entries) {
+  const intervals = entries
+    .map(({ startIndex, endIndex }) => [startIndex, endIndex])
+    .sort((a, b) => a[0] - b[0]);
+
+  let totalMonths = 0;
+  let currentStart = null;
+  let currentEnd = null;
+
+  for (const [start, end] of intervals) {
+    if (currentEnd === null || start > currentEnd) {
+      if (currentEnd !== null) {
+        totalMonths += currentEnd - currentStart;
+      }
+      currentStart = start;
+      currentEnd = end;
+    } else {
+      currentEnd = Math.max(currentEnd, end);
+    }
+  }
+
+  if (currentEnd !== null) {
+    totalMonths += currentEnd - currentStart;
+  }
+
+  return Math.round((totalMonths / 12) * 10) / 10;
+}
+
+function extractGraduationYear(lines, now) {
+  const years = lines
+    .flatMap((line) => line.match(/\b(19[5-9]\d|20\d{2})\b/g) || [])
+    .map(Number)
+    .filter((year) => year <= now.getFullYear() + 6);
+
+  return years.length > 0 ? Math.max(...years) : null;
+}
+
+function extractEducation(lines, now) {
+  const groups = [];
+
+  for (const line of lines) {
+    if (DEGREE_REGEX.test(line) || groups.length === 0) {
+      groups.push([line]);
+    } else {
+      groups[groups.length - 1].push(line);
+    }
+  }
+
+  return groups
+    .map((group) => {
+      const degreeLine = group.find((line) => DEGREE_REGEX.test(line)) || null;
+      const institutionLine = group.find((line) => INSTITUTION_REGEX.test(line)) || null;
+      const institutionFragment = institutionLine
+        ?.split(/\s*[|,]\s*|\s{2,}|\s+[-–—]\s+/)
+        .find((fragment) => INSTITUTION_REGEX.test(fragment));
+
+      return {
+        degree: degreeLine
+          ? cleanFragment(degreeLine.replace(DATE_RANGE_REGEX, '').split(/\s*[|,]\s*/)[0])
+          : null,
+        institution: institutionFragment
+          ? cleanFragment(institutionFragment.replace(DATE_RANGE_REGEX, ''))
+          : null,
+        graduationYear: extractGraduationYear(group, now)
+      };
+    })
+    .filter((entry) => entry.degree || entry.institution);
+}
+
+function extractCertifications(lines) {
+  return Array.from(
+    new Set(
+      lines
+        .map(cleanFragment)
+        .filter((line) => line.length >= 3 && line.length <= 120)
+    )
+  );
+}
+
+function parseResumeText(text, { now = new Date(), defaultRegion } = {}) {
+  const sections = splitSections(text);
+  const workHistory = extractWorkHistory(sections.experience, now);
+  const phones = extractPhones(text, { defaultRegion });
+
   return {
     name: extractName(text),
     email: extractEmail(text),
-    phone: extractPhone(text),
-    skills: extractSkills(text)
+    phone: phones[0] || null,
+    phones,
+    skills: extractSkills(text),
+    workHistory: workHistory.map(({ startIndex, endIndex, ...entry }) => entry),
+    education: extractEducation(sections.education, now),
+    certifications: extractCertifications(sections.certifications),
+    totalExperienceYears: workHistory.length > 0 ? calculateTotalExperienceYears(workHistory) : null
   };
 }
 
 module.exports = {
+  JOB_TITLE_REGEX,
   parseResumeText
 };
@@ -0,0 +1,82 @@
+const { escapeHtml } = require('./html-escape');
+
+const CANDIDATE_RESUME_TEXTS_TABLE = 'candidate_resume_texts';
+
+// search_candidates_full_text wraps matches in these private-use characters.
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+const HIGHLIGHT_MARKERS = /[\uE000\uE001]/g;
+
+function formatSnippet(snippet) {
+  return escapeHtml(String(snippet || '').replace(/\s+/g, ' ').trim())
+    .split(HIGHLIGHT_START)
+    .join('<mark>')
+    .split(HIGHLIGHT_END)
+    .join('</mark>');
+}
+
+async function saveResumeText({ supabase, candidateId, resumeUrl = null, resumeText }) {
+  const { error } = await supabase.from(CANDIDATE_RESUME_TEXTS_TABLE).upsert(
+    {
+      candidate_id: candidateId,
+      resume_url: resumeUrl,
+      resume_text: String(resumeText || '').replace(HIGHLIGHT_MARKERS, ''),
+      extracted_at: new Date().toISOString()
+    },
+    { onConflict: 'candidate_id' }
+  );
+
+  if (error) {
+    throw new Error(`Failed to save resume text: ${error.message}`);
+  }
+}
+
+async function countResumeTextMatches({ supabase, query, offset }) {
+  if (offset === 0) {
+    return 0;
+  }
+
+  const { data, error } = await supabase.rpc('count_candidates_full_text', {
+    search_query: query
+  });
+
+  if (error) {
+    throw new Error(`Resume text search failed: ${error.message}`);
+  }
+
+  return Number(data) || 0;
+}
+
+async function searchResumeText({ supabase, query, limit, offset }) {
+  const { data, error } = await supabase.rpc('search_candidates_full_text', {
+    search_query: query,
+    result_limit: limit,
+    result_offset: offset
+  });
+
+  if (error) {
+    throw new Error(`Resume text search failed: ${error.message}`);
+  }
+
+  const rows = data || [];
+  return {
+    totalCount:
+      rows.length > 0
+        ? Number(rows[0].total_count)
+        : await countResumeTextMatches({ supabase, query, offset }),
+    results: rows.map((row) => ({
+      ...row.candidate,
+      match: {
+        rank: Math.round(Number(row.rank) * 1000) / 1000,
+        snippet: formatSnippet(row.snippet)
+      }
+    }))
+  };
+}
+
+module.exports = {
+  CANDIDATE_RESUME_TEXTS_TABLE,
+  formatSnippet,
+  saveResumeText,
+  searchResumeText
+};
@@ -0,0 +1,200 @@
+const { diffFields } = require('./audit-log');
+
+const CANDIDATE_RESUMES_TABLE = 'candidate_resumes';
+
+const COMPARED_FIELDS = ['name', 'email', 'phone', 'experience'];
+const FILLABLE_FIELDS = ['name', 'email', 'phone', 'experience', 'work_history', 'education'];
+
+function isBlank(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function parseUploadMode(...sources) {
+  const rawMode = sources.find((value) => typeof value === 'string' && value.trim());
+  return String(rawMode || 'create').trim().toLowerCase() === 'update' ? 'update' : 'create';
+}
+
+function compareParsedWithCandidate(candidate, payload) {
+  const differences = {};
+
+  for (const field of COMPARED_FIELDS) {
+    const current = candidate?.[field] ?? null;
+    const parsed = payload?.[field] ?? null;
+
+    if (!isBlank(parsed) && !isBlank(current) && String(parsed) !== String(current)) {
+      differences[field] = { current, parsed };
+    }
+  }
+
+  const currentSkills = new Set(Array.isArray(candidate?.skills) ? candidate.skills : []);
+  const newSkills = (Array.isArray(payload?.skills) ? payload.skills : []).filter(
+    (skill) => !currentSkills.has(skill)
+  );
+
+  return { differences, newSkills };
+}
+
+async function ensureLegacyResumeVersion({ supabase, candidate }) {
+  if (!candidate?.resume_url) {
+    return;
+  }
+
+  const { error } = await supabase.from(CANDIDATE_RESUMES_TABLE).upsert(
+    {
+      candidate_id: candidate.id,
+      resume_url: candidate.resume_url,
+      is_current: false,
+      uploaded_at: candidate.created_at || new Date().toISOString()
+    },
+    { onConflict: 'candidate_id,resume_url', ignoreDuplicates: true }
+  );
+
+  if (error) {
+    throw new Error(`Failed to record existing resume version: ${error.message}`);
+  }
+}
+
+async function recordResumeVersion({
+  supabase,
+  candidateId,
+  resumeUrl,
+  resumeHash = null,
+  storagePath = null,
+  contentType = null,
+  fileName = null,
+  source = 'upload'
+}) {
+  const { error: clearError } = await supabase
+    .from(CANDIDATE_RESUMES_TABLE)
+    .update({ is_current: false })
+    .eq('candidate_id', candidateId)
+    .eq('is_current', true);
+
+  if (clearError) {
+    throw new Error(`Failed to update resume versions: ${clearError.message}`);
+  }
+
+  const { data: version, error } = await supabase
+    .from(CANDIDATE_RESUMES_TABLE)
+    .upsert(
+      {
+        candidate_id: candidateId,
+        resume_url: resumeUrl,
+        resume_hash: resumeHash,
+        storage_path: storagePath,
+        content_type: contentType,
+        file_name: fileName,
+        source,
+        is_current: true,
+        uploaded_at: new Date().toISOString()
+      },
+      { onConflict: 'candidate_id,resume_url' }
+    )
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record resume version: ${error.message}`);
+  }
+
+  return version;
+}
+
+async function applyResumeUpdate({ supabase, candidate, payload, resume }) {
+  const { differences, newSkills } = compareParsedWithCandidate(candidate, payload);
+
+  await ensureLegacyResumeVersion({ supabase, candidate });
+  const version = await recordResumeVersion({
+    supabase,
+    candidateId: candidate.id,
+    ...resume
+  });
+
+  const updates = {
+    resume_url: resume.resumeUrl,
+    skills: [...(Array.isArray(candidate.skills) ? candidate.skills : []), ...newSkills]
+  };
+
+  if ('resume_simhash' in payload) {
+    updates.resume_simhash = payload.resume_simhash;
+  }
+
+  if (Array.isArray(payload.phones) && payload.phones.length > 0) {
+    updates.phones = Array.from(new Set([...(candidate.phones || []), ...payload.phones]));
+  }
+
+  const filledFields = [];
+  for (const field of FILLABLE_FIELDS) {
+    if (field in candidate && isBlank(candidate[field]) && !isBlank(payload[field])) {
+      updates[field] = payload[field];
+      filledFields.push(field);
+    }
+  }
+
+  const { data: updatedCandidate, error } = await supabase
+    .from('candidates')
+    .update(updates)
+    .eq('id', candidate.id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update candidate with new resume: ${error.message}`);
+  }
+
+  return {
+    candidate: updatedCandidate,
+    resumeVersion: version,
+    newSkills,
+    filledFields,
+    differences,
+    changes: diffFields(
+      candidate,
+      updatedCandidate,
+      Object.keys(updates).filter((field) => field !== 'resume_simhash')
+    )
+  };
+}
+
+async function listResumeVersions({ supabase, candidate }) {
+  const { data, error } = await supabase
+    .from(CANDIDATE_RESUMES_TABLE)
+    .select('*')
+    .eq('candidate_id', candidate.id)
+    .order('uploaded_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list resume versions: ${error.message}`);
+  }
+
+  const versions = data || [];
+  if (versions.length === 0 && candidate.resume_url) {
+    return [
+      {
+        id: null,
+        candidate_id: candidate.id,
+        resume_url: candidate.resume_url,
+        resume_hash: null,
+        source: 'upload',
+        is_current: true,
+        uploaded_at: candidate.created_at
+      }
+    ];
+  }
+
+  return versions;
+}
+
+module.exports = {
+  CANDIDATE_RESUMES_TABLE,
+  applyResumeUpdate,
+  compareParsedWithCandidate,
+  listResumeVersions,
+  parseUploadMode,
+  recordResumeVersion
+};
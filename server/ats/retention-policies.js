@@ -0,0 +1,254 @@
+const { getSystemAuditContext, recordAuditEntry } = require('./audit-log');
+const { anonymizeCandidate, deleteCandidate } = require('./candidate-erasure');
+const { parseStageList } = require('./pipeline-stages');
+const { startScheduledTask } = require('./scheduled-task');
+
+const RETENTION_ACTIONS = ['delete', 'anonymize'];
+
+function parseRetentionRule(rawRule, index) {
+  const label = `RETENTION_RULES[${index}]`;
+  if (!rawRule || typeof rawRule !== 'object' || Array.isArray(rawRule)) {
+    return { error: `${label} must be an object.` };
+  }
+
+  const name =
+    typeof rawRule.name === 'string' && rawRule.name.trim()
+      ? rawRule.name.trim()
+      : `rule-${index + 1}`;
+  const action = String(rawRule.action || '').trim().toLowerCase();
+  if (!RETENTION_ACTIONS.includes(action)) {
+    return { error: `${label}.action must be one of: ${RETENTION_ACTIONS.join(', ')}.` };
+  }
+
+  let statuses = null;
+  if (rawRule.statuses !== undefined) {
+    const { stages, error } = parseStageList(rawRule.statuses, `${label}.statuses`);
+    if (error) {
+      return { error };
+    }
+    statuses = stages.length > 0 ? stages : null;
+  }
+
+  let inactiveMonths = null;
+  if (rawRule.inactiveMonths !== undefined) {
+    inactiveMonths = Number(rawRule.inactiveMonths);
+    if (!Number.isInteger(inactiveMonths) || inactiveMonths < 1) {
+      return { error: `${label}.inactiveMonths must be a whole number of months, at least 1.` };
+    }
+  }
+
+  const consentExpired = rawRule.consentExpired === true;
+  if (inactiveMonths === null && !consentExpired) {
+    return { error: `${label} needs inactiveMonths or "consentExpired": true.` };
+  }
+
+  return { rule: { name, action, statuses, inactiveMonths, consentExpired } };
+}
+
+function parseRetentionRules(rawRules) {
+  let rules;
+  try {
+    rules = JSON.parse(rawRules);
+  } catch (error) {
+    return { error: `RETENTION_RULES is not valid JSON: ${error.message}` };
+  }
+
+  if (!Array.isArray(rules)) {
+    return { error: 'RETENTION_RULES must be a list of rules.' };
+  }
+
+  const parsed = [];
+  for (const [index, rawRule] of rules.entries()) {
+    const { rule, error } = parseRetentionRule(rawRule, index);
+    if (error) {
+      return { error };
+    }
+    if (parsed.some((other) => other.name === rule.name)) {
+      return { error: `RETENTION_RULES has two rules named "${rule.name}".` };
+    }
+    parsed.push(rule);
+  }
+
+  return { rules: parsed };
+}
+
+// A broken rule set purges nothing rather than guessing which rules were meant.
+function getRetentionConfig() {
+  let rules = [];
+  if (process.env.RETENTION_RULES) {
+    const parsed = parseRetentionRules(process.env.RETENTION_RULES);
+    if (parsed.error) {
+      console.warn(`[retention] ${parsed.error} No candidates will be purged.`);
+    } else {
+      rules = parsed.rules;
+    }
+  }
+
+  const intervalMinutesRaw = Number(process.env.RETENTION_PURGE_INTERVAL_MINUTES);
+  const intervalMinutes =
+    Number.isFinite(intervalMinutesRaw) && intervalMinutesRaw >= 0
+      ? Math.floor(intervalMinutesRaw)
+      : 1440;
+
+  const batchSizeRaw = Number(process.env.RETENTION_PURGE_BATCH_SIZE);
+  const batchSize =
+    Number.isFinite(batchSizeRaw) && batchSizeRaw > 0 ? Math.floor(batchSizeRaw) : 100;
+
+  return {
+    rules,
+    intervalMinutes,
+    batchSize,
+    resumeBucket: process.env.SUPABASE_RESUME_BUCKET || 'resumes'
+  };
+}
+
+function subtractMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() - months);
+  return result;
+}
+
+async function findRuleMatches({ supabase, rule, now, limit }) {
+  const { data, error } = await supabase.rpc('find_retention_candidates', {
+    p_statuses: rule.statuses,
+    p_inactive_before: rule.inactiveMonths
+      ? subtractMonths(now, rule.inactiveMonths).toISOString()
+      : null,
+    p_consent_expired_before: rule.consentExpired ? now.toISOString() : null,
+    p_include_anonymized: rule.action === 'delete',
+    p_limit: limit
+  });
+
+  if (error) {
+    throw new Error(`Failed to evaluate retention rule "${rule.name}": ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// Delete rules run before anonymize rules, and a candidate is listed once, under the
+// first rule that matched it.
+async function planRetentionPurge({ supabase, rules, limit, now = new Date() }) {
+  const ordered = [
+    ...rules.filter((rule) => rule.action === 'delete'),
+    ...rules.filter((rule) => rule.action === 'anonymize')
+  ];
+  const planned = new Map();
+
+  for (const rule of ordered) {
+    const matches = await findRuleMatches({ supabase, rule, now, limit });
+    for (const match of matches) {
+      if (!planned.has(match.candidate_id)) {
+        planned.set(match.candidate_id, {
+          candidateId: match.candidate_id,
+          action: rule.action,
+          rule: rule.name,
+          status: match.status,
+          lastActivityAt: match.last_activity_at,
+          consentExpiresAt: match.consent_expires_at,
+          anonymizedAt: match.anonymized_at
+        });
+      }
+    }
+  }
+
+  return Array.from(planned.values());
+}
+
+// project names the main project when it is purged too; the audit entries always go to
+// auditSupabase, the ATS project.
+async function runRetentionPurge({
+  supabase,
+  interviewsSupabase = supabase,
+  auditSupabase = supabase,
+  project = null,
+  config = getRetentionConfig(),
+  now = new Date()
+}) {
+  const report = { deleted: 0, anonymized: 0, skipped: 0, failed: 0 };
+  if (config.rules.length === 0) {
+    return report;
+  }
+
+  const plan = await planRetentionPurge({
+    supabase,
+    rules: config.rules,
+    limit: config.batchSize,
+    now
+  });
+
+  for (const item of plan) {
+    const erase = item.action === 'delete' ? deleteCandidate : anonymizeCandidate;
+    try {
+      const receipt = await erase({
+        supabase,
+        interviewsSupabase,
+        bucket: config.resumeBucket,
+        candidateId: item.candidateId
+      });
+
+      if (!receipt) {
+        report.skipped += 1;
+        continue;
+      }
+
+      report[item.action === 'delete' ? 'deleted' : 'anonymized'] += 1;
+      await recordAuditEntry({
+        supabase: auditSupabase,
+        context: getSystemAuditContext('retention'),
+        action: item.action === 'delete' ? 'candidate.delete' : 'candidate.anonymize',
+        targetId: item.candidateId,
+        details: {
+          rule: item.rule,
+          ...(project && { project }),
+          mergedCandidateIds: receipt.mergedCandidateIds,
+          removed: receipt.removed,
+          errors: receipt.errors.length
+        }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+    } catch (error) {
+      report.failed += 1;
+      console.error(
+        `[retention] ${project || 'ats'} ${item.rule} ${item.candidateId}: ${error.message}`
+      );
+    }
+  }
+
+  return report;
+}
+
+function startRetentionPurge({ supabase, interviewsSupabase, auditSupabase, project = null }) {
+  const config = getRetentionConfig();
+  if (config.intervalMinutes === 0 || config.rules.length === 0) {
+    return null;
+  }
+
+  return startScheduledTask({
+    name: project ? `retention:${project}` : 'retention',
+    intervalMs: config.intervalMinutes * 60 * 1000,
+    task: async () => {
+      const report = await runRetentionPurge({
+        supabase,
+        interviewsSupabase,
+        auditSupabase,
+        project,
+        config
+      });
+      if (report.deleted > 0 || report.anonymized > 0 || report.failed > 0) {
+        console.log(
+          `[retention] ${project || 'ats'} deleted=${report.deleted} ` +
+            `anonymized=${report.anonymized} skipped=${report.skipped} failed=${report.failed}`
+        );
+      }
+    }
+  });
+}
+
+module.exports = {
+  RETENTION_ACTIONS,
+  getRetentionConfig,
+  parseRetentionRules,
+  planRetentionPurge,
+  runRetentionPurge,
+  startRetentionPurge
+};
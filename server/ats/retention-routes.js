@@ -0,0 +1,77 @@
+const express = require('express');
+const { getRetentionConfig, planRetentionPurge } = require('./retention-policies');
+const { recordCandidateExport } = require('./audit-log');
+
+async function planProject({ project, supabase, rules, limit }) {
+  const plan = await planRetentionPurge({ supabase, rules, limit });
+  const ids = plan.map((item) => item.candidateId);
+  const details = new Map();
+
+  if (ids.length > 0) {
+    const { data, error } = await supabase
+      .from('candidates')
+      .select('id, name, email')
+      .in('id', ids);
+
+    if (error) {
+      throw new Error(`Failed to load ${project} candidates: ${error.message}`);
+    }
+
+    for (const row of data || []) {
+      details.set(row.id, row);
+    }
+  }
+
+  return plan.map((item) => ({
+    ...item,
+    project,
+    name: details.get(item.candidateId)?.name ?? null,
+    email: details.get(item.candidateId)?.email ?? null
+  }));
+}
+
+// mainSupabase is set when /upload writes to a project other than the ATS one; its
+// candidates are purged separately and listed here with project "main".
+function createRetentionRouter({ supabase, mainSupabase = null }) {
+  const router = express.Router();
+  const config = getRetentionConfig();
+  const projects = [
+    { project: 'ats', supabase },
+    ...(mainSupabase ? [{ project: 'main', supabase: mainSupabase }] : [])
+  ];
+
+  // Dry run: lists what the next purge would delete or anonymize, without changing anything.
+  router.get('/retention/report', async (req, res, next) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    try {
+      const plans = await Promise.all(
+        projects.map((entry) => planProject({ ...entry, rules: config.rules, limit }))
+      );
+      const candidates = plans.flat();
+      await recordCandidateExport({
+        supabase,
+        req,
+        candidateIds: candidates.map((item) => item.candidateId)
+      });
+
+      return res.status(200).json({
+        generatedAt: new Date().toISOString(),
+        rules: config.rules,
+        purgeIntervalMinutes: config.intervalMinutes,
+        batchSize: config.batchSize,
+        limit,
+        count: candidates.length,
+        toDelete: candidates.filter((item) => item.action === 'delete').length,
+        toAnonymize: candidates.filter((item) => item.action === 'anonymize').length,
+        candidates
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRetentionRouter };
@@ -0,0 +1,258 @@
+const { createAuthenticator } = require('./api-auth');
+
+const PERMISSIONS = [
+  'candidates:read',
+  'candidates:write',
+  'candidates:upload',
+  'candidates:delete',
+  'notes:write',
+  'tags:write',
+  'saved-searches:write',
+  'jobs:read',
+  'jobs:write',
+  'interviews:schedule',
+  'taxonomy:write',
+  'retention:read',
+  'audit:read'
+];
+
+const ADMIN_ONLY_PERMISSIONS = [
+  'candidates:delete',
+  'taxonomy:write',
+  'retention:read',
+  'audit:read'
+];
+
+// Interviewers only reach candidates they have an interview with.
+const ROLE_PERMISSIONS = {
+  admin: { permissions: PERMISSIONS },
+  recruiter: {
+    permissions: PERMISSIONS.filter((permission) => !ADMIN_ONLY_PERMISSIONS.includes(permission))
+  },
+  interviewer: {
+    permissions: ['candidates:read', 'notes:write'],
+    assignedCandidatesOnly: true
+  },
+  'read-only': { permissions: ['candidates:read', 'jobs:read'] }
+};
+
+// permission: null lets any signed-in role through. candidateParam names the path
+// parameter holding a candidate id; assignedList marks lists that narrow themselves
+// to req.auth.candidateIds.
+const ROUTE_PERMISSIONS = [
+  ['GET', '/health', { public: true }],
+  ['GET', '/api/ats/health', { public: true }],
+  ['POST', '/upload', { permission: 'candidates:upload' }],
+  ['POST', '/scheduleInterview', { permission: 'interviews:schedule' }],
+
+  ['POST', '/api/ats/upload-resume', { permission: 'candidates:upload' }],
+  ['POST', '/api/ats/upload-resumes', { permission: 'candidates:upload' }],
+  ['POST', '/api/ats/upload-resumes/commit', { permission: 'candidates:upload' }],
+  ['GET', '/api/ats/upload-jobs/:id', { permission: 'candidates:upload' }],
+  ['GET', '/api/ats/upload-jobs/:id/events', { permission: 'candidates:upload', queryToken: true }],
+
+  ['GET', '/api/ats/search', { permission: 'candidates:read' }],
+  ['GET', '/api/ats/search/text', { permission: 'candidates:read' }],
+  ['GET', '/api/ats/saved-searches', { permission: 'candidates:read' }],
+  ['POST', '/api/ats/saved-searches', { permission: 'saved-searches:write' }],
+  ['GET', '/api/ats/saved-searches/:id', { permission: 'candidates:read' }],
+  ['PATCH', '/api/ats/saved-searches/:id', { permission: 'saved-searches:write' }],
+  ['DELETE', '/api/ats/saved-searches/:id', { permission: 'saved-searches:write' }],
+  ['GET', '/api/ats/saved-searches/:id/matches', { permission: 'candidates:read' }],
+
+  ['GET', '/api/ats/candidates', { permission: 'candidates:read', assignedList: true }],
+  ['POST', '/api/ats/candidates/:id/merge', { permission: 'candidates:write' }],
+  ['POST', '/api/ats/candidates/tags', { permission: 'candidates:write' }],
+  ['POST', '/api/ats/candidates/bookmark', { permission: 'candidates:write' }],
+  ['GET', '/api/ats/candidate/:id', { permission: 'candidates:read', candidateParam: 'id' }],
+  ['PATCH', '/api/ats/candidate/:id', { permission: 'candidates:write', candidateParam: 'id' }],
+  ['DELETE', '/api/ats/candidate/:id', { permission: 'candidates:delete' }],
+  [
+    'GET',
+    '/api/ats/candidate/:id/resumes',
+    { permission: 'candidates:read', candidateParam: 'id' }
+  ],
+  ['GET', '/api/ats/candidate/:id/jobs', { permission: 'candidates:read', candidateParam: 'id' }],
+  [
+    'PATCH',
+    '/api/ats/candidate/:id/status',
+    { permission: 'candidates:write', candidateParam: 'id' }
+  ],
+  [
+    'GET',
+    '/api/ats/candidate/:id/status-history',
+    { permission: 'candidates:read', candidateParam: 'id' }
+  ],
+  ['GET', '/api/ats/candidate/:id/notes', { permission: 'candidates:read', candidateParam: 'id' }],
+  ['POST', '/api/ats/candidate/:id/notes', { permission: 'notes:write', candidateParam: 'id' }],
+  [
+    'PATCH',
+    '/api/ats/candidate/:id/notes/:noteId',
+    { permission: 'notes:write', candidateParam: 'id' }
+  ],
+  [
+    'DELETE',
+    '/api/ats/candidate/:id/notes/:noteId',
+    { permission: 'notes:write', candidateParam: 'id' }
+  ],
+  [
+    'GET',
+    '/api/ats/candidate/:id/notes/:noteId/history',
+    { permission: 'candidates:read', candidateParam: 'id' }
+  ],
+  [
+    'GET',
+    '/api/ats/candidate/:id/timeline',
+    { permission: 'candidates:read', candidateParam: 'id' }
+  ],
+  ['POST', '/api/ats/candidate/:id/tags', { permission: 'candidates:write' }],
+  ['DELETE', '/api/ats/candidate/:id/tags/:name', { permission: 'candidates:write' }],
+  ['PATCH', '/api/ats/candidate/:id/bookmark', { permission: 'candidates:write' }],
+  ['GET', '/api/ats/notes', { permission: 'candidates:read' }],
+
+  ['GET', '/api/ats/tags', { permission: null }],
+  ['POST', '/api/ats/tags', { permission: 'tags:write' }],
+  ['PATCH', '/api/ats/tags/:id', { permission: 'tags:write' }],
+  ['DELETE', '/api/ats/tags/:id', { permission: 'tags:write' }],
+
+  ['GET', '/api/ats/duplicates', { permission: 'candidates:read' }],
+  ['POST', '/api/ats/duplicates/:id/confirm', { permission: 'candidates:write' }],
+  ['POST', '/api/ats/duplicates/:id/dismiss', { permission: 'candidates:write' }],
+
+  ['GET', '/api/ats/jobs', { permission: 'jobs:read' }],
+  ['POST', '/api/ats/jobs', { permission: 'jobs:write' }],
+  ['POST', '/api/ats/jobs/from-description', { permission: 'jobs:write' }],
+  ['GET', '/api/ats/jobs/:id', { permission: 'jobs:read' }],
+  ['PATCH', '/api/ats/jobs/:id', { permission: 'jobs:write' }],
+  ['DELETE', '/api/ats/jobs/:id', { permission: 'jobs:write' }],
+  ['GET', '/api/ats/jobs/:id/matches', { permission: 'candidates:read' }],
+  ['GET', '/api/ats/jobs/:id/applicants', { permission: 'candidates:read' }],
+  ['POST', '/api/ats/jobs/:id/applicants', { permission: 'jobs:write' }],
+  ['DELETE', '/api/ats/jobs/:id/applicants/:candidateId', { permission: 'jobs:write' }],
+
+  ['GET', '/api/ats/pipeline', { permission: null }],
+  ['GET', '/api/ats/skills', { permission: null }],
+  ['POST', '/api/ats/skills', { permission: 'taxonomy:write' }],
+  ['GET', '/api/ats/retention/report', { permission: 'retention:read' }],
+  ['GET', '/api/ats/audit-log', { permission: 'audit:read' }],
+  ['GET', '/api/ats/audit-log/verify', { permission: 'audit:read' }]
+].map(([method, pattern, options]) => {
+  const params = [];
+  const source = pattern.replace(/:(\w+)/g, (_match, name) => {
+    params.push(name);
+    return '([^/]+)';
+  });
+  return { method, pattern, regex: new RegExp(`^${source}/?$`), params, ...options };
+});
+
+function matchRoute(method, requestPath) {
+  for (const route of ROUTE_PERMISSIONS) {
+    if (route.method !== method) {
+      continue;
+    }
+    const match = route.regex.exec(requestPath);
+    if (match) {
+      const params = {};
+      route.params.forEach((name, index) => {
+        params[name] = decodeURIComponent(match[index + 1]);
+      });
+      return { route, params };
+    }
+  }
+
+  return null;
+}
+
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, (character) => `\\${character}`);
+}
+
+// Routes missing from ROUTE_PERMISSIONS are admin-only, so a new route is closed
+// until someone decides who may call it.
+function createAccessControl({ supabase, interviewsSupabase = supabase, authConfig }) {
+  const { authenticate } = createAuthenticator({ supabase, config: authConfig });
+
+  async function findAssignedCandidateIds(email) {
+    if (!email) {
+      return [];
+    }
+
+    const { data, error } = await interviewsSupabase
+      .from('interviews')
+      .select('candidate_id')
+      .ilike('interviewer_email', escapeLikePattern(email));
+
+    if (error) {
+      throw new Error(`Failed to load interviews: ${error.message}`);
+    }
+
+    return Array.from(new Set((data || []).map((row) => row.candidate_id).filter(Boolean)));
+  }
+
+  return async function accessControl(req, res, next) {
+    if (req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const matched = matchRoute(req.method === 'HEAD' ? 'GET' : req.method, req.path);
+    if (matched?.route.public) {
+      return next();
+    }
+
+    try {
+      const auth = await authenticate(req, { allowQueryToken: matched?.route.queryToken });
+      if (!auth) {
+        return res.status(401).json({
+          error: 'Sign in first. Send "Authorization: Bearer <token>" or an "X-API-Key" header.'
+        });
+      }
+
+      const role = ROLE_PERMISSIONS[auth.role];
+      if (!role) {
+        return res.status(403).json({ error: 'Your account has no role yet. Ask an admin.' });
+      }
+
+      req.auth = auth;
+      if (!matched) {
+        return auth.role === 'admin'
+          ? next()
+          : res.status(403).json({ error: 'This route is limited to admins.' });
+      }
+
+      const { route, params } = matched;
+      if (route.permission && !role.permissions.includes(route.permission)) {
+        return res.status(403).json({
+          error: `The ${auth.role} role does not have the ${route.permission} permission.`
+        });
+      }
+
+      if (role.assignedCandidatesOnly) {
+        if (!route.candidateParam && !route.assignedList) {
+          return res.status(403).json({
+            error: `The ${auth.role} role can only open candidates they interview.`
+          });
+        }
+
+        const candidateIds = await findAssignedCandidateIds(auth.email);
+        if (route.candidateParam && !candidateIds.includes(params[route.candidateParam])) {
+          return res.status(403).json({
+            error: 'You can only see candidates you have an interview with.'
+          });
+        }
+        auth.candidateIds = candidateIds;
+      }
+
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROUTE_PERMISSIONS,
+  createAccessControl,
+  matchRoute
+};
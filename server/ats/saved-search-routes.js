@@ -0,0 +1,285 @@
+const express = require('express');
+const { normalizeEmail } = require('./candidate-dedup');
+const { recordCandidateExport } = require('./audit-log');
+const { SearchQuerySyntaxError, compileSearchQuery } = require('./search-query');
+const {
+  SAVED_SEARCHES_TABLE,
+  findNewMatches,
+  getMatchWindowStart,
+  parseSavedSearchFilters
+} = require('./saved-searches');
+
+function canManage(req, savedSearch) {
+  return req.auth?.role === 'admin' || savedSearch.owner_email === normalizeEmail(req.auth?.email);
+}
+
+function parseSavedSearchBody(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      return { error: 'Missing name for the saved search.' };
+    }
+    fields.name = name;
+  }
+
+  if (!partial || body.query !== undefined) {
+    const query = typeof body.query === 'string' ? body.query.trim() : '';
+    if (!query) {
+      return { error: 'Missing query. Example: "(java OR kotlin) AND spring"' };
+    }
+
+    try {
+      fields.query = compileSearchQuery(query).normalizedQuery;
+    } catch (error) {
+      if (error instanceof SearchQuerySyntaxError) {
+        return {
+          error: error.message,
+          details: { query: error.details.query, position: error.details.position }
+        };
+      }
+      throw error;
+    }
+  }
+
+  if (!partial || body.filters !== undefined) {
+    const { filters, error } = parseSavedSearchFilters(body.filters);
+    if (error) {
+      return { error };
+    }
+    fields.filters = filters;
+  }
+
+  if (body.alertsEnabled !== undefined) {
+    if (typeof body.alertsEnabled !== 'boolean') {
+      return { error: 'alertsEnabled must be true or false.' };
+    }
+    fields.alerts_enabled = body.alertsEnabled;
+  }
+
+  return { fields };
+}
+
+function createSavedSearchRouter({ supabase }) {
+  const router = express.Router();
+
+  async function loadSavedSearch(id) {
+    const { data, error } = await supabase
+      .from(SAVED_SEARCHES_TABLE)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load saved search: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  router.get('/saved-searches', async (req, res, next) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const ownerEmail = normalizeEmail(req.query.ownerEmail);
+
+    try {
+      let query = supabase.from(SAVED_SEARCHES_TABLE).select('*', { count: 'exact' });
+      if (ownerEmail) {
+        query = query.eq('owner_email', ownerEmail);
+      }
+
+      const { data: savedSearches, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to list saved searches: ${error.message}`);
+      }
+
+      return res.status(200).json({
+        count: savedSearches?.length || 0,
+        totalCount: count ?? 0,
+        limit,
+        offset,
+        savedSearches: savedSearches || []
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.post('/saved-searches', async (req, res, next) => {
+    const { fields, error: validationError, details } = parseSavedSearchBody(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError, ...details });
+    }
+
+    // Digests go to the owner, so a saved search needs a signed-in email.
+    const ownerEmail = normalizeEmail(req.auth?.email);
+    if (!ownerEmail) {
+      return res.status(400).json({
+        error: 'Saved searches belong to an email. Sign in, or use an API key that has an email.'
+      });
+    }
+
+    try {
+      const { data: savedSearch, error } = await supabase
+        .from(SAVED_SEARCHES_TABLE)
+        .insert({ ...fields, owner_email: ownerEmail })
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to save search: ${error.message}`);
+      }
+
+      return res.status(201).json({ message: 'Search saved.', savedSearch });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/saved-searches/:id', async (req, res, next) => {
+    try {
+      const savedSearch = await loadSavedSearch(req.params.id);
+      if (!savedSearch) {
+        return res.status(404).json({ error: 'Saved search not found.' });
+      }
+
+      return res.status(200).json({ savedSearch });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.patch('/saved-searches/:id', async (req, res, next) => {
+    const { fields, error: validationError, details } = parseSavedSearchBody(req.body || {}, {
+      partial: true
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError, ...details });
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update. Send name, query, filters or alertsEnabled.'
+      });
+    }
+
+    try {
+      const existing = await loadSavedSearch(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Saved search not found.' });
+      }
+      if (!canManage(req, existing)) {
+        return res
+          .status(403)
+          .json({ error: 'Only its owner or an admin can change this search.' });
+      }
+
+      const { data: savedSearch, error } = await supabase
+        .from(SAVED_SEARCHES_TABLE)
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', req.params.id)
+        .select('*')
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to update saved search: ${error.message}`);
+      }
+
+      if (!savedSearch) {
+        return res.status(404).json({ error: 'Saved search not found.' });
+      }
+
+      return res.status(200).json({ message: 'Saved search updated.', savedSearch });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.delete('/saved-searches/:id', async (req, res, next) => {
+    try {
+      const existing = await loadSavedSearch(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Saved search not found.' });
+      }
+      if (!canManage(req, existing)) {
+        return res
+          .status(403)
+          .json({ error: 'Only its owner or an admin can delete this search.' });
+      }
+
+      const { data: deleted, error } = await supabase
+        .from(SAVED_SEARCHES_TABLE)
+        .delete()
+        .eq('id', req.params.id)
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to delete saved search: ${error.message}`);
+      }
+
+      if (!deleted || deleted.length === 0) {
+        return res.status(404).json({ error: 'Saved search not found.' });
+      }
+
+      return res.status(200).json({ message: 'Saved search deleted.', id: req.params.id });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/saved-searches/:id/matches', async (req, res, next) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    let since = null;
+    if (req.query.since !== undefined) {
+      const sinceTime = Date.parse(String(req.query.since));
+      if (!Number.isFinite(sinceTime)) {
+        return res.status(400).json({ error: 'since must be a date or ISO timestamp.' });
+      }
+      since = new Date(sinceTime).toISOString();
+    }
+
+    try {
+      const savedSearch = await loadSavedSearch(req.params.id);
+      if (!savedSearch) {
+        return res.status(404).json({ error: 'Saved search not found.' });
+      }
+
+      const windowStart = since || getMatchWindowStart(savedSearch);
+      const { candidates, totalCount } = await findNewMatches({
+        supabase,
+        savedSearch,
+        since: windowStart,
+        limit,
+        offset
+      });
+
+      await recordCandidateExport({
+        supabase,
+        req,
+        candidateIds: candidates.map((candidate) => candidate.id)
+      });
+
+      return res.status(200).json({
+        count: candidates.length,
+        totalCount,
+        limit,
+        offset,
+        since: windowStart,
+        savedSearch,
+        candidates
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSavedSearchRouter };
@@ -0,0 +1,262 @@
+const { compileSearchQuery } = require('./search-query');
+const { CANDIDATE_FILTER_PARAMS, parseCandidateFilters } = require('./candidate-filters');
+const { searchCandidatesBySkillQuery } = require('./candidate-search');
+const { escapeHtml } = require('./html-escape');
+const { startScheduledTask } = require('./scheduled-task');
+
+const SAVED_SEARCHES_TABLE = 'saved_searches';
+const ALERT_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const NEWEST_FIRST = { field: 'created_at', ascending: false };
+
+function getSavedSearchAlertConfig() {
+  const intervalMinutesRaw = Number(process.env.SAVED_SEARCH_ALERT_INTERVAL_MINUTES);
+  const intervalMinutes =
+    Number.isFinite(intervalMinutesRaw) && intervalMinutesRaw >= 0
+      ? Math.floor(intervalMinutesRaw)
+      : 1440;
+
+  const maxDigestCandidatesRaw = Number(process.env.SAVED_SEARCH_DIGEST_MAX_CANDIDATES);
+  const maxDigestCandidates =
+    Number.isFinite(maxDigestCandidatesRaw) && maxDigestCandidatesRaw > 0
+      ? Math.floor(maxDigestCandidatesRaw)
+      : 50;
+
+  return { intervalMinutes, maxDigestCandidates };
+}
+
+function parseSavedSearchFilters(rawFilters) {
+  if (rawFilters === undefined || rawFilters === null) {
+    return { filters: {} };
+  }
+
+  if (typeof rawFilters !== 'object' || Array.isArray(rawFilters)) {
+    return { error: 'filters must be an object, e.g. { "experienceMin": 3 }.' };
+  }
+
+  const unknown = Object.keys(rawFilters).filter((key) => !CANDIDATE_FILTER_PARAMS.includes(key));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown filter "${unknown[0]}". Use any of: ${CANDIDATE_FILTER_PARAMS.join(', ')}.`
+    };
+  }
+
+  const filters = {};
+  for (const [key, value] of Object.entries(rawFilters)) {
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      filters[key] = String(value).trim();
+    }
+  }
+
+  const { error } = parseCandidateFilters(filters);
+  return error ? { error } : { filters };
+}
+
+function getMatchWindowStart(savedSearch) {
+  return savedSearch.last_run_at || savedSearch.created_at;
+}
+
+// Runs in the database and pages there, so a busy window is never cut short.
+async function findNewMatches({
+  supabase,
+  savedSearch,
+  since = getMatchWindowStart(savedSearch),
+  until = null,
+  limit,
+  offset = 0
+}) {
+  const compiled = compileSearchQuery(savedSearch.query);
+  const { filters, error } = parseCandidateFilters(savedSearch.filters || {});
+  if (error) {
+    throw new Error(`Saved search ${savedSearch.id} has invalid filters: ${error}`);
+  }
+
+  return searchCandidatesBySkillQuery({
+    supabase,
+    compiled,
+    filters,
+    sort: NEWEST_FIRST,
+    limit,
+    offset,
+    createdAfter: since,
+    createdUntil: until
+  });
+}
+
+function buildDigestEmail(savedSearch, shown, totalCount) {
+  const rows = shown
+    .map((candidate) => {
+      const details = [
+        candidate.experience !== null && candidate.experience !== undefined
+          ? `${candidate.experience} yrs`
+          : null,
+        candidate.current_location || null,
+        (candidate.skills || []).slice(0, 8).join(', ') || null
+      ].filter(Boolean);
+      const name = escapeHtml(candidate.name || candidate.email || candidate.id);
+      const resumeLink = candidate.resume_url
+        ? ` &middot; <a href="${escapeHtml(candidate.resume_url)}">Resume</a>`
+        : '';
+
+      return `<li><strong>${name}</strong>${resumeLink}<br><span style="color:#666;">${escapeHtml(
+        details.join(' · ')
+      )}</span></li>`;
+    })
+    .join('');
+  const hiddenCount = totalCount - shown.length;
+  const more =
+    hiddenCount > 0
+      ? `<p>And ${hiddenCount} more. Open the saved search to see them all.</p>`
+      : '';
+  const noun = totalCount === 1 ? 'candidate' : 'candidates';
+
+  return {
+    subject: `${totalCount} new ${noun} for "${savedSearch.name}"`,
+    html: `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+    <h2 style="color:#333;">${escapeHtml(savedSearch.name)}</h2>
+    <p style="color:#444;">${totalCount} new ${noun} match <code>${escapeHtml(
+      savedSearch.query
+    )}</code>.</p>
+    <ul style="padding-left:18px; color:#444;">${rows}</ul>
+    ${more}
+    <p style="font-size:12px; color:#999;">
+      This is an automated email from MimioTech Recruitment Portal. Please do not reply.
+    </p>
+  </div>
+`
+  };
+}
+
+// The conditional update on last_run_at lets only one API instance claim each run.
+async function claimSavedSearchRun({ supabase, savedSearch, runAt }) {
+  let claim = supabase
+    .from(SAVED_SEARCHES_TABLE)
+    .update({ last_run_at: runAt })
+    .eq('id', savedSearch.id);
+  claim = savedSearch.last_run_at
+    ? claim.eq('last_run_at', savedSearch.last_run_at)
+    : claim.is('last_run_at', null);
+
+  const { data, error } = await claim.select('id');
+  if (error) {
+    throw new Error(`Failed to claim saved search ${savedSearch.id}: ${error.message}`);
+  }
+
+  return Array.isArray(data) && data.length > 0;
+}
+
+async function runSavedSearchAlert({ supabase, transporter, from, savedSearch, now, config }) {
+  const runAt = now.toISOString();
+  const previousRunAt = savedSearch.last_run_at || null;
+  const since = getMatchWindowStart(savedSearch);
+  if (!(await claimSavedSearchRun({ supabase, savedSearch, runAt }))) {
+    return { status: 'skipped' };
+  }
+
+  try {
+    const { candidates, totalCount } = await findNewMatches({
+      supabase,
+      savedSearch,
+      since,
+      until: runAt,
+      limit: config.maxDigestCandidates
+    });
+
+    if (totalCount > 0) {
+      const { subject, html } = buildDigestEmail(savedSearch, candidates, totalCount);
+      await transporter.sendMail({ from, to: savedSearch.owner_email, subject, html });
+    }
+
+    await supabase
+      .from(SAVED_SEARCHES_TABLE)
+      .update({ last_match_count: totalCount })
+      .eq('id', savedSearch.id);
+
+    return { status: totalCount > 0 ? 'notified' : 'empty', matchCount: totalCount };
+  } catch (error) {
+    // Give the window back so the next check sends these matches.
+    await supabase
+      .from(SAVED_SEARCHES_TABLE)
+      .update({ last_run_at: previousRunAt })
+      .eq('id', savedSearch.id)
+      .eq('last_run_at', runAt);
+    throw error;
+  }
+}
+
+async function runSavedSearchAlerts({
+  supabase,
+  transporter,
+  from,
+  now = new Date(),
+  config = getSavedSearchAlertConfig()
+}) {
+  const cutoff = new Date(now.getTime() - config.intervalMinutes * 60 * 1000).toISOString();
+  const { data: dueSearches, error } = await supabase
+    .from(SAVED_SEARCHES_TABLE)
+    .select('*')
+    .eq('alerts_enabled', true)
+    .or(`last_run_at.lte.${cutoff},and(last_run_at.is.null,created_at.lte.${cutoff})`)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load saved searches: ${error.message}`);
+  }
+
+  const report = { checked: 0, notified: 0, failed: 0 };
+  for (const savedSearch of dueSearches || []) {
+    try {
+      const result = await runSavedSearchAlert({
+        supabase,
+        transporter,
+        from,
+        savedSearch,
+        now,
+        config
+      });
+      if (result.status !== 'skipped') {
+        report.checked += 1;
+      }
+      if (result.status === 'notified') {
+        report.notified += 1;
+      }
+    } catch (error) {
+      report.failed += 1;
+      console.error(`[saved-searches] ${savedSearch.id}: ${error.message}`);
+    }
+  }
+
+  return report;
+}
+
+function startSavedSearchAlerts({ supabase, transporter, from }) {
+  const config = getSavedSearchAlertConfig();
+  if (config.intervalMinutes === 0) {
+    return null;
+  }
+
+  return startScheduledTask({
+    name: 'saved-searches',
+    intervalMs: ALERT_CHECK_INTERVAL_MS,
+    task: async () => {
+      const report = await runSavedSearchAlerts({ supabase, transporter, from, config });
+      if (report.checked > 0 || report.failed > 0) {
+        console.log(
+          `[saved-searches] checked=${report.checked} notified=${report.notified} ` +
+            `failed=${report.failed}`
+        );
+      }
+    }
+  });
+}
+
+module.exports = {
+  SAVED_SEARCHES_TABLE,
+  buildDigestEmail,
+  findNewMatches,
+  getMatchWindowStart,
+  getSavedSearchAlertConfig,
+  parseSavedSearchFilters,
+  runSavedSearchAlerts,
+  startSavedSearchAlerts
+};
@@ -0,0 +1,26 @@
+// Runs task every intervalMs and skips a tick while the previous run is still going.
+// The timer is unref'd so it never keeps the process alive on its own.
+function startScheduledTask({ name, intervalMs, task }) {
+  let running = false;
+
+  async function tick() {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`[${name}] ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startScheduledTask };
@@ -5,22 +5,89 @@ create table if not exists public.candidates (
   name text,
   email text,
   phone text,
+  phones text[] not null default '{}',
   skills text[] not null default '{}',
+  experience numeric(4, 1),
+  work_history jsonb not null default '[]'::jsonb,
+  education jsonb not null default '[]'::jsonb,
+  certifications text[] not null default '{}',
   resume_url text,
+  resume_simhash text,
+  last_ctc numeric(12, 2),
+  expected_ctc numeric(12, 2),
+  current_location text,
+  notice_period integer,
+  notice_end_date date,
+  status text not null default 'sourced'
+    check (status in ('sourced', 'screened', 'interviewing', 'offer', 'hired', 'rejected', 'withdrawn')),
+  legacy_status_code integer,
+  is_bookmarked boolean not null default false,
+  tags text[] not null default '{}',
+  anonymized_at timestamptz,
+  archived_at timestamptz,
+  merged_into_id uuid references public.candidates (id),
   created_at timestamptz not null default now()
 );
 
+-- Pipeline stages replaced the old numeric status codes. The codes are kept in
+-- legacy_status_code until migrate-candidate-status.js maps them to stages.
+do $$
+begin
+  if exists (
+    select 1
+    from information_schema.columns
+    where table_schema = 'public'
+      and table_name = 'candidates'
+      and column_name = 'status'
+      and data_type = 'integer'
+  ) then
+    alter table public.candidates rename column status to legacy_status_code;
+  end if;
+end
+$$;
+
 alter table public.candidates add column if not exists name text;
 alter table public.candidates add column if not exists email text;
 alter table public.candidates add column if not exists phone text;
+alter table public.candidates add column if not exists phones text[] not null default '{}';
 alter table public.candidates add column if not exists skills text[] not null default '{}';
+alter table public.candidates add column if not exists experience numeric(4, 1);
+alter table public.candidates add column if not exists work_history jsonb not null default '[]'::jsonb;
+alter table public.candidates add column if not exists education jsonb not null default '[]'::jsonb;
+alter table public.candidates add column if not exists certifications text[] not null default '{}';
 alter table public.candidates add column if not exists resume_url text;
+alter table public.candidates add column if not exists resume_simhash text;
+alter table public.candidates add column if not exists last_ctc numeric(12, 2);
+alter table public.candidates add column if not exists expected_ctc numeric(12, 2);
+alter table public.candidates add column if not exists current_location text;
+alter table public.candidates add column if not exists notice_period integer;
+alter table public.candidates add column if not exists notice_end_date date;
+alter table public.candidates add column if not exists status text not null default 'sourced'
+  check (status in ('sourced', 'screened', 'interviewing', 'offer', 'hired', 'rejected', 'withdrawn'));
+alter table public.candidates add column if not exists legacy_status_code integer;
+alter table public.candidates add column if not exists is_bookmarked boolean not null default false;
+alter table public.candidates add column if not exists tags text[] not null default '{}';
+alter table public.candidates add column if not exists anonymized_at timestamptz;
+alter table public.candidates add column if not exists archived_at timestamptz;
+alter table public.candidates add column if not exists merged_into_id uuid references public.candidates (id);
 alter table public.candidates add column if not exists created_at timestamptz not null default now();
 
 create index if not exists idx_candidates_skills_gin
   on public.candidates
   using gin (skills);
 
+create index if not exists idx_candidates_created_at
+  on public.candidates (created_at desc)
+  where archived_at is null;
+
+create index if not exists idx_candidates_tags_gin
+  on public.candidates
+  using gin (tags);
+
+create index if not exists idx_candidates_status
+  on public.candidates (status, created_at desc)
+  where archived_at is null;
+
 create unique index if not exists uq_candidates_email_ci
   on public.candidates (lower(email))
   where email is not null and btrim(email) <> '';
@@ -29,10 +96,342 @@ create unique index if not exists uq_candidates_phone
   on public.candidates (phone)
   where phone is not null and btrim(phone) <> '';
 
+create index if not exists idx_candidates_phones_gin
+  on public.candidates
+  using gin (phones);
+
 create unique index if not exists uq_candidates_resume_url
   on public.candidates (resume_url)
   where resume_url is not null and btrim(resume_url) <> '';
 
+create table if not exists public.candidate_duplicate_reviews (
+  id uuid primary key default gen_random_uuid(),
+  candidate_id uuid not null references public.candidates (id) on delete cascade,
+  possible_duplicate_id uuid not null references public.candidates (id) on delete cascade,
+  score numeric(4, 3) not null,
+  signals jsonb not null default '{}'::jsonb,
+  status text not null default 'pending'
+    check (status in ('pending', 'confirmed', 'dismissed')),
+  resolved_by text,
+  resolution_note text,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (candidate_id, possible_duplicate_id)
+);
+
+create index if not exists idx_candidate_duplicate_reviews_status
+  on public.candidate_duplicate_reviews (status, created_at desc);
+
+create table if not exists public.candidate_resumes (
+  id uuid primary key default gen_random_uuid(),
+  candidate_id uuid not null references public.candidates (id) on delete cascade,
+  resume_url text not null,
+  source text not null default 'upload',
+  is_current boolean not null default false,
+  resume_hash text,
+  storage_path text,
+  content_type text,
+  file_name text,
+  uploaded_at timestamptz not null default now(),
+  unique (candidate_id, resume_url)
+);
+
+alter table public.candidate_resumes add column if not exists resume_hash text;
+alter table public.candidate_resumes add column if not exists storage_path text;
+alter table public.candidate_resumes add column if not exists content_type text;
+alter table public.candidate_resumes add column if not exists file_name text;
+
+create unique index if not exists uq_candidate_resumes_current
+  on public.candidate_resumes (candidate_id)
+  where is_current;
+
+insert into public.candidate_resumes (candidate_id, resume_url, is_current, uploaded_at)
+select c.id, c.resume_url, true, c.created_at
+from public.candidates c
+where c.resume_url is not null
+  and not exists (
+    select 1 from public.candidate_resumes r where r.candidate_id = c.id
+  )
+on conflict (candidate_id, resume_url) do nothing;
+
+create table if not exists public.candidate_merges (
+  id uuid primary key default gen_random_uuid(),
+  target_id uuid not null references public.candidates (id),
+  source_id uuid not null references public.candidates (id),
+  field_winners jsonb not null default '{}'::jsonb,
+  changes jsonb not null default '{}'::jsonb,
+  target_snapshot jsonb not null,
+  source_snapshot jsonb not null,
+  merged_by text,
+  merged_at timestamptz not null default now()
+);
+
+create table if not exists public.skill_taxonomy (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  aliases text[] not null default '{}',
+  parents text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_skill_taxonomy_aliases_gin
+  on public.skill_taxonomy
+  using gin (aliases);
+
+create table if not exists public.upload_jobs (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'queued'
+    check (status in ('queued', 'processing', 'completed', 'failed')),
+  total_files integer not null default 0,
+  processed_files integer not null default 0,
+  uploaded_count integer not null default 0,
+  failed_count integer not null default 0,
+  concurrency integer,
+  error text,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  finished_at timestamptz,
+  updated_at timestamptz not null default now(),
+  heartbeat_at timestamptz not null default now()
+);
+
+alter table public.upload_jobs add column if not exists heartbeat_at timestamptz not null default now();
+
+create index if not exists idx_upload_jobs_unfinished_heartbeat
+  on public.upload_jobs (heartbeat_at)
+  where status in ('queued', 'processing');
+
+create table if not exists public.upload_job_files (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid not null references public.upload_jobs (id) on delete cascade,
+  file_index integer not null,
+  file_name text,
+  status text not null default 'pending'
+    check (status in ('pending', 'uploaded', 'failed')),
+  candidate_id uuid references public.candidates (id) on delete set null,
+  possible_duplicates jsonb not null default '[]'::jsonb,
+  error text,
+  processed_at timestamptz,
+  unique (job_id, file_index)
+);
+
+create table if not exists public.upload_previews (
+  id uuid primary key default gen_random_uuid(),
+  token_hash text not null unique,
+  files jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  claimed_at timestamptz
+);
+
+create index if not exists idx_upload_previews_expires_at
+  on public.upload_previews (expires_at);
+
+create table if not exists public.candidate_resume_texts (
+  candidate_id uuid primary key references public.candidates (id) on delete cascade,
+  resume_url text,
+  resume_text text not null default '',
+  resume_tsv tsvector
+    generated always as (to_tsvector('english', coalesce(resume_text, ''))) stored,
+  extracted_at timestamptz not null default now()
+);
+
+create index if not exists idx_candidate_resume_texts_tsv_gin
+  on public.candidate_resume_texts
+  using gin (resume_tsv);
+
+create table if not exists public.saved_searches (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  owner_email text not null,
+  query text not null,
+  filters jsonb not null default '{}'::jsonb,
+  alerts_enabled boolean not null default true,
+  last_run_at timestamptz,
+  last_match_count integer,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_saved_searches_owner
+  on public.saved_searches (owner_email, created_at desc);
+
+create table if not exists public.jobs (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  description text,
+  required_skills text[] not null default '{}',
+  nice_to_have_skills text[] not null default '{}',
+  experience_min numeric(4, 1),
+  experience_max numeric(4, 1),
+  location text,
+  status text not null default 'open'
+    check (status in ('draft', 'open', 'on_hold', 'closed')),
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (experience_min is null or experience_max is null or experience_min <= experience_max)
+);
+
+create index if not exists idx_jobs_status
+  on public.jobs (status, created_at desc);
+
+create table if not exists public.job_applicants (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid not null references public.jobs (id) on delete cascade,
+  candidate_id uuid not null references public.candidates (id) on delete cascade,
+  source text not null default 'manual',
+  match_score numeric(4, 3),
+  added_by text,
+  created_at timestamptz not null default now(),
+  unique (job_id, candidate_id)
+);
+
+create index if not exists idx_job_applicants_candidate
+  on public.job_applicants (candidate_id);
+
+create table if not exists public.candidate_status_history (
+  id uuid primary key default gen_random_uuid(),
+  candidate_id uuid not null references public.candidates (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  reason text,
+  changed_by text,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists idx_candidate_status_history_candidate
+  on public.candidate_status_history (candidate_id, changed_at desc);
+
+create table if not exists public.candidate_notes (
+  id uuid primary key default gen_random_uuid(),
+  candidate_id uuid not null references public.candidates (id) on delete cascade,
+  body text not null,
+  author text not null,
+  mentions text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  edited_by text,
+  updated_at timestamptz
+);
+
+create index if not exists idx_candidate_notes_candidate
+  on public.candidate_notes (candidate_id, created_at desc);
+
+create index if not exists idx_candidate_notes_mentions
+  on public.candidate_notes
+  using gin (mentions);
+
+-- One row per replaced version: body and mentions as they were before the
+-- edit made by edited_by at edited_at.
+create table if not exists public.candidate_note_revisions (
+  id uuid primary key default gen_random_uuid(),
+  note_id uuid not null references public.candidate_notes (id) on delete cascade,
+  body text not null,
+  mentions text[] not null default '{}',
+  edited_by text,
+  edited_at timestamptz not null default now()
+);
+
+create index if not exists idx_candidate_note_revisions_note
+  on public.candidate_note_revisions (note_id, edited_at desc);
+
+create table if not exists public.tags (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  color text,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.candidate_tags (
+  candidate_id uuid not null references public.candidates (id) on delete cascade,
+  tag_id uuid not null references public.tags (id) on delete cascade,
+  added_by text,
+  added_at timestamptz not null default now(),
+  primary key (candidate_id, tag_id)
+);
+
+create index if not exists idx_candidate_tags_tag
+  on public.candidate_tags (tag_id);
+
+-- candidates.tags is a sorted copy of the assigned tag names, so the list and
+-- search filters can use a plain array filter instead of a join.
+create or replace function public.refresh_candidate_tag_names(p_candidate_ids uuid[])
+returns void
+language sql
+as $$
+  update public.candidates c
+  set tags = array(
+    select t.name
+    from public.candidate_tags ct
+    join public.tags t on t.id = ct.tag_id
+    where ct.candidate_id = c.id
+    order by t.name
+  )
+  where c.id = any(p_candidate_ids);
+$$;
+
+create or replace function public.sync_candidate_tag_names()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_table_name = 'tags' then
+    perform public.refresh_candidate_tag_names(
+      array(select candidate_id from public.candidate_tags where tag_id = new.id)
+    );
+  elsif tg_op = 'DELETE' then
+    perform public.refresh_candidate_tag_names(array[old.candidate_id]);
+  elsif tg_op = 'UPDATE' then
+    perform public.refresh_candidate_tag_names(array[old.candidate_id, new.candidate_id]);
+  else
+    perform public.refresh_candidate_tag_names(array[new.candidate_id]);
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists trg_candidate_tags_sync on public.candidate_tags;
+create trigger trg_candidate_tags_sync
+  after insert or update or delete on public.candidate_tags
+  for each row execute function public.sync_candidate_tag_names();
+
+drop trigger if exists trg_tags_rename_sync on public.tags;
+create trigger trg_tags_rename_sync
+  after update of name on public.tags
+  for each row
+  when (old.name is distinct from new.name)
+  execute function public.sync_candidate_tag_names();
+
+create table if not exists public.candidate_emails (
+  id uuid primary key default gen_random_uuid(),
+  candidate_id uuid not null references public.candidates (id) on delete cascade,
+  kind text not null,
+  subject text,
+  recipients text[] not null default '{}',
+  sent_by text,
+  sent_at timestamptz not null default now()
+);
+
+create index if not exists idx_candidate_emails_candidate
+  on public.candidate_emails (candidate_id, sent_at desc);
+
+create table if not exists public.candidate_consents (
+  id uuid primary key default gen_random_uuid(),
+  candidate_id uuid not null references public.candidates (id) on delete cascade,
+  purpose text not null default 'recruitment',
+  policy_version text,
+  source text not null default 'upload',
+  given_at timestamptz not null default now(),
+  expires_at timestamptz,
+  withdrawn_at timestamptz
+);
+
+create index if not exists idx_candidate_consents_candidate
+  on public.candidate_consents (candidate_id, expires_at desc);
+
 create or replace function public.search_candidates_by_skills_partial(search_terms text[])
 returns setof public.candidates
 language sql
@@ -40,10 +439,976 @@ stable
 as $$
   select c.*
   from public.candidates c
-  where exists (
-    select 1
-    from unnest(c.skills) s
-    join unnest(search_terms) term on lower(s) like '%' || lower(term) || '%'
-  )
+  where c.archived_at is null
+    and exists (
+      select 1
+      from unnest(c.skills) s
+      join unnest(search_terms) term on lower(s) like '%' || lower(term) || '%'
+    )
   order by c.created_at desc;
 $$;
+
+-- Evaluates a boolean skill query compiled by search-query.js. Each term carries the
+-- same case-insensitive patterns the API uses, so both sides agree on what matches.
+create or replace function public.skill_query_matches(p_skills text[], p_node jsonb)
+returns boolean
+language plpgsql
+immutable
+as $$
+declare
+  v_child jsonb;
+begin
+  case p_node ->> 'type'
+    when 'term' then
+      return exists (
+        select 1
+        from unnest(p_skills) skill
+        join jsonb_array_elements_text(p_node -> 'patterns') pattern on btrim(skill) ~* pattern
+      );
+    when 'not' then
+      return not public.skill_query_matches(p_skills, p_node -> 'child');
+    when 'and' then
+      for v_child in select value from jsonb_array_elements(p_node -> 'children') loop
+        if not public.skill_query_matches(p_skills, v_child) then
+          return false;
+        end if;
+      end loop;
+      return true;
+    when 'or' then
+      for v_child in select value from jsonb_array_elements(p_node -> 'children') loop
+        if public.skill_query_matches(p_skills, v_child) then
+          return true;
+        end if;
+      end loop;
+      return false;
+    else
+      raise exception 'Unknown skill query node "%".', p_node ->> 'type' using errcode = '22023';
+  end case;
+end;
+$$;
+
+-- PostgREST filters, sorts and pages the result, so only one page leaves the database.
+create or replace function public.search_candidates_by_skill_query(p_query jsonb)
+returns setof public.candidates
+language sql
+stable
+as $$
+  select c.*
+  from public.candidates c
+  where c.archived_at is null
+    and cardinality(c.skills) > 0
+    and public.skill_query_matches(c.skills, p_query);
+$$;
+
+-- Snippets mark matches with private-use characters so the API can escape the resume
+-- text before turning them into <mark> tags.
+create or replace function public.search_candidates_full_text(
+  search_query text,
+  result_limit integer default 50,
+  result_offset integer default 0
+)
+returns table (candidate jsonb, rank real, snippet text, total_count bigint)
+language sql
+stable
+as $$
+  with query as (
+    select websearch_to_tsquery('english', search_query) as tsq
+  ),
+  matched as (
+    select
+      t.candidate_id,
+      t.resume_text,
+      c.created_at,
+      ts_rank_cd(t.resume_tsv, query.tsq, 32) as rank,
+      count(*) over () as total_count
+    from public.candidate_resume_texts t
+    join public.candidates c on c.id = t.candidate_id
+    cross join query
+    where t.resume_tsv @@ query.tsq
+      and c.archived_at is null
+    order by rank desc, c.created_at desc
+    limit result_limit
+    offset result_offset
+  )
+  select
+    to_jsonb(c) as candidate,
+    m.rank,
+    ts_headline(
+      'english',
+      m.resume_text,
+      query.tsq,
+      'StartSel=' || chr(57344) || ', StopSel=' || chr(57345) ||
+        ', MaxFragments=3, MinWords=8, MaxWords=20, FragmentDelimiter=" ... "'
+    ) as snippet,
+    m.total_count
+  from matched m
+  join public.candidates c on c.id = m.candidate_id
+  cross join query
+  order by m.rank desc, m.created_at desc;
+$$;
+
+-- The total for a page past the last match, where search_candidates_full_text has no row
+-- to carry it.
+create or replace function public.count_candidates_full_text(search_query text)
+returns bigint
+language sql
+stable
+as $$
+  select count(*)
+  from public.candidate_resume_texts t
+  join public.candidates c on c.id = t.candidate_id
+  where t.resume_tsv @@ websearch_to_tsquery('english', search_query)
+    and c.archived_at is null;
+$$;
+
+create or replace function public.merge_candidates(
+  p_target_id uuid,
+  p_source_id uuid,
+  p_field_winners jsonb default '{}'::jsonb,
+  p_merged_by text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_target public.candidates%rowtype;
+  v_source public.candidates%rowtype;
+  v_merged public.candidates%rowtype;
+  v_target_json jsonb;
+  v_source_json jsonb;
+  v_merged_json jsonb;
+  v_changes jsonb := '{}'::jsonb;
+  v_field text;
+  v_winner_value jsonb;
+  v_interviews integer := 0;
+  v_reviews integer := 0;
+  v_resumes integer := 0;
+  v_applications integer := 0;
+  v_status_changes integer := 0;
+  v_notes integer := 0;
+  v_emails integer := 0;
+  v_tags integer := 0;
+  v_consents integer := 0;
+  v_count integer;
+  v_merge_id uuid;
+begin
+  if p_target_id = p_source_id then
+    raise exception 'A candidate cannot be merged into itself.' using errcode = '22023';
+  end if;
+
+  -- Lock both rows in id order so two concurrent merges cannot deadlock.
+  perform 1
+  from public.candidates
+  where id in (p_target_id, p_source_id)
+  order by id
+  for update;
+
+  select * into v_target from public.candidates where id = p_target_id;
+  select * into v_source from public.candidates where id = p_source_id;
+
+  if v_target.id is null then
+    raise exception 'Candidate % not found.', p_target_id using errcode = 'P0002';
+  end if;
+
+  if v_source.id is null then
+    raise exception 'Candidate % not found.', p_source_id using errcode = 'P0002';
+  end if;
+
+  if v_target.archived_at is not null or v_source.archived_at is not null then
+    raise exception 'Archived candidates cannot be merged.' using errcode = '22023';
+  end if;
+
+  v_target_json := to_jsonb(v_target);
+  v_source_json := to_jsonb(v_source);
+  v_merged_json := v_target_json;
+
+  foreach v_field in array array['name', 'email', 'phone', 'last_ctc', 'expected_ctc'] loop
+    if coalesce(p_field_winners ->> v_field, 'target') = 'source' then
+      v_winner_value := coalesce(
+        nullif(v_source_json -> v_field, 'null'::jsonb),
+        v_target_json -> v_field
+      );
+    else
+      v_winner_value := coalesce(
+        nullif(v_target_json -> v_field, 'null'::jsonb),
+        v_source_json -> v_field
+      );
+    end if;
+
+    v_merged_json := jsonb_set(v_merged_json, array[v_field], coalesce(v_winner_value, 'null'::jsonb));
+  end loop;
+
+  v_merged := jsonb_populate_record(null::public.candidates, v_merged_json);
+
+  -- The source row still holds the unique email/phone/resume values, so clear
+  -- them before the target takes them over.
+  update public.candidates
+  set email = null,
+      phone = null,
+      phones = '{}',
+      resume_url = null,
+      archived_at = now(),
+      merged_into_id = p_target_id
+  where id = p_source_id;
+
+  update public.candidates
+  set name = v_merged.name,
+      email = v_merged.email,
+      phone = v_merged.phone,
+      last_ctc = v_merged.last_ctc,
+      expected_ctc = v_merged.expected_ctc,
+      phones = array(
+        select value
+        from unnest(array[v_merged.phone] || v_target.phones || v_source.phones)
+          with ordinality as merged_phones (value, position)
+        where value is not null
+        group by value
+        order by min(position)
+      ),
+      skills = array(
+        select distinct value
+        from unnest(v_target.skills || v_source.skills) as value
+      ),
+      certifications = array(
+        select distinct value
+        from unnest(v_target.certifications || v_source.certifications) as value
+      ),
+      experience = greatest(v_target.experience, v_source.experience),
+      work_history = case
+        when jsonb_array_length(v_target.work_history) > 0 then v_target.work_history
+        else v_source.work_history
+      end,
+      education = case
+        when jsonb_array_length(v_target.education) > 0 then v_target.education
+        else v_source.education
+      end,
+      resume_url = coalesce(v_target.resume_url, v_source.resume_url),
+      current_location = coalesce(v_target.current_location, v_source.current_location),
+      notice_period = coalesce(v_target.notice_period, v_source.notice_period),
+      notice_end_date = coalesce(v_target.notice_end_date, v_source.notice_end_date),
+      status = coalesce(v_target.status, v_source.status),
+      is_bookmarked = v_target.is_bookmarked or v_source.is_bookmarked
+  where id = p_target_id
+  returning * into v_merged;
+
+  insert into public.candidate_resumes (candidate_id, resume_url, source, uploaded_at)
+  select p_target_id, v_target.resume_url, 'upload', v_target.created_at
+  where v_target.resume_url is not null
+  on conflict (candidate_id, resume_url) do nothing;
+
+  delete from public.candidate_resumes source_resume
+  where source_resume.candidate_id = p_source_id
+    and exists (
+      select 1
+      from public.candidate_resumes target_resume
+      where target_resume.candidate_id = p_target_id
+        and target_resume.resume_url = source_resume.resume_url
+    );
+
+  update public.candidate_resumes
+  set candidate_id = p_target_id,
+      is_current = false
+  where candidate_id = p_source_id;
+  get diagnostics v_resumes = row_count;
+
+  insert into public.candidate_resumes (candidate_id, resume_url, source, uploaded_at)
+  select p_target_id, v_source.resume_url, 'merge', v_source.created_at
+  where v_source.resume_url is not null
+  on conflict (candidate_id, resume_url) do nothing;
+  get diagnostics v_count = row_count;
+  v_resumes := v_resumes + v_count;
+
+  update public.candidate_resumes
+  set is_current = false
+  where candidate_id = p_target_id
+    and is_current
+    and resume_url is distinct from v_merged.resume_url;
+
+  update public.candidate_resumes
+  set is_current = true
+  where candidate_id = p_target_id
+    and resume_url = v_merged.resume_url;
+
+  update public.candidate_resume_texts
+  set candidate_id = p_target_id
+  where candidate_id = p_source_id
+    and not exists (
+      select 1 from public.candidate_resume_texts where candidate_id = p_target_id
+    );
+
+  if to_regclass('public.interviews') is not null then
+    execute 'update public.interviews set candidate_id = $1 where candidate_id = $2'
+      using p_target_id, p_source_id;
+    get diagnostics v_interviews = row_count;
+  end if;
+
+  update public.candidate_duplicate_reviews
+  set status = 'confirmed',
+      resolved_by = coalesce(resolved_by, p_merged_by),
+      resolution_note = coalesce(resolution_note, 'Resolved by merge.'),
+      resolved_at = now()
+  where status = 'pending'
+    and (
+      (candidate_id = p_target_id and possible_duplicate_id = p_source_id)
+      or (candidate_id = p_source_id and possible_duplicate_id = p_target_id)
+    );
+
+  update public.candidate_duplicate_reviews review
+  set candidate_id = p_target_id
+  where review.candidate_id = p_source_id
+    and review.possible_duplicate_id <> p_target_id
+    and not exists (
+      select 1
+      from public.candidate_duplicate_reviews other
+      where other.candidate_id = p_target_id
+        and other.possible_duplicate_id = review.possible_duplicate_id
+    );
+  get diagnostics v_reviews = row_count;
+
+  update public.candidate_duplicate_reviews review
+  set possible_duplicate_id = p_target_id
+  where review.possible_duplicate_id = p_source_id
+    and review.candidate_id <> p_target_id
+    and not exists (
+      select 1
+      from public.candidate_duplicate_reviews other
+      where other.possible_duplicate_id = p_target_id
+        and other.candidate_id = review.candidate_id
+    );
+  get diagnostics v_count = row_count;
+  v_reviews := v_reviews + v_count;
+
+  delete from public.job_applicants source_application
+  where source_application.candidate_id = p_source_id
+    and exists (
+      select 1
+      from public.job_applicants target_application
+      where target_application.candidate_id = p_target_id
+        and target_application.job_id = source_application.job_id
+    );
+
+  update public.job_applicants
+  set candidate_id = p_target_id
+  where candidate_id = p_source_id;
+  get diagnostics v_applications = row_count;
+
+  update public.candidate_status_history
+  set candidate_id = p_target_id
+  where candidate_id = p_source_id;
+  get diagnostics v_status_changes = row_count;
+
+  update public.candidate_notes
+  set candidate_id = p_target_id
+  where candidate_id = p_source_id;
+  get diagnostics v_notes = row_count;
+
+  update public.candidate_emails
+  set candidate_id = p_target_id
+  where candidate_id = p_source_id;
+  get diagnostics v_emails = row_count;
+
+  update public.candidate_consents
+  set candidate_id = p_target_id
+  where candidate_id = p_source_id;
+  get diagnostics v_consents = row_count;
+
+  insert into public.candidate_tags (candidate_id, tag_id, added_by, added_at)
+  select p_target_id, tag_id, added_by, added_at
+  from public.candidate_tags
+  where candidate_id = p_source_id
+  on conflict (candidate_id, tag_id) do nothing;
+  get diagnostics v_tags = row_count;
+
+  delete from public.candidate_tags where candidate_id = p_source_id;
+
+  -- Pick up the tag names the trigger just refreshed.
+  select * into v_merged from public.candidates where id = p_target_id;
+
+  foreach v_field in array array[
+    'name', 'email', 'phone', 'phones', 'last_ctc', 'expected_ctc', 'skills',
+    'certifications', 'experience', 'work_history', 'education', 'resume_url'
+  ] loop
+    if (to_jsonb(v_merged) -> v_field) is distinct from (v_target_json -> v_field) then
+      v_changes := v_changes || jsonb_build_object(
+        v_field,
+        jsonb_build_object('from', v_target_json -> v_field, 'to', to_jsonb(v_merged) -> v_field)
+      );
+    end if;
+  end loop;
+
+  insert into public.candidate_merges (
+    target_id,
+    source_id,
+    field_winners,
+    changes,
+    target_snapshot,
+    source_snapshot,
+    merged_by
+  )
+  values (
+    p_target_id,
+    p_source_id,
+    coalesce(p_field_winners, '{}'::jsonb),
+    v_changes,
+    v_target_json,
+    v_source_json,
+    p_merged_by
+  )
+  returning id into v_merge_id;
+
+  return jsonb_build_object(
+    'mergeId', v_merge_id,
+    'candidate', to_jsonb(v_merged),
+    'archivedCandidateId', p_source_id,
+    'changes', v_changes,
+    'skillsAdded', to_jsonb(array(
+      select value from unnest(v_merged.skills) as value
+      except
+      select value from unnest(v_target.skills) as value
+    )),
+    'repointed', jsonb_build_object(
+      'interviews', v_interviews,
+      'duplicateReviews', v_reviews,
+      'resumes', v_resumes,
+      'jobApplications', v_applications,
+      'statusHistory', v_status_changes,
+      'notes', v_notes,
+      'emails', v_emails,
+      'tags', v_tags,
+      'consents', v_consents
+    )
+  );
+end;
+$$;
+
+create or replace function public.transition_candidate_status(
+  p_candidate_id uuid,
+  p_from_status text,
+  p_to_status text,
+  p_reason text default null,
+  p_changed_by text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_candidate public.candidates%rowtype;
+  v_history public.candidate_status_history%rowtype;
+begin
+  select * into v_candidate
+  from public.candidates
+  where id = p_candidate_id
+  for update;
+
+  if v_candidate.id is null or v_candidate.archived_at is not null then
+    raise exception 'Candidate % not found.', p_candidate_id using errcode = 'P0002';
+  end if;
+
+  if v_candidate.status is distinct from p_from_status then
+    raise exception 'Candidate was moved to "%" by someone else. Reload and try again.',
+      v_candidate.status
+      using errcode = '40001';
+  end if;
+
+  update public.candidates
+  set status = p_to_status
+  where id = p_candidate_id
+  returning * into v_candidate;
+
+  insert into public.candidate_status_history (
+    candidate_id,
+    from_status,
+    to_status,
+    reason,
+    changed_by
+  )
+  values (p_candidate_id, p_from_status, p_to_status, p_reason, p_changed_by)
+  returning * into v_history;
+
+  return jsonb_build_object(
+    'candidate', to_jsonb(v_candidate),
+    'history', to_jsonb(v_history)
+  );
+end;
+$$;
+
+create or replace function public.edit_candidate_note(
+  p_note_id uuid,
+  p_candidate_id uuid,
+  p_body text,
+  p_mentions text[],
+  p_edited_by text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_note public.candidate_notes%rowtype;
+  v_revision public.candidate_note_revisions%rowtype;
+begin
+  select * into v_note
+  from public.candidate_notes
+  where id = p_note_id
+    and candidate_id = p_candidate_id
+  for update;
+
+  if v_note.id is null then
+    raise exception 'Note % not found.', p_note_id using errcode = 'P0002';
+  end if;
+
+  insert into public.candidate_note_revisions (note_id, body, mentions, edited_by)
+  values (v_note.id, v_note.body, v_note.mentions, p_edited_by)
+  returning * into v_revision;
+
+  update public.candidate_notes
+  set body = p_body,
+      mentions = coalesce(p_mentions, '{}'),
+      edited_by = p_edited_by,
+      updated_at = v_revision.edited_at
+  where id = p_note_id
+  returning * into v_note;
+
+  return jsonb_build_object('note', to_jsonb(v_note), 'revision', to_jsonb(v_revision));
+end;
+$$;
+
+-- Rows merged into a candidate hold the same person's data, so erasure covers them too.
+create or replace function public.merged_candidate_ids(p_candidate_id uuid)
+returns uuid[]
+language sql
+stable
+as $$
+  with recursive merged (id) as (
+    select p_candidate_id
+    union
+    select c.id
+    from public.candidates c
+    join merged m on c.merged_into_id = m.id
+  )
+  select array_agg(id) from merged;
+$$;
+
+create or replace function public.collect_candidate_resumes(p_candidate_ids uuid[])
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(
+    jsonb_agg(jsonb_build_object('resumeUrl', r.resume_url, 'storagePath', r.storage_path)),
+    '[]'::jsonb
+  )
+  from (
+    select resume_url, max(storage_path) as storage_path
+    from (
+      select resume_url, storage_path
+      from public.candidate_resumes
+      where candidate_id = any(p_candidate_ids)
+      union all
+      select resume_url, null
+      from public.candidates
+      where id = any(p_candidate_ids)
+        and resume_url is not null
+    ) refs
+    group by resume_url
+  ) r;
+$$;
+
+-- "shared" marks resume files another candidate still uses, which must stay in storage.
+create or replace function public.flag_shared_resumes(p_resumes jsonb)
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(jsonb_agg(
+    r.value || jsonb_build_object(
+      'shared',
+      exists (
+        select 1 from public.candidate_resumes cr where cr.resume_url = r.value->>'resumeUrl'
+      ) or exists (
+        select 1 from public.candidates c where c.resume_url = r.value->>'resumeUrl'
+      )
+    )
+  ), '[]'::jsonb)
+  from jsonb_array_elements(p_resumes) r;
+$$;
+
+create or replace function public.count_candidate_records(p_candidate_ids uuid[])
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'resumeVersions',
+      (select count(*) from public.candidate_resumes where candidate_id = any(p_candidate_ids)),
+    'resumeTexts', (
+      select count(*)
+      from public.candidate_resume_texts
+      where candidate_id = any(p_candidate_ids)
+    ),
+    'notes',
+      (select count(*) from public.candidate_notes where candidate_id = any(p_candidate_ids)),
+    'noteRevisions', (
+      select count(*)
+      from public.candidate_note_revisions r
+      join public.candidate_notes n on n.id = r.note_id
+      where n.candidate_id = any(p_candidate_ids)
+    ),
+    'statusHistory', (
+      select count(*)
+      from public.candidate_status_history
+      where candidate_id = any(p_candidate_ids)
+    ),
+    'emails',
+      (select count(*) from public.candidate_emails where candidate_id = any(p_candidate_ids)),
+    'tags', (select count(*) from public.candidate_tags where candidate_id = any(p_candidate_ids)),
+    'jobApplications',
+      (select count(*) from public.job_applicants where candidate_id = any(p_candidate_ids)),
+    'duplicateReviews', (
+      select count(*)
+      from public.candidate_duplicate_reviews
+      where candidate_id = any(p_candidate_ids)
+        or possible_duplicate_id = any(p_candidate_ids)
+    ),
+    'consents',
+      (select count(*) from public.candidate_consents where candidate_id = any(p_candidate_ids))
+  );
+$$;
+
+-- Hard delete for erasure requests. The resume files are returned so the caller can
+-- remove them from storage.
+create or replace function public.delete_candidate(p_candidate_id uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_ids uuid[];
+  v_resumes jsonb;
+  v_removed jsonb;
+  v_merges integer := 0;
+  v_upload_files integer := 0;
+begin
+  perform 1 from public.candidates where id = p_candidate_id for update;
+
+  if not found then
+    raise exception 'Candidate % not found.', p_candidate_id using errcode = 'P0002';
+  end if;
+
+  v_ids := public.merged_candidate_ids(p_candidate_id);
+  perform 1 from public.candidates where id = any(v_ids) for update;
+
+  v_resumes := public.collect_candidate_resumes(v_ids);
+  v_removed := jsonb_build_object('candidates', cardinality(v_ids))
+    || public.count_candidate_records(v_ids);
+
+  delete from public.candidate_merges
+  where target_id = any(v_ids)
+    or source_id = any(v_ids);
+  get diagnostics v_merges = row_count;
+
+  -- Upload job rows outlive the candidate, but not the resume's file name.
+  update public.upload_job_files
+  set file_name = null
+  where candidate_id = any(v_ids);
+  get diagnostics v_upload_files = row_count;
+
+  delete from public.candidates where id = any(v_ids);
+
+  return jsonb_build_object(
+    'candidateIds', to_jsonb(v_ids),
+    'removed', v_removed || jsonb_build_object('merges', v_merges, 'uploadFiles', v_upload_files),
+    'resumes', public.flag_shared_resumes(v_resumes)
+  );
+end;
+$$;
+
+-- Keeps the row, with its stage, skills, experience, tags and job applications, for
+-- reporting, and removes everything that identifies the person: contact details,
+-- resumes and their text, notes, emails, duplicate reviews, consents and merged rows.
+create or replace function public.anonymize_candidate(p_candidate_id uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_ids uuid[];
+  v_merged_ids uuid[];
+  v_resumes jsonb;
+  v_removed jsonb;
+  v_merges integer := 0;
+  v_upload_files integer := 0;
+  v_candidate public.candidates%rowtype;
+begin
+  select * into v_candidate
+  from public.candidates
+  where id = p_candidate_id
+  for update;
+
+  if v_candidate.id is null or v_candidate.archived_at is not null then
+    raise exception 'Candidate % not found.', p_candidate_id using errcode = 'P0002';
+  end if;
+
+  if v_candidate.anonymized_at is not null then
+    raise exception 'Candidate % is already anonymized.', p_candidate_id using errcode = '55000';
+  end if;
+
+  v_ids := public.merged_candidate_ids(p_candidate_id);
+  v_merged_ids := array_remove(v_ids, p_candidate_id);
+  perform 1 from public.candidates where id = any(v_merged_ids) for update;
+
+  v_resumes := public.collect_candidate_resumes(v_ids);
+  v_removed := jsonb_build_object('candidates', cardinality(v_merged_ids))
+    || (public.count_candidate_records(v_ids) - 'statusHistory' - 'tags' - 'jobApplications');
+
+  delete from public.candidate_merges
+  where target_id = any(v_ids)
+    or source_id = any(v_ids);
+  get diagnostics v_merges = row_count;
+
+  update public.upload_job_files
+  set file_name = null
+  where candidate_id = any(v_ids);
+  get diagnostics v_upload_files = row_count;
+
+  delete from public.candidates where id = any(v_merged_ids);
+  delete from public.candidate_resumes where candidate_id = p_candidate_id;
+  delete from public.candidate_resume_texts where candidate_id = p_candidate_id;
+  delete from public.candidate_notes where candidate_id = p_candidate_id;
+  delete from public.candidate_emails where candidate_id = p_candidate_id;
+  delete from public.candidate_consents where candidate_id = p_candidate_id;
+  delete from public.candidate_duplicate_reviews
+  where candidate_id = p_candidate_id
+    or possible_duplicate_id = p_candidate_id;
+
+  -- Reasons are free text and may name the candidate.
+  update public.candidate_status_history
+  set reason = null
+  where candidate_id = p_candidate_id;
+
+  update public.candidates
+  set name = null,
+      email = null,
+      phone = null,
+      phones = '{}',
+      resume_url = null,
+      resume_simhash = null,
+      work_history = '[]'::jsonb,
+      education = '[]'::jsonb,
+      current_location = null,
+      last_ctc = null,
+      expected_ctc = null,
+      notice_end_date = null,
+      anonymized_at = now()
+  where id = p_candidate_id
+  returning * into v_candidate;
+
+  return jsonb_build_object(
+    'candidate', to_jsonb(v_candidate),
+    'candidateIds', to_jsonb(v_ids),
+    'removed', v_removed || jsonb_build_object('merges', v_merges, 'uploadFiles', v_upload_files),
+    'resumes', public.flag_shared_resumes(v_resumes)
+  );
+end;
+$$;
+
+-- Last activity is the newest of creation, status changes, notes, resume uploads,
+-- emails, job applications and tags. A withdrawn consent ends when it was withdrawn.
+create or replace function public.find_retention_candidates(
+  p_statuses text[] default null,
+  p_inactive_before timestamptz default null,
+  p_consent_expired_before timestamptz default null,
+  p_include_anonymized boolean default true,
+  p_limit integer default 100
+)
+returns table (
+  candidate_id uuid,
+  status text,
+  last_activity_at timestamptz,
+  consent_expires_at timestamptz,
+  anonymized_at timestamptz
+)
+language sql
+stable
+as $$
+  select *
+  from (
+    select
+      c.id as candidate_id,
+      c.status,
+      greatest(
+        c.created_at,
+        (select max(changed_at) from public.candidate_status_history where candidate_id = c.id),
+        (
+          select max(coalesce(updated_at, created_at))
+          from public.candidate_notes
+          where candidate_id = c.id
+        ),
+        (select max(uploaded_at) from public.candidate_resumes where candidate_id = c.id),
+        (select max(sent_at) from public.candidate_emails where candidate_id = c.id),
+        (select max(created_at) from public.job_applicants where candidate_id = c.id),
+        (select max(added_at) from public.candidate_tags where candidate_id = c.id)
+      ) as last_activity_at,
+      (
+        select max(
+          case
+            when withdrawn_at is not null
+              then least(withdrawn_at, coalesce(expires_at, 'infinity'))
+            else coalesce(expires_at, 'infinity')
+          end
+        )
+        from public.candidate_consents
+        where candidate_id = c.id
+      ) as consent_expires_at,
+      c.anonymized_at
+    from public.candidates c
+    where c.archived_at is null
+      and (p_statuses is null or c.status = any(p_statuses))
+      and (p_include_anonymized or c.anonymized_at is null)
+  ) activity
+  where (p_inactive_before is null or activity.last_activity_at < p_inactive_before)
+    and (
+      p_consent_expired_before is null
+      or activity.consent_expires_at < p_consent_expired_before
+    )
+  order by activity.last_activity_at asc, activity.candidate_id asc
+  limit p_limit;
+$$;
+
+-- Append-only: rows can be added but not changed or removed. Each row's hash covers
+-- its own fields and the previous row's hash, so rewriting history breaks the chain.
+create table if not exists public.audit_log (
+  id bigint primary key,
+  occurred_at timestamptz not null default now(),
+  actor_type text not null,
+  actor_id text,
+  actor_email text,
+  actor_role text,
+  ip text,
+  action text not null,
+  target_type text not null default 'candidate',
+  target_id text,
+  changes jsonb,
+  details jsonb,
+  prev_hash text,
+  hash text not null
+);
+
+create index if not exists idx_audit_log_target on public.audit_log (target_id, id desc);
+create index if not exists idx_audit_log_actor_id on public.audit_log (actor_id, id desc);
+create index if not exists idx_audit_log_actor_email on public.audit_log (actor_email, id desc);
+create index if not exists idx_audit_log_occurred_at on public.audit_log (occurred_at desc);
+
+create or replace function public.audit_log_entry_hash(p_entry public.audit_log)
+returns text
+language sql
+stable
+as $$
+  select encode(
+    sha256(
+      convert_to(
+        jsonb_build_array(
+          p_entry.prev_hash,
+          p_entry.id,
+          to_char(p_entry.occurred_at at time zone 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"'),
+          p_entry.actor_type,
+          p_entry.actor_id,
+          p_entry.actor_email,
+          p_entry.actor_role,
+          p_entry.ip,
+          p_entry.action,
+          p_entry.target_type,
+          p_entry.target_id,
+          p_entry.changes,
+          p_entry.details
+        )::text,
+        'UTF8'
+      )
+    ),
+    'hex'
+  );
+$$;
+
+-- Entries are chained one at a time, so each links to the entry committed before it.
+create or replace function public.chain_audit_log_entry()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_last public.audit_log%rowtype;
+begin
+  perform pg_advisory_xact_lock(hashtext('public.audit_log'));
+
+  select * into v_last
+  from public.audit_log
+  order by id desc
+  limit 1;
+
+  new.id := coalesce(v_last.id, 0) + 1;
+  new.occurred_at := clock_timestamp();
+  new.prev_hash := v_last.hash;
+  new.hash := public.audit_log_entry_hash(new);
+  return new;
+end;
+$$;
+
+create or replace function public.reject_audit_log_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log is append-only.' using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists trg_audit_log_chain on public.audit_log;
+create trigger trg_audit_log_chain
+  before insert on public.audit_log
+  for each row execute function public.chain_audit_log_entry();
+
+drop trigger if exists trg_audit_log_append_only on public.audit_log;
+create trigger trg_audit_log_append_only
+  before update or delete on public.audit_log
+  for each row execute function public.reject_audit_log_change();
+
+drop trigger if exists trg_audit_log_no_truncate on public.audit_log;
+create trigger trg_audit_log_no_truncate
+  before truncate on public.audit_log
+  for each statement execute function public.reject_audit_log_change();
+
+-- Recomputes every hash from p_from_id on. A missing id, a prev_hash that does not
+-- match the entry before it, or a hash that does not match the row marks tampering.
+create or replace function public.verify_audit_log(
+  p_from_id bigint default 1,
+  p_to_id bigint default null
+)
+returns jsonb
+language sql
+stable
+as $$
+  with entries as (
+    select
+      a.id,
+      a.hash,
+      case
+        when a.id <> coalesce(lag(a.id) over w, 0) + 1 then 'missing entries before this one'
+        when a.prev_hash is distinct from lag(a.hash) over w then 'prev_hash does not match'
+        when a.hash <> public.audit_log_entry_hash(a) then 'hash does not match the entry'
+      end as problem
+    from public.audit_log a
+    where a.id >= greatest(p_from_id - 1, 1)
+      and (p_to_id is null or a.id <= p_to_id)
+    window w as (order by a.id)
+  ),
+  checked as (
+    select * from entries where id >= greatest(p_from_id, 1)
+  ),
+  first_problem as (
+    select id, problem from checked where problem is not null order by id limit 1
+  )
+  select jsonb_build_object(
+    'checked', (select count(*) from checked),
+    'valid', not exists (select 1 from first_problem),
+    'firstBrokenId', (select id from first_problem),
+    'problem', (select problem from first_problem),
+    'lastId', (select max(id) from checked),
+    'lastHash', (select hash from checked order by id desc limit 1)
+  );
+$$;
@@ -0,0 +1,399 @@
+const { buildSkillPattern, getSkillTaxonomy, normalizeSkillName } = require('./skill-taxonomy');
+
+const QUERY_OPERATORS = ['AND', 'OR', 'NOT'];
+const WORD_PATTERN = /[^\s(),"]+/y;
+const OPERAND_START_TOKENS = new Set(['AND', 'NOT', 'term', '(']);
+
+class SearchQuerySyntaxError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SearchQuerySyntaxError';
+    this.code = 'INVALID_SEARCH_QUERY';
+    this.details = details;
+  }
+}
+
+function syntaxError(message, query, position) {
+  return new SearchQuerySyntaxError(`${message} at position ${position + 1}.`, {
+    query,
+    position
+  });
+}
+
+function tokenizeSearchQuery(query) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const char = query[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, text: char, position: index });
+      index += 1;
+      continue;
+    }
+
+    if (char === ',') {
+      tokens.push({ type: 'AND', text: char, position: index });
+      index += 1;
+      continue;
+    }
+
+    if (char === '"') {
+      const closing = query.indexOf('"', index + 1);
+      if (closing === -1) {
+        throw syntaxError('Unterminated quoted phrase starting', query, index);
+      }
+
+      const phrase = normalizeSkillName(query.slice(index + 1, closing));
+      if (!phrase) {
+        throw syntaxError('Empty quoted phrase', query, index);
+      }
+
+      tokens.push({
+        type: 'term',
+        text: query.slice(index, closing + 1),
+        value: phrase,
+        phrase: true,
+        position: index
+      });
+      index = closing + 1;
+      continue;
+    }
+
+    WORD_PATTERN.lastIndex = index;
+    const [word] = WORD_PATTERN.exec(query);
+    const operator = word.toUpperCase();
+
+    if (QUERY_OPERATORS.includes(operator)) {
+      tokens.push({ type: operator, text: word, position: index });
+    } else {
+      tokens.push({
+        type: 'term',
+        text: word,
+        value: normalizeSkillName(word),
+        phrase: false,
+        position: index
+      });
+    }
+    index += word.length;
+  }
+
+  return tokens;
+}
+
+function parseSearchQuery(rawQuery) {
+  const query = String(rawQuery || '');
+  const tokens = tokenizeSearchQuery(query);
+  let cursor = 0;
+
+  if (tokens.length === 0) {
+    throw new SearchQuerySyntaxError('Search query is empty.', { query, position: 0 });
+  }
+
+  const peek = () => tokens[cursor];
+  const describe = (token) => `"${token.text}"`;
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      cursor += 1;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseNot()];
+    while (peek() && OPERAND_START_TOKENS.has(peek().type)) {
+      if (peek().type === 'AND') {
+        cursor += 1;
+      }
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseNot() {
+    if (peek()?.type === 'NOT') {
+      cursor += 1;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (!token) {
+      throw syntaxError('Query ends unexpectedly', query, query.length);
+    }
+
+    if (token.type === 'term') {
+      cursor += 1;
+      return { type: 'term', value: token.value, phrase: token.phrase, position: token.position };
+    }
+
+    if (token.type === '(') {
+      cursor += 1;
+      const inner = parseOr();
+      const closing = peek();
+      if (closing?.type !== ')') {
+        throw syntaxError(
+          closing ? `Expected ")" but found ${describe(closing)}` : 'Missing ")" for "(" opened',
+          query,
+          closing ? closing.position : token.position
+        );
+      }
+      cursor += 1;
+      return inner;
+    }
+
+    throw syntaxError(`Unexpected ${describe(token)}`, query, token.position);
+  }
+
+  const ast = parseOr();
+  if (cursor < tokens.length) {
+    throw syntaxError(`Unexpected ${describe(tokens[cursor])}`, query, tokens[cursor].position);
+  }
+
+  return ast;
+}
+
+function formatSearchQuery(node, { nested = false } = {}) {
+  if (node.type === 'term') {
+    return node.phrase || /\s/.test(node.value) ? `"${node.value}"` : node.value;
+  }
+
+  if (node.type === 'not') {
+    return `NOT ${formatSearchQuery(node.child, { nested: true })}`;
+  }
+
+  const joined = node.children
+    .map((child) => formatSearchQuery(child, { nested: true }))
+    .join(node.type === 'and' ? ' AND ' : ' OR ');
+  return nested ? `(${joined})` : joined;
+}
+
+function requiresPositiveMatch(node) {
+  if (node.type === 'term') {
+    return true;
+  }
+
+  if (node.type === 'not') {
+    return false;
+  }
+
+  return node.type === 'and'
+    ? node.children.some(requiresPositiveMatch)
+    : node.children.every(requiresPositiveMatch);
+}
+
+function skillMatchesTerm(skill, term) {
+  if (!skill || !term) {
+    return false;
+  }
+
+  const normalizedSkill = String(skill).trim().toLowerCase();
+  if (!normalizedSkill) {
+    return false;
+  }
+
+  return buildSkillPattern(term).test(normalizedSkill);
+}
+
+// The shape skill_query_matches in schema.sql evaluates.
+function toSqlQuery(node) {
+  if (node.type === 'term') {
+    return { type: 'term', patterns: node.group.map((term) => buildSkillPattern(term).source) };
+  }
+
+  if (node.type === 'not') {
+    return { type: 'not', child: toSqlQuery(node.child) };
+  }
+
+  return { type: node.type, children: node.children.map(toSqlQuery) };
+}
+
+function compileSearchQuery(rawQuery, taxonomy = getSkillTaxonomy()) {
+  const ast = parseSearchQuery(rawQuery);
+
+  if (!requiresPositiveMatch(ast)) {
+    throw new SearchQuerySyntaxError(
+      'Search query must require at least one skill; it cannot match on NOT alone.',
+      { query: String(rawQuery), position: 0 }
+    );
+  }
+
+  const includeTerms = new Set();
+  const expandedTerms = {};
+  const positiveTermNodes = [];
+
+  function expand(node, negated) {
+    if (node.type === 'term') {
+      node.group = taxonomy.expandTerm(node.value, { includeChildren: !negated });
+      expandedTerms[node.value] = node.group;
+      if (!negated) {
+        node.group.forEach((term) => includeTerms.add(term));
+        positiveTermNodes.push(node);
+      }
+      return;
+    }
+
+    if (node.type === 'not') {
+      expand(node.child, !negated);
+      return;
+    }
+
+    node.children.forEach((child) => expand(child, negated));
+  }
+
+  expand(ast, false);
+
+  // Only NOTs that apply to the whole query can be pushed down to the database.
+  const topLevelNodes = ast.type === 'and' ? ast.children : [];
+  const requiredExclusions = topLevelNodes
+    .filter((node) => node.type === 'not' && node.child.type === 'term')
+    .flatMap((node) => node.child.group);
+
+  function evaluate(node, candidateSkills) {
+    if (node.type === 'term') {
+      return candidateSkills.some((skill) =>
+        node.group.some((term) => skillMatchesTerm(skill, term))
+      );
+    }
+
+    if (node.type === 'not') {
+      return !evaluate(node.child, candidateSkills);
+    }
+
+    return node.type === 'and'
+      ? node.children.every((child) => evaluate(child, candidateSkills))
+      : node.children.some((child) => evaluate(child, candidateSkills));
+  }
+
+  function getCandidateSkills(candidate) {
+    return Array.isArray(candidate?.skills)
+      ? candidate.skills.map((skill) => String(skill || '').toLowerCase())
+      : [];
+  }
+
+  function matches(candidate) {
+    const candidateSkills = getCandidateSkills(candidate);
+    return candidateSkills.length > 0 && evaluate(ast, candidateSkills);
+  }
+
+  function findTermMatch(node, candidateSkills) {
+    const exactSkill = candidateSkills.find((skill) => node.group.includes(skill));
+    if (exactSkill) {
+      return { matchType: 'exact', matchedSkill: exactSkill };
+    }
+
+    const partialSkill = candidateSkills.find((skill) =>
+      node.group.some((term) => skillMatchesTerm(skill, term))
+    );
+    return partialSkill ? { matchType: 'partial', matchedSkill: partialSkill } : null;
+  }
+
+  function scoreNode(node, candidateSkills, termScore) {
+    if (node.type === 'term') {
+      return termScore(node);
+    }
+
+    if (node.type === 'not') {
+      return evaluate(node.child, candidateSkills) ? 0 : 1;
+    }
+
+    const childScores = node.children.map((child) => ({
+      isNot: child.type === 'not',
+      score: scoreNode(child, candidateSkills, termScore)
+    }));
+
+    if (node.type === 'or') {
+      return Math.max(...childScores.map((child) => child.score));
+    }
+
+    if (childScores.some((child) => child.isNot && child.score === 0)) {
+      return 0;
+    }
+
+    const positives = childScores.filter((child) => !child.isNot);
+    return positives.length === 0
+      ? 1
+      : positives.reduce((sum, child) => sum + child.score, 0) / positives.length;
+  }
+
+  // foundBy lists the queries that returned the candidate. The overlaps query only finds
+  // exact skills, so a partial match can only be credited to the partial search.
+  function findTermSource(match, foundBy) {
+    if (match.matchType === 'exact' && foundBy.includes('overlaps')) {
+      return 'overlaps';
+    }
+    return foundBy.includes('partial') ? 'partial' : null;
+  }
+
+  // AND averages its terms and OR takes the best branch, so a candidate missing one of
+  // ten ANDed skills still scores 0.9 coverage; a failed NOT zeroes its AND group.
+  function explain(candidate, { partialMatchWeight = 0.5, foundBy = [] } = {}) {
+    const candidateSkills = getCandidateSkills(candidate);
+    const termMatches = new Map(
+      positiveTermNodes.map((node) => [node, findTermMatch(node, candidateSkills)])
+    );
+
+    const matchedTerms = [];
+    const missingTerms = [];
+    for (const [node, match] of termMatches) {
+      if (match) {
+        matchedTerms.push({
+          term: node.value,
+          matchedSkill: match.matchedSkill,
+          matchType: match.matchType,
+          source: findTermSource(match, foundBy)
+        });
+      } else {
+        missingTerms.push(node.value);
+      }
+    }
+
+    const coverage = scoreNode(ast, candidateSkills, (node) => (termMatches.get(node) ? 1 : 0));
+    const matchQuality = scoreNode(ast, candidateSkills, (node) => {
+      const match = termMatches.get(node);
+      if (!match) {
+        return 0;
+      }
+      return match.matchType === 'exact' ? 1 : partialMatchWeight;
+    });
+
+    return {
+      isFullMatch: candidateSkills.length > 0 && evaluate(ast, candidateSkills),
+      coverage,
+      matchQuality,
+      matchedTerms,
+      missingTerms: Array.from(new Set(missingTerms))
+    };
+  }
+
+  return {
+    ast,
+    normalizedQuery: formatSearchQuery(ast),
+    includeTerms: Array.from(includeTerms),
+    requiredExclusions: Array.from(new Set(requiredExclusions)),
+    expandedTerms,
+    sqlQuery: toSqlQuery(ast),
+    explain,
+    matches
+  };
+}
+
+module.exports = {
+  SearchQuerySyntaxError,
+  compileSearchQuery,
+  parseSearchQuery,
+  skillMatchesTerm,
+  tokenizeSearchQuery
+};
@@ -0,0 +1,98 @@
+const RANKING_WEIGHTS = {
+  matchQuality: 0.5,
+  coverage: 0.35,
+  recency: 0.15
+};
+
+const PARTIAL_MATCH_WEIGHT = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRankingConfig() {
+  const minCoverageRaw = Number(process.env.SEARCH_MIN_COVERAGE);
+  const minCoverage =
+    Number.isFinite(minCoverageRaw) && minCoverageRaw >= 0 && minCoverageRaw <= 1
+      ? minCoverageRaw
+      : 0.5;
+
+  const halfLifeDaysRaw = Number(process.env.SEARCH_RECENCY_HALF_LIFE_DAYS);
+  const recencyHalfLifeDays =
+    Number.isFinite(halfLifeDaysRaw) && halfLifeDaysRaw > 0 ? halfLifeDaysRaw : 180;
+
+  return { minCoverage, recencyHalfLifeDays };
+}
+
+function parseMinCoverage(rawValue, fallback) {
+  if (rawValue === undefined || rawValue === null || rawValue === '') {
+    return { minCoverage: fallback };
+  }
+
+  const value = Number(rawValue);
+  if (!Number.isFinite(value) || value < 0 || value > 1) {
+    return { error: 'minCoverage must be a number between 0 and 1.' };
+  }
+
+  return { minCoverage: value };
+}
+
+function recencyScore(createdAt, { now = new Date(), halfLifeDays }) {
+  const createdTime = Date.parse(createdAt);
+  if (!Number.isFinite(createdTime)) {
+    return 0;
+  }
+
+  const ageDays = Math.max(0, now.getTime() - createdTime) / DAY_MS;
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+function roundScore(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function rankCandidates(
+  candidates,
+  compiledQuery,
+  { minCoverage, recencyHalfLifeDays, now = new Date(), foundBy = () => [] }
+) {
+  return candidates
+    .map((candidate) => {
+      const sources = foundBy(candidate);
+      const explanation = compiledQuery.explain(candidate, {
+        partialMatchWeight: PARTIAL_MATCH_WEIGHT,
+        foundBy: sources
+      });
+      const recency = recencyScore(candidate.created_at, { now, halfLifeDays: recencyHalfLifeDays });
+      const score =
+        RANKING_WEIGHTS.matchQuality * explanation.matchQuality +
+        RANKING_WEIGHTS.coverage * explanation.coverage +
+        RANKING_WEIGHTS.recency * recency;
+
+      return {
+        candidate,
+        match: {
+          score: roundScore(score),
+          isFullMatch: explanation.isFullMatch,
+          coverage: roundScore(explanation.coverage),
+          matchQuality: roundScore(explanation.matchQuality),
+          recency: roundScore(recency),
+          matchedTerms: explanation.matchedTerms,
+          missingTerms: explanation.missingTerms,
+          foundBy: sources
+        }
+      };
+    })
+    .filter(({ match }) => match.isFullMatch || (match.coverage > 0 && match.coverage >= minCoverage))
+    .sort(
+      (a, b) =>
+        b.match.score - a.match.score ||
+        new Date(b.candidate.created_at) - new Date(a.candidate.created_at)
+    );
+}
+
+module.exports = {
+  PARTIAL_MATCH_WEIGHT,
+  RANKING_WEIGHTS,
+  getRankingConfig,
+  parseMinCoverage,
+  rankCandidates,
+  recencyScore
+};
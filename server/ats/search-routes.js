@@ -1,102 +1,185 @@
 const express = require('express');
+const { SearchQuerySyntaxError, compileSearchQuery } = require('./search-query');
+const { getRankingConfig, parseMinCoverage, rankCandidates } = require('./search-ranking');
+const { searchResumeText } = require('./resume-text-search');
+const { recordCandidateExport } = require('./audit-log');
+const {
+  compareCandidatesBy,
+  parseCandidateFilters,
+  parseCandidateSort
+} = require('./candidate-filters');
+const {
+  findSkillSearchCandidates,
+  searchCandidatesBySkillQuery
+} = require('./candidate-search');
+
+const SEARCH_MODES = ['all', 'ranked'];
 
 function createSearchRouter({ supabase }) {
   const router = express.Router();
-
-  function parseSkillsParam(rawSkills) {
-    if (!rawSkills || typeof rawSkills !== 'string') {
-      return [];
+  const rankingConfig = getRankingConfig();
+
+  router.get('/search', async (req, res, next) => {
+    const mode = String(req.query.mode || 'all').trim().toLowerCase();
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode. Use one of: ${SEARCH_MODES.join(', ')}.`
+      });
     }
-    return rawSkills
-      .split(',')
-      .map((skill) => skill.trim().toLowerCase())
-      .filter(Boolean);
-  }
-
-  function escapeRegExp(value) {
-    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
-
-  function skillMatchesTerm(skill, term) {
-    if (!skill || !term) {
-      return false;
+
+    const { minCoverage, error: minCoverageError } = parseMinCoverage(
+      req.query.minCoverage,
+      rankingConfig.minCoverage
+    );
+    if (minCoverageError) {
+      return res.status(400).json({ error: minCoverageError });
     }
 
-    const normalizedSkill = String(skill).trim().toLowerCase();
-    if (!normalizedSkill) {
-      return false;
+    const { filters, error: filterError } = parseCandidateFilters(req.query);
+    const { sort, error: sortError } = parseCandidateSort(
+      req.query,
+      mode === 'ranked' ? { extraFields: ['relevance'], defaultField: 'relevance' } : {}
+    );
+    if (filterError || sortError) {
+      return res.status(400).json({ error: filterError || sortError });
     }
 
-    const pattern = new RegExp(`(^|[^a-z0-9+#.])${escapeRegExp(term)}($|[^a-z0-9+#.])`, 'i');
-    return pattern.test(normalizedSkill);
-  }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
 
-  function candidateHasAllTerms(candidate, terms) {
-    const candidateSkills = Array.isArray(candidate?.skills)
-      ? candidate.skills.map((skill) => String(skill || '').toLowerCase())
-      : [];
+    const rawQuery = [req.query.q, req.query.skills].find(
+      (value) => typeof value === 'string' && value.trim()
+    );
 
-    if (candidateSkills.length === 0) {
-      return false;
+    if (!rawQuery) {
+      return res.status(400).json({
+        error:
+          'Missing q or skills query parameter. Example: /api/ats/search?q=(java OR kotlin) AND spring'
+      });
     }
 
-    return terms.every((term) => candidateSkills.some((skill) => skillMatchesTerm(skill, term)));
-  }
-
-  router.get('/search', async (req, res, next) => {
-    const skills = parseSkillsParam(req.query.skills);
-
-    if (skills.length === 0) {
-      return res.status(400).json({
-        error: 'Missing skills query parameter. Example: /api/ats/search?skills=java,spring'
-      });
+    let compiled;
+    try {
+      compiled = compileSearchQuery(rawQuery);
+    } catch (error) {
+      if (error instanceof SearchQuerySyntaxError) {
+        return res.status(400).json({
+          error: error.message,
+          query: error.details.query,
+          position: error.details.position
+        });
+      }
+      return next(error);
     }
 
     try {
-      const [overlapResult, partialResult] = await Promise.all([
-        supabase
-          .from('candidates')
-          .select('*')
-          .overlaps('skills', skills)
-          .order('created_at', { ascending: false }),
-        supabase.rpc('search_candidates_by_skills_partial', {
-          search_terms: skills
-        })
-      ]);
-
-      const { data: overlapMatches, error: overlapError } = overlapResult;
-
-      if (overlapError) {
-        throw new Error(`Search failed: ${overlapError.message}`);
+      if (mode === 'ranked') {
+        const {
+          candidates: mergedResults,
+          foundBy,
+          truncated
+        } = await findSkillSearchCandidates({ supabase, compiled, filters });
+        const ranked = rankCandidates(mergedResults, compiled, {
+          minCoverage,
+          recencyHalfLifeDays: rankingConfig.recencyHalfLifeDays,
+          foundBy
+        });
+
+        if (sort.field !== 'relevance') {
+          const compareCandidates = compareCandidatesBy(sort);
+          ranked.sort((a, b) => compareCandidates(a.candidate, b.candidate));
+        } else if (sort.ascending) {
+          ranked.reverse();
+        }
+
+        const page = ranked.slice(offset, offset + limit);
+        await recordCandidateExport({
+          supabase,
+          req,
+          candidateIds: page.map(({ candidate }) => candidate.id)
+        });
+
+        return res.status(200).json({
+          count: page.length,
+          totalCount: ranked.length,
+          fullMatchCount: ranked.filter(({ match }) => match.isFullMatch).length,
+          truncated,
+          limit,
+          offset,
+          sort: sort.field,
+          order: sort.order,
+          mode,
+          minCoverage,
+          query: compiled.normalizedQuery,
+          expandedTerms: compiled.expandedTerms,
+          candidates: page.map(({ candidate, match }) => ({ ...candidate, match }))
+        });
       }
 
-      let mergedResults = overlapMatches || [];
-      const { data: partialMatches, error: partialError } = partialResult;
+      const { candidates, totalCount } = await searchCandidatesBySkillQuery({
+        supabase,
+        compiled,
+        filters,
+        sort,
+        limit,
+        offset
+      });
 
-      if (!partialError && Array.isArray(partialMatches) && partialMatches.length > 0) {
-        const mergedById = new Map();
-        for (const candidate of [...partialMatches, ...mergedResults]) {
-          mergedById.set(candidate.id, candidate);
-        }
-        mergedResults = Array.from(mergedById.values());
-      }
+      await recordCandidateExport({
+        supabase,
+        req,
+        candidateIds: candidates.map((candidate) => candidate.id)
+      });
+
+      return res.status(200).json({
+        count: candidates.length,
+        totalCount,
+        limit,
+        offset,
+        sort: sort.field,
+        order: sort.order,
+        query: compiled.normalizedQuery,
+        expandedTerms: compiled.expandedTerms,
+        candidates
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
 
-      const filteredResults = mergedResults
-        .filter((candidate) => candidateHasAllTerms(candidate, skills))
-        .sort(
-          (a, b) => new Date(b.created_at) - new Date(a.created_at)
-        );
+  router.get('/search/text', async (req, res, next) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    if (!query) {
+      return res.status(400).json({
+        error: 'Missing q query parameter. Example: /api/ats/search/text?q="iit bombay" fintech'
+      });
+    }
+
+    try {
+      const { totalCount, results } = await searchResumeText({ supabase, query, limit, offset });
+      await recordCandidateExport({
+        supabase,
+        req,
+        candidateIds: results.map((candidate) => candidate.id)
+      });
 
       return res.status(200).json({
-        count: filteredResults.length,
-        candidates: filteredResults
+        count: results.length,
+        totalCount,
+        limit,
+        offset,
+        query,
+        candidates: results
       });
     } catch (error) {
       return next(error);
     }
-  });
-
-  return router;
-}
-
-module.exports = { createSearchRouter };
+  });
+
+  return router;
+}
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,98 @@
+const express = require('express');
+const {
+  SKILL_TAXONOMY_TABLE,
+  getSkillTaxonomy,
+  loadSkillTaxonomy,
+  normalizeSkillList,
+  normalizeSkillName
+} = require('./skill-taxonomy');
+
+function parseListField(value) {
+  if (Array.isArray(value)) {
+    return normalizeSkillList(value);
+  }
+
+  if (typeof value === 'string') {
+    return normalizeSkillList(value.split(','));
+  }
+
+  return [];
+}
+
+function createSkillTaxonomyRouter({ supabase }) {
+  const router = express.Router();
+
+  router.get('/skills', (_req, res) => {
+    const { skills } = getSkillTaxonomy();
+    return res.status(200).json({
+      count: skills.length,
+      skills
+    });
+  });
+
+  router.post('/skills', async (req, res, next) => {
+    const body = req.body || {};
+    const name = normalizeSkillName(body.name);
+    const aliases = parseListField(body.aliases).filter((alias) => alias !== name);
+    const parents = parseListField(body.parents).filter((parent) => parent !== name);
+
+    if (!name) {
+      return res.status(400).json({
+        error: 'Missing skill name. Example: { "name": "kubernetes", "aliases": ["k8s"] }'
+      });
+    }
+
+    const taxonomy = getSkillTaxonomy();
+    const conflicts = [name, ...aliases]
+      .map((term) => ({ term, canonical: taxonomy.canonicalize(term) }))
+      .filter(
+        ({ canonical }) =>
+          canonical !== name && taxonomy.skills.some((skill) => skill.name === canonical)
+      );
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'Some names are already mapped to another skill.',
+        conflicts
+      });
+    }
+
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from(SKILL_TAXONOMY_TABLE)
+        .select('aliases, parents')
+        .eq('name', name)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw new Error(`Failed to load skill: ${fetchError.message}`);
+      }
+
+      const { error: upsertError } = await supabase.from(SKILL_TAXONOMY_TABLE).upsert(
+        {
+          name,
+          aliases: normalizeSkillList([...(existing?.aliases || []), ...aliases]),
+          parents: normalizeSkillList([...(existing?.parents || []), ...parents]),
+          updated_at: new Date().toISOString()
+        },
+        { onConflict: 'name' }
+      );
+
+      if (upsertError) {
+        throw new Error(`Failed to save skill: ${upsertError.message}`);
+      }
+
+      const refreshed = await loadSkillTaxonomy(supabase);
+      return res.status(existing ? 200 : 201).json({
+        message: existing ? 'Skill updated.' : 'Skill added.',
+        skill: refreshed.skills.find((skill) => skill.name === name) || null
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSkillTaxonomyRouter };
@@ -0,0 +1,272 @@
+const { startScheduledTask } = require('./scheduled-task');
+
+const DEFAULT_SKILL_TAXONOMY = [
+  { name: 'java' },
+  { name: 'spring', aliases: ['spring framework'], parents: ['java'] },
+  { name: 'spring boot', aliases: ['springboot', 'spring-boot'], parents: ['spring', 'java'] },
+  { name: 'javascript', aliases: ['js', 'ecmascript', 'es6'] },
+  { name: 'typescript' },
+  { name: 'node.js', aliases: ['nodejs', 'node js'], parents: ['javascript'] },
+  { name: 'express', aliases: ['express.js', 'expressjs'], parents: ['node.js'] },
+  { name: 'react', aliases: ['reactjs', 'react.js', 'react js'], parents: ['javascript'] },
+  { name: 'angular', aliases: ['angularjs', 'angular.js', 'angular js'], parents: ['typescript'] },
+  { name: 'vue', aliases: ['vuejs', 'vue.js', 'vue js'], parents: ['javascript'] },
+  { name: 'python' },
+  { name: 'django', parents: ['python'] },
+  { name: 'flask', parents: ['python'] },
+  { name: 'fastapi', parents: ['python'] },
+  { name: 'c' },
+  { name: 'c++', aliases: ['cpp'] },
+  { name: 'c#', aliases: ['csharp', 'c sharp'] },
+  { name: '.net', aliases: ['dotnet', 'asp.net', '.net core'] },
+  { name: 'go', aliases: ['golang'] },
+  { name: 'rust' },
+  { name: 'php' },
+  { name: 'laravel', parents: ['php'] },
+  { name: 'ruby' },
+  { name: 'rails', aliases: ['ruby on rails', 'ror'], parents: ['ruby'] },
+  { name: 'sql' },
+  { name: 'postgresql', aliases: ['postgres', 'psql'], parents: ['sql'] },
+  { name: 'mysql', parents: ['sql'] },
+  { name: 'mongodb', aliases: ['mongo'] },
+  { name: 'redis' },
+  { name: 'html', aliases: ['html5'] },
+  { name: 'css', aliases: ['css3'] },
+  { name: 'tailwind', aliases: ['tailwindcss', 'tailwind css'], parents: ['css'] },
+  { name: 'docker' },
+  { name: 'kubernetes', aliases: ['k8s'] },
+  { name: 'aws', aliases: ['amazon web services'] },
+  { name: 'azure', aliases: ['microsoft azure'] },
+  { name: 'gcp', aliases: ['google cloud', 'google cloud platform'] },
+  { name: 'terraform' },
+  { name: 'git' },
+  { name: 'graphql' },
+  { name: 'rest', aliases: ['rest api', 'restful'] },
+  { name: 'microservices', aliases: ['microservice'] },
+  { name: 'linux' },
+  { name: 'ci/cd', aliases: ['cicd', 'ci cd'] },
+  { name: 'jenkins', parents: ['ci/cd'] },
+  { name: 'github actions', parents: ['ci/cd'] },
+  { name: 'machine learning' },
+  { name: 'data analysis', aliases: ['data analytics'] },
+  { name: 'pandas', parents: ['python'] },
+  { name: 'numpy', parents: ['python'] }
+];
+
+const SKILL_TAXONOMY_TABLE = 'skill_taxonomy';
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeSkillName(value) {
+  if (typeof value !== 'string') {
+    return '';
+  }
+
+  return value.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function normalizeSkillList(values) {
+  if (!Array.isArray(values)) {
+    return [];
+  }
+
+  return Array.from(new Set(values.map(normalizeSkillName).filter(Boolean)));
+}
+
+function buildSkillPattern(term) {
+  return new RegExp(`(^|[^a-z0-9+#.])${escapeRegExp(term)}($|[^a-z0-9+#.])`, 'i');
+}
+
+function mergeSkillEntries(...entryLists) {
+  const merged = new Map();
+
+  for (const entries of entryLists) {
+    for (const entry of entries || []) {
+      const name = normalizeSkillName(entry?.name);
+      if (!name) {
+        continue;
+      }
+
+      const existing = merged.get(name) || { name, aliases: [], parents: [] };
+      merged.set(name, {
+        name,
+        aliases: normalizeSkillList([...existing.aliases, ...(entry.aliases || [])]),
+        parents: normalizeSkillList([...existing.parents, ...(entry.parents || [])])
+      });
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+function buildSkillTaxonomy(entries = DEFAULT_SKILL_TAXONOMY) {
+  const skills = mergeSkillEntries(entries);
+  const canonicalNames = new Set(skills.map((skill) => skill.name));
+  const aliasToCanonical = new Map();
+  const childrenByParent = new Map();
+
+  for (const skill of skills) {
+    aliasToCanonical.set(skill.name, skill.name);
+  }
+
+  for (const skill of skills) {
+    skill.aliases = skill.aliases.filter(
+      (alias) => !canonicalNames.has(alias) && !aliasToCanonical.has(alias)
+    );
+    skill.aliases.forEach((alias) => aliasToCanonical.set(alias, skill.name));
+
+    skill.parents = skill.parents.filter((parent) => parent !== skill.name);
+    for (const parent of skill.parents) {
+      const children = childrenByParent.get(parent) || [];
+      children.push(skill.name);
+      childrenByParent.set(parent, children);
+    }
+  }
+
+  const matchers = Array.from(aliasToCanonical.entries()).map(([alias, canonical]) => ({
+    canonical,
+    pattern: buildSkillPattern(alias)
+  }));
+
+  const skillsByName = new Map(skills.map((skill) => [skill.name, skill]));
+
+  function canonicalize(term) {
+    const normalized = normalizeSkillName(term);
+    return aliasToCanonical.get(normalized) || normalized;
+  }
+
+  function getDescendants(name) {
+    const descendants = new Set();
+    const queue = [...(childrenByParent.get(name) || [])];
+
+    while (queue.length > 0) {
+      const child = queue.shift();
+      if (child === name || descendants.has(child)) {
+        continue;
+      }
+      descendants.add(child);
+      queue.push(...(childrenByParent.get(child) || []));
+    }
+
+    return Array.from(descendants);
+  }
+
+  function expandTerm(term, { includeChildren = true } = {}) {
+    const normalized = normalizeSkillName(term);
+    if (!normalized) {
+      return [];
+    }
+
+    const canonical = canonicalize(normalized);
+    const related = [canonical, ...(includeChildren ? getDescendants(canonical) : [])];
+    const expanded = [normalized];
+
+    for (const name of related) {
+      expanded.push(name, ...(skillsByName.get(name)?.aliases || []));
+    }
+
+    return Array.from(new Set(expanded));
+  }
+
+  function extractSkills(text) {
+    const normalizedText = String(text || '').toLowerCase();
+    const found = new Set();
+
+    for (const { canonical, pattern } of matchers) {
+      if (!found.has(canonical) && pattern.test(normalizedText)) {
+        found.add(canonical);
+      }
+    }
+
+    return Array.from(found);
+  }
+
+  return {
+    canonicalize,
+    expandTerm,
+    extractSkills,
+    getDescendants,
+    skills: skills.map((skill) => ({
+      ...skill,
+      aliases: [...skill.aliases],
+      parents: [...skill.parents]
+    }))
+  };
+}
+
+let activeSkillTaxonomy = buildSkillTaxonomy();
+
+function getSkillTaxonomy() {
+  return activeSkillTaxonomy;
+}
+
+function setSkillTaxonomy(taxonomy) {
+  activeSkillTaxonomy = taxonomy;
+  return activeSkillTaxonomy;
+}
+
+async function fetchStoredSkills(supabase) {
+  const { data, error } = await supabase
+    .from(SKILL_TAXONOMY_TABLE)
+    .select('name, aliases, parents')
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load skill taxonomy: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+async function loadSkillTaxonomy(supabase) {
+  const storedSkills = await fetchStoredSkills(supabase);
+  return setSkillTaxonomy(
+    buildSkillTaxonomy(mergeSkillEntries(DEFAULT_SKILL_TAXONOMY, storedSkills))
+  );
+}
+
+function getRefreshSeconds() {
+  const refreshSecondsRaw = Number(process.env.SKILL_TAXONOMY_REFRESH_SECONDS);
+  return Number.isFinite(refreshSecondsRaw) && refreshSecondsRaw >= 0
+    ? Math.floor(refreshSecondsRaw)
+    : 300;
+}
+
+// Loads the stored skills now, then every SKILL_TAXONOMY_REFRESH_SECONDS, so skills added
+// through another API instance show up here too.
+function startSkillTaxonomyRefresh({ supabase }) {
+  async function refreshTaxonomy() {
+    try {
+      await loadSkillTaxonomy(supabase);
+    } catch (error) {
+      console.warn(`[skills] ${error.message}. Using the last loaded taxonomy.`);
+    }
+  }
+
+  refreshTaxonomy();
+
+  const refreshSeconds = getRefreshSeconds();
+  if (refreshSeconds === 0) {
+    return null;
+  }
+
+  return startScheduledTask({
+    name: 'skills',
+    intervalMs: refreshSeconds * 1000,
+    task: refreshTaxonomy
+  });
+}
+
+module.exports = {
+  DEFAULT_SKILL_TAXONOMY,
+  SKILL_TAXONOMY_TABLE,
+  buildSkillPattern,
+  buildSkillTaxonomy,
+  getSkillTaxonomy,
+  loadSkillTaxonomy,
+  normalizeSkillList,
+  normalizeSkillName,
+  startSkillTaxonomyRefresh
+};
@@ -0,0 +1,182 @@
+const express = require('express');
+const {
+  failInterruptedUploadJob,
+  getUploadJob,
+  isUploadJobFinished,
+  isUploadJobStale,
+  listUploadJobFiles,
+  subscribeToUploadJob
+} = require('./upload-jobs');
+
+function getConfig() {
+  const pollSecondsRaw = Number(process.env.UPLOAD_JOB_EVENTS_POLL_SECONDS);
+  const pollSeconds = Number.isFinite(pollSecondsRaw) && pollSecondsRaw > 0 ? pollSecondsRaw : 2;
+
+  return {
+    pollIntervalMs: Math.floor(pollSeconds * 1000),
+    heartbeatIntervalMs: 15000
+  };
+}
+
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function createUploadJobRouter({ supabase }) {
+  const router = express.Router();
+  const config = getConfig();
+
+  // A job left running by a crashed instance is failed the first time someone looks at it.
+  async function loadUploadJob(jobId) {
+    const job = await getUploadJob({ supabase, jobId });
+    if (!isUploadJobStale(job)) {
+      return job;
+    }
+
+    return (await failInterruptedUploadJob({ supabase, job })) || getUploadJob({ supabase, jobId });
+  }
+
+  async function loadJobResults(jobId) {
+    const files = await listUploadJobFiles({ supabase, jobId });
+    const candidateIds = files.map((file) => file.candidate_id).filter(Boolean);
+    let candidatesById = new Map();
+
+    if (candidateIds.length > 0) {
+      const { data: candidates, error } = await supabase
+        .from('candidates')
+        .select('*')
+        .in('id', candidateIds);
+
+      if (error) {
+        throw new Error(`Failed to load uploaded candidates: ${error.message}`);
+      }
+
+      candidatesById = new Map((candidates || []).map((candidate) => [candidate.id, candidate]));
+    }
+
+    return {
+      pendingCount: files.filter((file) => file.status === 'pending').length,
+      uploaded: files
+        .filter((file) => file.status === 'uploaded')
+        .map((file) => ({
+          fileName: file.file_name,
+          candidate: candidatesById.get(file.candidate_id) || { id: file.candidate_id },
+          possibleDuplicates: file.possible_duplicates || []
+        })),
+      failed: files
+        .filter((file) => file.status === 'failed')
+        .map((file) => ({
+          fileName: file.file_name,
+          error: file.error
+        }))
+    };
+  }
+
+  router.get('/upload-jobs/:id', async (req, res, next) => {
+    try {
+      const job = await loadUploadJob(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({ error: 'Upload job not found.' });
+      }
+
+      const results = await loadJobResults(job.id);
+      return res.status(200).json({ job, ...results });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get('/upload-jobs/:id/events', async (req, res, next) => {
+    let job;
+
+    try {
+      job = await loadUploadJob(req.params.id);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!job) {
+      return res.status(404).json({ error: 'Upload job not found.' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let lastUpdatedAt = job.updated_at;
+    let closed = false;
+    let unsubscribe = () => {};
+    let pollTimer = null;
+    let heartbeatTimer = null;
+
+    function close() {
+      if (closed) {
+        return;
+      }
+
+      closed = true;
+      unsubscribe();
+      clearInterval(pollTimer);
+      clearInterval(heartbeatTimer);
+      res.end();
+    }
+
+    function sendProgress(currentJob) {
+      if (closed) {
+        return;
+      }
+
+      lastUpdatedAt = currentJob.updated_at;
+      writeEvent(res, 'progress', currentJob);
+
+      if (isUploadJobFinished(currentJob)) {
+        writeEvent(res, 'done', currentJob);
+        close();
+      }
+    }
+
+    req.on('close', close);
+    sendProgress(job);
+
+    if (closed) {
+      return undefined;
+    }
+
+    unsubscribe = subscribeToUploadJob(job.id, ({ type, data }) => {
+      if (type === 'progress') {
+        sendProgress(data);
+      } else if (!closed) {
+        writeEvent(res, type, data);
+      }
+    });
+
+    // Jobs started on another API instance only reach this stream through the table.
+    pollTimer = setInterval(async () => {
+      try {
+        const currentJob = await loadUploadJob(job.id);
+        if (currentJob && currentJob.updated_at !== lastUpdatedAt) {
+          sendProgress(currentJob);
+        }
+      } catch (error) {
+        console.warn(`[upload-jobs] ${job.id}: ${error.message}`);
+      }
+    }, config.pollIntervalMs);
+
+    heartbeatTimer = setInterval(() => {
+      if (!closed) {
+        res.write(': keep-alive\n\n');
+      }
+    }, config.heartbeatIntervalMs);
+
+    return undefined;
+  });
+
+  return router;
+}
+
+module.exports = { createUploadJobRouter };
@@ -0,0 +1,242 @@
+const { EventEmitter } = require('events');
+
+const UPLOAD_JOBS_TABLE = 'upload_jobs';
+const UPLOAD_JOB_FILES_TABLE = 'upload_job_files';
+const FINISHED_JOB_STATUSES = ['completed', 'failed'];
+const UPLOAD_JOB_HEARTBEAT_MS = 30 * 1000;
+const UPLOAD_JOB_STALE_AFTER_MS = 4 * UPLOAD_JOB_HEARTBEAT_MS;
+const INTERRUPTED_JOB_ERROR = 'The API server stopped before this job finished. Upload the files again.';
+
+const uploadJobEvents = new EventEmitter();
+uploadJobEvents.setMaxListeners(0);
+
+function isUploadJobFinished(job) {
+  return FINISHED_JOB_STATUSES.includes(job?.status);
+}
+
+// A running job's heartbeat is refreshed by whichever instance runs it, so a job whose
+// heartbeat has stopped belongs to an instance that crashed or restarted.
+function isUploadJobStale(job, now = Date.now()) {
+  if (!job || isUploadJobFinished(job)) {
+    return false;
+  }
+
+  const heartbeatAt = Date.parse(job.heartbeat_at || job.updated_at);
+  return Number.isFinite(heartbeatAt) && heartbeatAt < now - UPLOAD_JOB_STALE_AFTER_MS;
+}
+
+function emitUploadJobEvent(jobId, type, data) {
+  uploadJobEvents.emit(jobId, { type, data });
+}
+
+function subscribeToUploadJob(jobId, listener) {
+  uploadJobEvents.on(jobId, listener);
+  return () => uploadJobEvents.off(jobId, listener);
+}
+
+async function createUploadJob({ supabase, files, failed = [], concurrency }) {
+  const { data: job, error } = await supabase
+    .from(UPLOAD_JOBS_TABLE)
+    .insert({
+      status: 'queued',
+      total_files: files.length + failed.length,
+      processed_files: failed.length,
+      failed_count: failed.length,
+      concurrency
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create upload job: ${error.message}`);
+  }
+
+  const fileRows = files.map((file, index) => ({
+    job_id: job.id,
+    file_index: index,
+    file_name: file.originalname || null,
+    status: 'pending'
+  }));
+
+  failed.forEach((failure, index) => {
+    fileRows.push({
+      job_id: job.id,
+      file_index: files.length + index,
+      file_name: failure.fileName,
+      status: 'failed',
+      error: failure.error,
+      processed_at: new Date().toISOString()
+    });
+  });
+
+  const { error: filesError } = await supabase.from(UPLOAD_JOB_FILES_TABLE).insert(fileRows);
+
+  if (filesError) {
+    await supabase.from(UPLOAD_JOBS_TABLE).delete().eq('id', job.id);
+    throw new Error(`Failed to create upload job files: ${filesError.message}`);
+  }
+
+  return job;
+}
+
+async function updateUploadJob({ supabase, jobId, updates }) {
+  const now = new Date().toISOString();
+  const { data: job, error } = await supabase
+    .from(UPLOAD_JOBS_TABLE)
+    .update({ ...updates, updated_at: now, heartbeat_at: now })
+    .eq('id', jobId)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update upload job: ${error.message}`);
+  }
+
+  emitUploadJobEvent(jobId, 'progress', job);
+  return job;
+}
+
+function startUploadJobHeartbeat({ supabase, jobId }) {
+  const timer = setInterval(async () => {
+    const { error } = await supabase
+      .from(UPLOAD_JOBS_TABLE)
+      .update({ heartbeat_at: new Date().toISOString() })
+      .eq('id', jobId);
+
+    if (error) {
+      console.warn(`[upload-jobs] ${jobId}: failed to record heartbeat: ${error.message}`);
+    }
+  }, UPLOAD_JOB_HEARTBEAT_MS);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// Resolves to the failed job, or null when the job finished or was failed elsewhere first.
+async function failInterruptedUploadJob({ supabase, job }) {
+  const now = new Date().toISOString();
+  const { data: pendingFiles, error: filesError } = await supabase
+    .from(UPLOAD_JOB_FILES_TABLE)
+    .update({ status: 'failed', error: INTERRUPTED_JOB_ERROR, processed_at: now })
+    .eq('job_id', job.id)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (filesError) {
+    throw new Error(`Failed to fail interrupted upload job files: ${filesError.message}`);
+  }
+
+  const pendingCount = (pendingFiles || []).length;
+  const { data: failedJob, error } = await supabase
+    .from(UPLOAD_JOBS_TABLE)
+    .update({
+      status: 'failed',
+      error: INTERRUPTED_JOB_ERROR,
+      processed_files: (job.processed_files || 0) + pendingCount,
+      failed_count: (job.failed_count || 0) + pendingCount,
+      finished_at: now,
+      updated_at: now
+    })
+    .eq('id', job.id)
+    .in('status', ['queued', 'processing'])
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fail interrupted upload job: ${error.message}`);
+  }
+
+  if (failedJob) {
+    emitUploadJobEvent(job.id, 'progress', failedJob);
+  }
+  return failedJob;
+}
+
+async function failStaleUploadJobs({ supabase }) {
+  const cutoff = new Date(Date.now() - UPLOAD_JOB_STALE_AFTER_MS).toISOString();
+  const { data: jobs, error } = await supabase
+    .from(UPLOAD_JOBS_TABLE)
+    .select('*')
+    .in('status', ['queued', 'processing'])
+    .lt('heartbeat_at', cutoff);
+
+  if (error) {
+    throw new Error(`Failed to list stale upload jobs: ${error.message}`);
+  }
+
+  let failedCount = 0;
+  for (const job of jobs || []) {
+    if (await failInterruptedUploadJob({ supabase, job })) {
+      failedCount += 1;
+    }
+  }
+
+  return failedCount;
+}
+
+async function recordUploadJobFile({ supabase, jobId, fileIndex, outcome }) {
+  const { data: fileRow, error } = await supabase
+    .from(UPLOAD_JOB_FILES_TABLE)
+    .update({
+      status: outcome.ok ? 'uploaded' : 'failed',
+      candidate_id: outcome.ok ? outcome.candidate?.id || null : null,
+      possible_duplicates: outcome.ok ? outcome.possibleDuplicates || [] : [],
+      error: outcome.ok ? null : outcome.error,
+      processed_at: new Date().toISOString()
+    })
+    .eq('job_id', jobId)
+    .eq('file_index', fileIndex)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record upload job file: ${error.message}`);
+  }
+
+  emitUploadJobEvent(jobId, 'file', fileRow);
+  return fileRow;
+}
+
+async function getUploadJob({ supabase, jobId }) {
+  const { data: job, error } = await supabase
+    .from(UPLOAD_JOBS_TABLE)
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch upload job: ${error.message}`);
+  }
+
+  return job;
+}
+
+async function listUploadJobFiles({ supabase, jobId }) {
+  const { data: files, error } = await supabase
+    .from(UPLOAD_JOB_FILES_TABLE)
+    .select('*')
+    .eq('job_id', jobId)
+    .order('file_index', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to list upload job files: ${error.message}`);
+  }
+
+  return files || [];
+}
+
+module.exports = {
+  UPLOAD_JOBS_TABLE,
+  UPLOAD_JOB_FILES_TABLE,
+  createUploadJob,
+  failInterruptedUploadJob,
+  failStaleUploadJobs,
+  getUploadJob,
+  isUploadJobFinished,
+  isUploadJobStale,
+  listUploadJobFiles,
+  recordUploadJobFile,
+  startUploadJobHeartbeat,
+  subscribeToUploadJob,
+  updateUploadJob
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promises: fsPromises } = require('fs');
+
+const UPLOAD_PREVIEWS_TABLE = 'upload_previews';
+const PREVIEW_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+const PREVIEW_STORAGE_PREFIX = 'previews';
+
+// Only a hash of the token is stored, so reading the table does not let anyone commit.
+function hashPreviewToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Previews live in the ATS database and storage, so the commit can reach any API instance.
+function createUploadPreviewStore({ supabase, bucket, directory, ttlMs }) {
+  let bucketIsPrivate = false;
+
+  // Previewed resumes must not be reachable by URL, so the bucket has to be a private one.
+  // Returns what is wrong, or null when dry runs can be stored.
+  async function checkPreviewBucket() {
+    if (!bucket) {
+      return 'Dry runs need UPLOAD_PREVIEW_BUCKET, a private storage bucket for previewed files.';
+    }
+    if (bucketIsPrivate) {
+      return null;
+    }
+
+    const { data, error } = await supabase.storage.getBucket(bucket);
+    if (error || !data) {
+      return `Dry runs are unavailable: cannot read bucket "${bucket}" (${error?.message}).`;
+    }
+    if (data.public) {
+      return `Dry runs are unavailable: UPLOAD_PREVIEW_BUCKET "${bucket}" is public.`;
+    }
+
+    bucketIsPrivate = true;
+    return null;
+  }
+
+  async function removeStoredFiles(files) {
+    const paths = files.map((file) => file.storagePath);
+    if (paths.length === 0) {
+      return;
+    }
+
+    const { error } = await supabase.storage.from(bucket).remove(paths);
+    if (error) {
+      console.warn(`[upload-previews] failed to remove ${paths.length} file(s): ${error.message}`);
+    }
+  }
+
+  async function deletePreviewRow(id) {
+    const { error } = await supabase.from(UPLOAD_PREVIEWS_TABLE).delete().eq('id', id);
+    if (error) {
+      console.warn(`[upload-previews] failed to delete preview ${id}: ${error.message}`);
+    }
+  }
+
+  async function createPreview(files) {
+    const bucketProblem = await checkPreviewBucket();
+    if (bucketProblem) {
+      throw new Error(bucketProblem);
+    }
+
+    const id = crypto.randomUUID();
+    const token = crypto.randomBytes(24).toString('base64url');
+    const storedFiles = [];
+
+    try {
+      for (const [index, file] of files.entries()) {
+        const storagePath = `${PREVIEW_STORAGE_PREFIX}/${id}/${index}${path.extname(file.path)}`;
+        const { error } = await supabase.storage
+          .from(bucket)
+          .upload(storagePath, await fsPromises.readFile(file.path), { upsert: false });
+
+        if (error) {
+          throw new Error(`Failed to store preview file: ${error.message}`);
+        }
+        storedFiles.push({ index, fileName: file.originalname, storagePath });
+      }
+
+      const createdAt = new Date();
+      const { data: preview, error } = await supabase
+        .from(UPLOAD_PREVIEWS_TABLE)
+        .insert({
+          id,
+          token_hash: hashPreviewToken(token),
+          files: storedFiles,
+          created_at: createdAt.toISOString(),
+          expires_at: new Date(createdAt.getTime() + ttlMs).toISOString()
+        })
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to save upload preview: ${error.message}`);
+      }
+
+      await Promise.all(files.map((file) => fsPromises.unlink(file.path).catch(() => {})));
+      return { token, expiresAt: preview.expires_at, files: preview.files };
+    } catch (error) {
+      await removeStoredFiles(storedFiles);
+      throw error;
+    }
+  }
+
+  async function getPreview(token) {
+    if (!PREVIEW_TOKEN_PATTERN.test(String(token || ''))) {
+      return null;
+    }
+
+    const { data: preview, error } = await supabase
+      .from(UPLOAD_PREVIEWS_TABLE)
+      .select('*')
+      .eq('token_hash', hashPreviewToken(token))
+      .is('claimed_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load upload preview: ${error.message}`);
+    }
+
+    return preview ? { token, expiresAt: preview.expires_at, files: preview.files } : null;
+  }
+
+  async function downloadFiles(preview) {
+    const files = [];
+
+    try {
+      for (const file of preview.files) {
+        const { data, error } = await supabase.storage.from(bucket).download(file.storagePath);
+        if (error || !data) {
+          throw new Error(`Failed to load preview file ${file.fileName}: ${error?.message}`);
+        }
+
+        const localPath = path.join(
+          directory,
+          `${preview.id}-${file.index}${path.extname(file.storagePath)}`
+        );
+        await fsPromises.writeFile(localPath, Buffer.from(await data.arrayBuffer()));
+        files.push({ ...file, path: localPath });
+      }
+    } catch (error) {
+      await Promise.all(files.map((file) => fsPromises.unlink(file.path).catch(() => {})));
+      throw error;
+    }
+
+    return files;
+  }
+
+  // A token is claimed by one conditional update, so only one commit can win it.
+  async function claimPreview(token) {
+    if (!PREVIEW_TOKEN_PATTERN.test(String(token || ''))) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const { data: preview, error } = await supabase
+      .from(UPLOAD_PREVIEWS_TABLE)
+      .update({ claimed_at: now })
+      .eq('token_hash', hashPreviewToken(token))
+      .is('claimed_at', null)
+      .gt('expires_at', now)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to claim upload preview: ${error.message}`);
+    }
+    if (!preview) {
+      return null;
+    }
+
+    let files;
+    try {
+      files = await downloadFiles(preview);
+    } catch (downloadError) {
+      await supabase.from(UPLOAD_PREVIEWS_TABLE).update({ claimed_at: null }).eq('id', preview.id);
+      throw downloadError;
+    }
+
+    return {
+      token,
+      expiresAt: preview.expires_at,
+      files,
+      release: async () => {
+        await removeStoredFiles(preview.files);
+        await deletePreviewRow(preview.id);
+      }
+    };
+  }
+
+  // Claims older than the TTL belong to a commit whose instance went away before it finished.
+  async function sweepExpiredPreviews() {
+    const now = Date.now();
+    const { data: previews, error } = await supabase
+      .from(UPLOAD_PREVIEWS_TABLE)
+      .select('*')
+      .or(
+        `expires_at.lt.${new Date(now).toISOString()},` +
+          `claimed_at.lt.${new Date(now - ttlMs).toISOString()}`
+      );
+
+    if (error) {
+      console.warn(`[upload-previews] failed to list expired previews: ${error.message}`);
+      return;
+    }
+
+    for (const preview of previews || []) {
+      await removeStoredFiles(preview.files || []);
+      await deletePreviewRow(preview.id);
+    }
+  }
+
+  return { checkPreviewBucket, claimPreview, createPreview, getPreview, sweepExpiredPreviews };
+}
+
+module.exports = { UPLOAD_PREVIEWS_TABLE, createUploadPreviewStore };
@@ -1,16 +1,43 @@
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
-const dotenv = require('dotenv');
-const fs = require('fs');
-const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
 const { createGoogleMeetEvent } = require("./google");
 const nodemailer = require("nodemailer");
 const { createAtsRouter } = require('./ats/ats-routes');
 const { createSearchRouter } = require('./ats/search-routes');
-const { createBulkUploadRouter } = require('./ats/bulk-upload-routes');
+const { createBulkUploadRouter, startPreviewSweep } = require('./ats/bulk-upload-routes');
+const { createUploadJobRouter } = require('./ats/upload-job-routes');
+const { failStaleUploadJobs } = require('./ats/upload-jobs');
+const { createSkillTaxonomyRouter } = require('./ats/skill-taxonomy-routes');
+const { startSkillTaxonomyRefresh } = require('./ats/skill-taxonomy');
+const { createDuplicateReviewRouter } = require('./ats/duplicate-review-routes');
+const { createCandidateMergeRouter } = require('./ats/candidate-merge-routes');
+const { createSavedSearchRouter } = require('./ats/saved-search-routes');
+const { createJobRouter } = require('./ats/job-routes');
+const { createPipelineRouter } = require('./ats/pipeline-routes');
+const { createCandidateActivityRouter } = require('./ats/candidate-activity-routes');
+const { createCandidateTagRouter } = require('./ats/candidate-tag-routes');
+const { getCorsOrigins } = require('./ats/api-auth');
+const { createAccessControl } = require('./ats/route-permissions');
+const { createAuditLogRouter } = require('./ats/audit-log-routes');
+const { getAuditContext, recordAuditEntry } = require('./ats/audit-log');
+const { createRetentionRouter } = require('./ats/retention-routes');
+const { startRetentionPurge } = require('./ats/retention-policies');
+const { startSavedSearchAlerts } = require('./ats/saved-searches');
+const { loadEnvFiles } = require('./ats/env-files');
+const { parseUploadConsent, recordCandidateConsent } = require('./ats/candidate-consents');
+const { recordCandidateEmail } = require('./ats/candidate-emails');
+const { DEFAULT_PIPELINE_STAGE, LEGACY_SOURCED_STATUS_CODE } = require('./ats/pipeline-stages');
+const { detectResumeFormat } = require('./ats/resume-extractor');
 const {
+  applyResumeUpdate,
+  parseUploadMode,
+  recordResumeVersion
+} = require('./ats/resume-versions');
+const { getDedupLock } = require('./ats/dedup-lock');
+const {
+  DedupLockTimeoutError,
   DuplicateCandidateError,
   buildDedupKeys,
   buildResumeHash,
@@ -24,25 +51,6 @@ const {
   withDedupLock
 } = require('./ats/candidate-dedup');
 
-function loadEnvFiles() {
-  const envPaths = [
-    path.resolve(__dirname, '../.env'),
-    path.resolve(__dirname, '.env')
-  ];
-
-  let loadedAny = false;
-  for (const envPath of envPaths) {
-    if (fs.existsSync(envPath)) {
-      dotenv.config({ path: envPath, override: false });
-      loadedAny = true;
-    }
-  }
-
-  if (!loadedAny) {
-    dotenv.config();
-  }
-}
-
 loadEnvFiles();
 
 // ------------------------
@@ -99,6 +107,14 @@ const ATS_SUPABASE_SERVICE_ROLE_KEY = hasExplicitAtsConfig
   ? rawAtsSupabaseServiceRoleKey
   : SUPABASE_SERVICE_ROLE_KEY;
 
+// The main project keeps the integer status column until migrate:status --main has run there.
+// Without a separate ATS project, schema.sql has already changed it.
+const MAIN_CANDIDATE_STATUS =
+  !hasExplicitAtsConfig ||
+  String(process.env.MAIN_CANDIDATE_STATUS_STAGES || '').toLowerCase() === 'true'
+    ? DEFAULT_PIPELINE_STAGE
+    : LEGACY_SOURCED_STATUS_CODE;
+
 function getProjectRef(url) {
   try {
     return new URL(url).hostname.split('.')[0];
@@ -175,17 +191,45 @@ const atsSupabase = createClient(ATS_SUPABASE_URL, ATS_SUPABASE_SERVICE_ROLE_KEY
 console.log(
   `[supabase] main=${getProjectRef(SUPABASE_URL)} ats=${getProjectRef(ATS_SUPABASE_URL)}`
 );
+console.log(`[dedup-lock] backend=${getDedupLock().backend}`);
 
 const app = express();
-app.use(cors());
+// Behind a proxy, req.ip (recorded in the audit log) needs the forwarded address.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    'trust proxy',
+    trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+  );
+}
+app.use(cors({ origin: getCorsOrigins() }));
 app.use(express.json());
+app.use(createAccessControl({ supabase, interviewsSupabase: supabase }));
 const upload = multer();
 app.get('/health', (_req, res) => {
   res.status(200).json({ status: 'ok' });
 });
-app.use('/api/ats', createAtsRouter({ supabase: atsSupabase }));
+app.use('/api/ats', createAtsRouter({ supabase: atsSupabase, interviewsSupabase: supabase }));
 app.use('/api/ats', createSearchRouter({ supabase: atsSupabase }));
 app.use('/api/ats', createBulkUploadRouter({ supabase: atsSupabase }));
+app.use('/api/ats', createUploadJobRouter({ supabase: atsSupabase }));
+app.use('/api/ats', createSkillTaxonomyRouter({ supabase: atsSupabase }));
+app.use('/api/ats', createDuplicateReviewRouter({ supabase: atsSupabase }));
+app.use(
+  '/api/ats',
+  createCandidateMergeRouter({ supabase: atsSupabase, interviewsSupabase: supabase })
+);
+app.use('/api/ats', createJobRouter({ supabase: atsSupabase }));
+app.use('/api/ats', createPipelineRouter({ supabase: atsSupabase }));
+app.use('/api/ats', createCandidateTagRouter({ supabase: atsSupabase }));
+app.use(
+  '/api/ats',
+  createRetentionRouter({
+    supabase: atsSupabase,
+    mainSupabase: hasExplicitAtsConfig ? supabase : null
+  })
+);
+app.use('/api/ats', createAuditLogRouter({ supabase: atsSupabase }));
 
 // ------------------------
 // GMAIL SMTP CONFIG
@@ -198,6 +242,17 @@ const transporter = nodemailer.createTransport({
   }
 });
 
+app.use('/api/ats', createSavedSearchRouter({ supabase: atsSupabase }));
+app.use(
+  '/api/ats',
+  createCandidateActivityRouter({
+    supabase: atsSupabase,
+    interviewsSupabase: supabase,
+    transporter,
+    mailFrom: process.env.GMAIL_USER
+  })
+);
+
 
 // ----------------------------------------------------
 // UPLOAD RESUME API
@@ -209,24 +264,35 @@ app.post('/upload', upload.single('resume'), async (req, res) => {
 
     if (!file) return res.status(400).json({ error: 'No file uploaded' });
 
+    const { consent, error: consentError } = parseUploadConsent(body);
+    if (consentError) return res.status(400).json({ error: consentError });
+
+    const mode = parseUploadMode(body.mode, req.query.mode);
     const normalizedEmail = normalizeEmail(body.email);
     const normalizedPhone = normalizePhone(body.phone);
     const resumeHash = buildResumeHash(file.buffer);
-    const storagePath = buildResumeStoragePath(resumeHash, 'resumes');
+    const resumeFormat = detectResumeFormat(file.buffer);
+    const storagePath = buildResumeStoragePath(resumeHash, 'resumes', resumeFormat?.extension);
     const resumeUrl = getResumePublicUrl(supabase, 'resumes', storagePath);
     const dedupKeys = buildDedupKeys({
       email: normalizedEmail,
       phone: normalizedPhone
     });
 
-    await withDedupLock(dedupKeys, async () => {
+    const result = await withDedupLock(dedupKeys, async () => {
       const existingBeforeUpload = await findExistingCandidate({
         supabase,
         email: normalizedEmail,
-        phone: normalizedPhone
+        phone: normalizedPhone,
+        matchPhoneList: false
       });
 
-      if (existingBeforeUpload) {
+      const canUpdateExisting =
+        mode === 'update' &&
+        existingBeforeUpload &&
+        existingBeforeUpload.candidate.resume_url !== resumeUrl;
+
+      if (existingBeforeUpload && !canUpdateExisting) {
         throw new DuplicateCandidateError(
           `Duplicate candidate skipped (matched by ${existingBeforeUpload.matchBy}).`,
           existingBeforeUpload
@@ -235,13 +301,41 @@ app.post('/upload', upload.single('resume'), async (req, res) => {
 
       const { error: uploadError } = await supabase.storage
         .from('resumes')
-        .upload(storagePath, file.buffer, { contentType: file.mimetype, upsert: false });
+        .upload(storagePath, file.buffer, {
+          contentType: resumeFormat?.contentType || file.mimetype,
+          upsert: false
+        });
 
       if (uploadError && !isStorageAlreadyExistsError(uploadError)) {
         console.error('Storage upload error:', uploadError);
         throw new Error(uploadError.message || String(uploadError));
       }
 
+      const resumeDetails = {
+        resumeUrl,
+        resumeHash,
+        storagePath,
+        contentType: resumeFormat?.contentType || file.mimetype,
+        fileName: file.originalname || null
+      };
+
+      if (canUpdateExisting) {
+        const update = await applyResumeUpdate({
+          supabase,
+          candidate: existingBeforeUpload.candidate,
+          payload: {
+            name: body.name,
+            email: normalizedEmail,
+            phone: normalizedPhone,
+            experience: body.experience || null,
+            skills: parseSkillsField(body.skills)
+          },
+          resume: resumeDetails
+        });
+
+        return { ...update, updated: true };
+      }
+
       const record = {
         name: body.name,
         email: normalizedEmail,
@@ -254,18 +348,22 @@ app.post('/upload', upload.single('resume'), async (req, res) => {
         skills: parseSkillsField(body.skills),
         resume_url: resumeUrl,
         current_location: body.current_location || null,
-        status: 5,
+        status: MAIN_CANDIDATE_STATUS,
         is_bookmarked: body.is_bookmarked === 'true',
         created_at: new Date().toISOString(),
       };
 
-      const { error: insertError } = await supabase.from('candidates').insert([record]);
+      const { data: insertedRows, error: insertError } = await supabase
+        .from('candidates')
+        .insert([record])
+        .select('id');
       if (insertError) {
         if (isUniqueViolation(insertError)) {
           const existingAfterConflict = await findExistingCandidate({
             supabase,
             email: normalizedEmail,
-            phone: normalizedPhone
+            phone: normalizedPhone,
+            matchPhoneList: false
           });
 
           throw new DuplicateCandidateError(
@@ -277,17 +375,64 @@ app.post('/upload', upload.single('resume'), async (req, res) => {
         console.error('Insert error:', insertError);
         throw new Error(insertError.message || String(insertError));
       }
+
+      const candidateId = insertedRows?.[0]?.id;
+      if (candidateId) {
+        await recordResumeVersion({ supabase, candidateId, ...resumeDetails }).catch((error) => {
+          console.warn(`Resume version not recorded for ${candidateId}: ${error.message}`);
+        });
+      }
+
+      return { updated: false, candidateId };
     });
 
-    res.json({ ok: true });
+    const candidateId = result.updated ? result.candidate.id : result.candidateId;
+    const warnings = [];
+    if (consent && candidateId) {
+      await recordCandidateConsent({ supabase, candidateId, consent }).catch((error) => {
+        console.warn(`Consent not recorded for ${candidateId}: ${error.message}`);
+        warnings.push(`Candidate saved, but the consent was not recorded: ${error.message}`);
+      });
+    }
+
+    if (candidateId) {
+      await recordAuditEntry({
+        supabase: atsSupabase,
+        context: getAuditContext(req),
+        action: 'candidate.upload',
+        targetId: candidateId,
+        changes: result.updated ? result.changes : null,
+        details: { updated: result.updated, project: 'main' }
+      }).catch((error) => console.error(`[audit] ${error.message}`));
+    }
+
+    if (result.updated) {
+      return res.json({
+        ok: true,
+        updated: true,
+        candidateId: result.candidate.id,
+        resumeVersion: result.resumeVersion,
+        newSkills: result.newSkills,
+        filledFields: result.filledFields,
+        differences: result.differences,
+        warnings
+      });
+    }
+
+    res.json({ ok: true, warnings });
   } catch (err) {
     if (err instanceof DuplicateCandidateError) {
       return res.status(409).json({
         error: 'User already exists with same email or phone number.',
-        duplicateCandidateId: err.details?.candidate?.id || null
+        duplicateCandidateId: err.details?.candidate?.id || null,
+        hint: 'Send mode=update to store this resume as a new version of the existing candidate.'
       });
     }
 
+    if (err instanceof DedupLockTimeoutError) {
+      return res.status(503).set('Retry-After', '5').json({ error: err.message });
+    }
+
     console.error('Upload server error:', err);
     res.status(500).json({ error: String(err) });
   }
@@ -380,6 +525,26 @@ app.post("/scheduleInterview", async (req, res) => {
 `
     });
 
+    await recordCandidateEmail({
+      supabase: atsSupabase,
+      candidateId: body.candidate_id,
+      kind: 'interview_scheduled',
+      subject: 'Interview Scheduled',
+      recipients: [body.candidate_email, body.interviewer_email]
+    });
+
+    await recordAuditEntry({
+      supabase: atsSupabase,
+      context: getAuditContext(req),
+      action: 'interview.schedule',
+      targetId: body.candidate_id,
+      details: {
+        interviewerEmail: body.interviewer_email || null,
+        scheduledAt: start,
+        durationMinutes: Number(body.duration) || null
+      }
+    }).catch((error) => console.error(`[audit] ${error.message}`));
+
     res.json({ ok: true, meetLink });
 
   } catch (err) {
@@ -402,7 +567,7 @@ app.use((error, _req, res, _next) => {
 
   if (error.code === 'LIMIT_FILE_SIZE') {
     return res.status(413).json({
-      error: `File too large. Max size is ${maxFileSizeMb}MB.`
+      error: `File too large. Max size is ${error.maxSizeMb || maxFileSizeMb}MB.`
     });
   }
 
@@ -414,10 +579,14 @@ app.use((error, _req, res, _next) => {
     });
   }
 
-  if (error.message === 'Only PDF files are allowed.') {
+  if (error.code === 'UNSUPPORTED_RESUME_FORMAT') {
     return res.status(400).json({ error: error.message });
   }
 
+  if (error.code === 'DEDUP_LOCK_TIMEOUT') {
+    return res.status(503).set('Retry-After', '5').json({ error: error.message });
+  }
+
   console.error(error);
   return res.status(500).json({ error: error.message || 'Internal server error' });
 });
@@ -426,6 +595,25 @@ app.use((error, _req, res, _next) => {
 const port = process.env.PORT || 3333;
 const server = app.listen(port, () => console.log(`Server running on port ${port}`));
 
+failStaleUploadJobs({ supabase: atsSupabase })
+  .then((failedCount) => {
+    if (failedCount > 0) {
+      console.warn(`[upload-jobs] marked ${failedCount} interrupted job(s) as failed`);
+    }
+  })
+  .catch((error) => console.warn(`[upload-jobs] ${error.message}`));
+
+// Background jobs start here rather than inside their routers, so building a router
+// (for a script or another app) never schedules work.
+startSkillTaxonomyRefresh({ supabase: atsSupabase });
+startPreviewSweep({ supabase: atsSupabase });
+startSavedSearchAlerts({ supabase: atsSupabase, transporter, from: process.env.GMAIL_USER });
+startRetentionPurge({ supabase: atsSupabase, interviewsSupabase: supabase });
+// /upload keeps its candidates and their consents in the main project, so purge it as well.
+if (hasExplicitAtsConfig) {
+  startRetentionPurge({ supabase, auditSupabase: atsSupabase, project: 'main' });
+}
+
 server.on('error', (error) => {
   if (error && error.code === 'EADDRINUSE') {
     console.error(`Port ${port} is already in use. Stop the old API process, then restart.`);